@@ -0,0 +1,90 @@
+// scripts/simulateBattles.js
+// Headless balance report for the battle system. Loads the battle utils through
+// Vite (so the app's extensionless imports resolve) and runs the simulator.
+//
+// Usage: npm run simulate -- [options]
+//   --battles <n>          battles per difficulty against random enemies (default 1000)
+//   --species-battles <n>  battles per species template per difficulty (default 200, 0 to skip)
+//   --difficulty <name>    only simulate one difficulty (easy, medium, hard, expert)
+//   --policy <ai|scripted> how the player side plays (default ai)
+//   --player-ai <name>     AI tier driving the player side with --policy ai (default medium)
+//   --seed <seed>          base seed; the same seed always gives the same report
+//   --max-turns <n>        turn limit before a battle counts as a draw (default 50)
+//   --turn-mode <mode>     alternating (default) or initiative turn order
+//   --deck <file.json>     play a real collection (array of creature NFTs) instead of the reference deck
+//   --enemy-search <n>     let the search AI play the enemy with n iterations per move (slow)
+//   --json                 print the raw report as JSON
+//   --help                 print this usage and exit
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { createServer } from 'vite';
+
+const parseArgs = (argv) => {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) continue;
+    const key = arg.slice(2);
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      args[key] = true;
+    } else {
+      args[key] = next;
+      i++;
+    }
+  }
+  return args;
+};
+
+const USAGE = readFileSync(fileURLToPath(import.meta.url), 'utf8')
+  .split('\n')
+  .filter(line => line.startsWith('// Usage:') || line.startsWith('//   '))
+  .map(line => line.slice(3))
+  .join('\n');
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const server = await createServer({
+    root: fileURLToPath(new URL('..', import.meta.url)),
+    logLevel: 'error',
+    appType: 'custom',
+    server: { middlewareMode: true, hmr: false }
+  });
+
+  try {
+    const { runBalanceReport, formatBalanceReport, DIFFICULTIES } =
+      await server.ssrLoadModule('/src/utils/battleSimulator.js');
+
+    if (args.difficulty && !DIFFICULTIES.includes(args.difficulty)) {
+      throw new Error(`Unknown difficulty "${args.difficulty}" (expected one of ${DIFFICULTIES.join(', ')})`);
+    }
+
+    const options = {
+      battles: args.battles ? parseInt(args.battles, 10) : undefined,
+      speciesBattles: args['species-battles'] !== undefined ? parseInt(args['species-battles'], 10) : undefined,
+      difficulties: args.difficulty ? [args.difficulty] : undefined,
+      policy: args.policy,
+      playerAI: args['player-ai'],
+      seed: args.seed,
+      maxTurns: args['max-turns'] ? parseInt(args['max-turns'], 10) : undefined,
+      turnMode: args['turn-mode'],
+      playerDeck: args.deck ? JSON.parse(readFileSync(args.deck, 'utf8')) : undefined,
+      enemySearch: args['enemy-search'] ? { iterations: parseInt(args['enemy-search'], 10) } : undefined
+    };
+
+    const report = runBalanceReport(options);
+    console.log(args.json ? JSON.stringify(report, null, 2) : formatBalanceReport(report));
+  } finally {
+    await server.close();
+  }
+};
+
+main().catch((error) => {
+  console.error(error.message || error);
+  process.exit(1);
+});
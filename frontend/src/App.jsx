@@ -11,6 +11,7 @@ import HelpButton from './components/HelpButton';
 import MobileRadixWrapper from './components/MobileRadixWrapper';
 import RoomUnlockMessage from './components/RoomUnlockMessage';
 import BattleGame from './components/BattleGame'; // Import BattleGame component
+import Leaderboard from './components/Leaderboard';
 
 // Import the Radix Connect Provider & Button
 import { RadixConnectProvider } from './context/RadixConnectContext';
@@ -31,7 +32,9 @@ function App() {
     isMobile,
     showRoomUnlockMessage,
     showBattleGame,
-    setShowBattleGame
+    setShowBattleGame,
+    showLeaderboard,
+    setShowLeaderboard
   } = useContext(GameContext);
 
   // Preload images
@@ -174,6 +177,11 @@ function App() {
         {showBattleGame && (
           <BattleGame onClose={() => setShowBattleGame(false)} />
         )}
+        
+        {/* Ranked ladder overlay */}
+        {showLeaderboard && (
+          <Leaderboard onClose={() => setShowLeaderboard(false)} />
+        )}
       </div>
     </RadixConnectProvider>
   );
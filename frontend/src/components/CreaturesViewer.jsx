@@ -5,13 +5,20 @@ import { useRadixConnect } from '../context/RadixConnectContext';
 import UpgradeStatsModal from './UpgradeStatsModal';
 import EvolveModal from './EvolveModal';
 import ItemsViewer from './ItemsViewer';
+import DeckBuilder from './DeckBuilder';
+import { getLevelProgress, LEVEL_STAT_BONUS } from '../utils/creatureExperience';
+import { EMPTY_BATTLE_RECORD } from '../utils/battleStatistics';
 
 const CreaturesViewer = ({ onClose }) => {
   // Game context
   const {
     isMobile,
     formatResource,
-    addNotification
+    addNotification,
+    creatureExperience,
+    loadCreatureExperience,
+    creatureRecords,
+    loadCreatureRecords
   } = useContext(GameContext);
 
   // From the RadixConnect context
@@ -48,6 +55,7 @@ const CreaturesViewer = ({ onClose }) => {
   
   // Items viewer modal state
   const [showItemsViewer, setShowItemsViewer] = useState(false);
+  const [showDeckBuilder, setShowDeckBuilder] = useState(false);
 
   // Load creatures from the API
   const loadCreatures = useCallback(async (force = false) => {
@@ -309,6 +317,16 @@ const CreaturesViewer = ({ onClose }) => {
     }
   }, [error, creatures, connected, accounts, loadCreatures]);
 
+  // Battle levels come from the off-chain experience stored by the server
+  useEffect(() => {
+    loadCreatureExperience();
+  }, [loadCreatureExperience]);
+
+  // Battle records are lifetime statistics kept by the server
+  useEffect(() => {
+    loadCreatureRecords();
+  }, [loadCreatureRecords]);
+
   // Cancel any pending timeouts when unmounting
   useEffect(() => {
     return () => {
@@ -432,6 +450,93 @@ const CreaturesViewer = ({ onClose }) => {
     );
   };
 
+  // Battle level and XP bar (off-chain, earned in battles)
+  const renderBattleLevel = (creature, extraStyle = {}) => {
+    const level = getLevelProgress(creatureExperience[creature.id] || 0);
+    
+    return (
+      <div style={{
+        width: '100%',
+        boxSizing: 'border-box',
+        backgroundColor: 'rgba(0, 0, 0, 0.3)',
+        padding: '10px',
+        borderRadius: '5px',
+        ...extraStyle
+      }}>
+        <div style={{
+          display: 'flex',
+          justifyContent: 'space-between',
+          marginBottom: '5px'
+        }}>
+          <span>Battle Level {level.level}</span>
+          <span>
+            {level.isMaxLevel ? 'Max level' : `${level.current}/${level.needed} XP`}
+          </span>
+        </div>
+        
+        <div style={{
+          width: '100%',
+          height: '10px',
+          backgroundColor: 'rgba(0, 0, 0, 0.5)',
+          borderRadius: '5px',
+          overflow: 'hidden'
+        }}>
+          <div style={{
+            width: `${level.progress * 100}%`,
+            height: '100%',
+            backgroundColor: '#9C27B0',
+            borderRadius: '5px'
+          }} />
+        </div>
+        
+        {level.level > 1 && (
+          <div style={{ marginTop: '5px', fontSize: '12px', color: '#aaa' }}>
+            +{Math.round((level.level - 1) * LEVEL_STAT_BONUS * 100)}% attack, defense and health in battle
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  // Lifetime battle record (off-chain, updated after every battle)
+  const renderBattleRecord = (creature, extraStyle = {}) => {
+    const record = creatureRecords[creature.id] || EMPTY_BATTLE_RECORD;
+    
+    return (
+      <div style={{
+        width: '100%',
+        boxSizing: 'border-box',
+        backgroundColor: 'rgba(0, 0, 0, 0.3)',
+        padding: '10px',
+        borderRadius: '5px',
+        marginTop: '10px',
+        ...extraStyle
+      }}>
+        <div style={{ marginBottom: '5px' }}>Battle Record</div>
+        
+        {record.battles === 0 ? (
+          <div style={{ fontSize: '12px', color: '#aaa' }}>
+            No battles yet
+          </div>
+        ) : (
+          <div style={{
+            display: 'grid',
+            gridTemplateColumns: 'repeat(3, 1fr)',
+            gap: '5px',
+            fontSize: '12px'
+          }}>
+            <span>Battles: {record.battles}</span>
+            <span>Wins: {record.wins}</span>
+            <span>MVP: {record.mvps}</span>
+            <span>Damage: {record.damageDealt}</span>
+            <span>Healing: {record.healing}</span>
+            <span>Kills: {record.kills}</span>
+          </div>
+        )}
+      </div>
+    );
+  };
+
   return (
     <>
       {/* Overlay background */}
@@ -508,6 +613,24 @@ const CreaturesViewer = ({ onClose }) => {
             >
               <span role="img" aria-label="magic">✨</span> View Tools & Spells
             </button>
+
+            {/* Button to build battle loadouts */}
+            <button
+              onClick={() => setShowDeckBuilder(true)}
+              style={{
+                backgroundColor: '#FF5722',
+                color: 'white',
+                padding: '8px 16px',
+                borderRadius: '5px',
+                border: 'none',
+                cursor: 'pointer',
+                display: 'flex',
+                alignItems: 'center',
+                gap: '5px'
+              }}
+            >
+              <span role="img" aria-label="battle">⚔️</span> Battle Decks
+            </button>
             
             {/* Refresh button */}
             {showRefreshButton && (
@@ -1018,6 +1141,10 @@ const CreaturesViewer = ({ onClose }) => {
                           </div>
                         )}
                         
+                        {/* Battle level - earned in battles, for every form */}
+                        {renderBattleLevel(selectedCreature)}
+                        {renderBattleRecord(selectedCreature)}
+                        
                         {/* Action buttons */}
                         <div style={{
                           display: 'flex',
@@ -1503,6 +1630,10 @@ const CreaturesViewer = ({ onClose }) => {
               </div>
             )}
             
+            {/* Battle Level */}
+            {renderBattleLevel(detailedCreature, { padding: '15px', borderRadius: '8px', marginBottom: '15px' })}
+            {renderBattleRecord(detailedCreature, { padding: '15px', borderRadius: '8px', marginTop: 0, marginBottom: '15px' })}
+            
             {/* Bonus Stats */}
             {detailedCreature.bonus_stats && Object.keys(detailedCreature.bonus_stats).length > 0 && (
               <div style={{
@@ -1631,6 +1762,11 @@ const CreaturesViewer = ({ onClose }) => {
       {showItemsViewer && (
         <ItemsViewer onClose={() => setShowItemsViewer(false)} />
       )}
+
+      {/* Deck Builder Modal */}
+      {showDeckBuilder && (
+        <DeckBuilder onClose={() => setShowDeckBuilder(false)} />
+      )}
       
       <style>{`
         @keyframes spin {
@@ -0,0 +1,361 @@
+// src/components/DeckBuilder.jsx
+import { useContext, useState, useEffect } from 'react';
+import { GameContext } from '../context/GameContext';
+import { useRadixConnect } from '../context/RadixConnectContext';
+import {
+  loadLoadouts,
+  saveLoadouts,
+  createLoadout,
+  getFormationRow,
+  setFormationRow,
+  getLoadoutLimits,
+  getLoadoutErrors
+} from '../utils/battleLoadouts';
+import { getOtherRow } from '../utils/formation';
+
+const DIFFICULTIES = ['easy', 'medium', 'hard', 'expert'];
+
+const DeckBuilder = ({ onClose }) => {
+  const {
+    isMobile,
+    creatureNfts,
+    toolNfts,
+    spellNfts,
+    addNotification
+  } = useContext(GameContext);
+  const { accounts } = useRadixConnect();
+  const accountAddress = accounts?.[0]?.address;
+
+  // Saved loadouts and the one being edited (edits only persist on save)
+  const [loadouts, setLoadouts] = useState([]);
+  const [activeLoadoutId, setActiveLoadoutId] = useState(null);
+  const [draft, setDraft] = useState(() => createLoadout('Loadout 1'));
+
+  // Load the account's loadouts, starting on the active one
+  useEffect(() => {
+    const stored = loadLoadouts(accountAddress);
+    setLoadouts(stored.loadouts);
+    setActiveLoadoutId(stored.activeLoadoutId);
+
+    const initial = stored.loadouts.find(l => l.id === stored.activeLoadoutId) || stored.loadouts[0];
+    setDraft(initial ? { ...initial } : createLoadout('Loadout 1'));
+  }, [accountAddress]);
+
+  const persist = (nextLoadouts, nextActiveId) => {
+    setLoadouts(nextLoadouts);
+    setActiveLoadoutId(nextActiveId);
+    saveLoadouts(accountAddress, { loadouts: nextLoadouts, activeLoadoutId: nextActiveId });
+  };
+
+  const limits = getLoadoutLimits(draft.difficulty);
+  const errors = getLoadoutErrors(draft, draft.difficulty);
+  const isSaved = loadouts.some(l => l.id === draft.id);
+
+  // Add or remove an item, refusing to go over the difficulty's limit
+  const toggleItem = (listKey, id, limit) => {
+    const ids = draft[listKey];
+    if (ids.includes(id)) {
+      setDraft({ ...draft, [listKey]: ids.filter(existing => existing !== id) });
+    } else if (ids.length >= limit) {
+      addNotification(`Limit reached (${limit})`, 400, 300, "#FF9800");
+    } else {
+      setDraft({ ...draft, [listKey]: [...ids, id] });
+    }
+  };
+
+  // Switch a picked creature between the front and back row
+  const toggleRow = (creatureId) => {
+    setDraft(setFormationRow(draft, creatureId, getOtherRow(getFormationRow(draft, creatureId))));
+  };
+
+  const handleSelectLoadout = (id) => {
+    const loadout = loadouts.find(l => l.id === id);
+    if (loadout) setDraft({ ...loadout });
+  };
+
+  const handleNew = () => {
+    setDraft(createLoadout(`Loadout ${loadouts.length + 1}`, draft.difficulty));
+  };
+
+  const handleSave = () => {
+    if (!draft.name.trim()) {
+      addNotification("Give the loadout a name", 400, 300, "#FF5722");
+      return;
+    }
+    if (errors.length > 0) {
+      addNotification(errors[0], 400, 300, "#FF5722");
+      return;
+    }
+
+    const saved = { ...draft, name: draft.name.trim() };
+    const nextLoadouts = isSaved
+      ? loadouts.map(l => (l.id === saved.id ? saved : l))
+      : [...loadouts, saved];
+
+    // The first loadout saved becomes the one used in battle
+    persist(nextLoadouts, activeLoadoutId || saved.id);
+    setDraft(saved);
+    addNotification("Loadout saved!", 400, 300, "#4CAF50");
+  };
+
+  const handleDelete = () => {
+    const nextLoadouts = loadouts.filter(l => l.id !== draft.id);
+    persist(nextLoadouts, activeLoadoutId === draft.id ? null : activeLoadoutId);
+    setDraft(nextLoadouts[0] ? { ...nextLoadouts[0] } : createLoadout('Loadout 1', draft.difficulty));
+  };
+
+  const handleToggleActive = () => {
+    persist(loadouts, activeLoadoutId === draft.id ? null : draft.id);
+  };
+
+  const buttonStyle = (backgroundColor, disabled = false) => ({
+    backgroundColor: disabled ? '#555' : backgroundColor,
+    padding: '8px 16px',
+    borderRadius: '5px',
+    border: 'none',
+    color: '#fff',
+    cursor: disabled ? 'not-allowed' : 'pointer'
+  });
+
+  const inputStyle = {
+    padding: '8px',
+    borderRadius: '5px',
+    border: '1px solid #444',
+    backgroundColor: '#333',
+    color: '#fff'
+  };
+
+  // One pickable grid per item kind
+  const renderSection = (title, items, listKey, limit, getLabel, getDetail) => (
+    <div style={{ marginBottom: '20px' }}>
+      <h3 style={{ margin: '0 0 10px 0', color: '#ddd' }}>
+        {title} ({draft[listKey].length}/{limit})
+      </h3>
+
+      {items.length === 0 ? (
+        <p style={{ color: '#888', margin: 0 }}>None owned yet.</p>
+      ) : (
+        <div style={{
+          display: 'grid',
+          gridTemplateColumns: isMobile ? 'repeat(2, 1fr)' : 'repeat(auto-fill, minmax(140px, 1fr))',
+          gap: '10px'
+        }}>
+          {items.map(item => {
+            const selected = draft[listKey].includes(item.id);
+            return (
+              <button
+                key={item.id}
+                onClick={() => toggleItem(listKey, item.id, limit)}
+                style={{
+                  backgroundColor: selected ? 'rgba(76, 175, 80, 0.2)' : '#333',
+                  border: selected ? '2px solid #4CAF50' : '2px solid #444',
+                  borderRadius: '8px',
+                  padding: '8px',
+                  color: '#fff',
+                  cursor: 'pointer',
+                  textAlign: 'center'
+                }}
+              >
+                {item.image_url && (
+                  <img
+                    src={item.image_url}
+                    alt={getLabel(item)}
+                    style={{ width: '64px', height: '64px', objectFit: 'contain' }}
+                  />
+                )}
+                <div style={{ fontWeight: 'bold', fontSize: '13px' }}>{getLabel(item)}</div>
+                <div style={{ fontSize: '11px', color: '#aaa' }}>{getDetail(item)}</div>
+              </button>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+
+  return (
+    <>
+      {/* Overlay background */}
+      <div
+        style={{
+          position: 'fixed',
+          top: 0,
+          left: 0,
+          width: '100%',
+          height: '100%',
+          backgroundColor: 'rgba(0, 0, 0, 0.75)',
+          backdropFilter: 'blur(3px)',
+          zIndex: 10000
+        }}
+        onClick={onClose}
+      />
+
+      {/* Modal Dialog */}
+      <div
+        style={{
+          position: 'fixed',
+          top: '50%',
+          left: '50%',
+          transform: 'translate(-50%, -50%)',
+          zIndex: 10001,
+          maxWidth: '900px',
+          width: isMobile ? '95%' : '90%',
+          maxHeight: '90vh',
+          display: 'flex',
+          flexDirection: 'column',
+          backgroundColor: '#222',
+          borderRadius: '10px',
+          boxShadow: '0 5px 25px rgba(0, 0, 0, 0.5)',
+          overflowY: 'auto'
+        }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        {/* Header */}
+        <div style={{
+          position: 'sticky',
+          top: 0,
+          backgroundColor: '#222',
+          padding: '15px',
+          borderRadius: '10px 10px 0 0',
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center',
+          borderBottom: '1px solid #444',
+          zIndex: 10
+        }}>
+          <h2 style={{ margin: 0, color: '#4CAF50' }}>Battle Deck Builder</h2>
+          <button onClick={onClose} style={buttonStyle('#333')}>
+            Close
+          </button>
+        </div>
+
+        <div style={{ padding: '15px' }}>
+          {!accountAddress ? (
+            <p style={{ color: '#FF9800' }}>Connect your wallet to build battle loadouts.</p>
+          ) : (
+            <>
+              {/* Loadout picker */}
+              <div style={{ display: 'flex', gap: '10px', flexWrap: 'wrap', marginBottom: '15px' }}>
+                <select
+                  value={isSaved ? draft.id : ''}
+                  onChange={(e) => handleSelectLoadout(e.target.value)}
+                  style={inputStyle}
+                >
+                  {!isSaved && <option value="">(unsaved loadout)</option>}
+                  {loadouts.map(l => (
+                    <option key={l.id} value={l.id}>
+                      {l.name}{l.id === activeLoadoutId ? ' ★' : ''}
+                    </option>
+                  ))}
+                </select>
+                <button onClick={handleNew} style={buttonStyle('#2196F3')}>New</button>
+                <button onClick={handleDelete} disabled={!isSaved} style={buttonStyle('#F44336', !isSaved)}>
+                  Delete
+                </button>
+              </div>
+
+              {/* Loadout details */}
+              <div style={{ display: 'flex', gap: '10px', flexWrap: 'wrap', marginBottom: '15px' }}>
+                <input
+                  type="text"
+                  value={draft.name}
+                  onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+                  placeholder="Loadout name"
+                  maxLength={30}
+                  style={{ ...inputStyle, flex: 1, minWidth: '150px' }}
+                />
+                <select
+                  value={draft.difficulty}
+                  onChange={(e) => setDraft({ ...draft, difficulty: e.target.value })}
+                  style={inputStyle}
+                >
+                  {DIFFICULTIES.map(d => (
+                    <option key={d} value={d}>
+                      {d.charAt(0).toUpperCase() + d.slice(1)} limits
+                    </option>
+                  ))}
+                </select>
+                <button onClick={handleSave} style={buttonStyle('#4CAF50')}>Save</button>
+                <button
+                  onClick={handleToggleActive}
+                  disabled={!isSaved}
+                  style={buttonStyle(activeLoadoutId === draft.id ? '#FF9800' : '#9C27B0', !isSaved)}
+                >
+                  {activeLoadoutId === draft.id ? 'Stop Using for Battles' : 'Use for Battles'}
+                </button>
+              </div>
+
+              {errors.length > 0 && (
+                <ul style={{ color: '#FF5722', margin: '0 0 15px 0', paddingLeft: '20px' }}>
+                  {errors.map(error => <li key={error}>{error}</li>)}
+                </ul>
+              )}
+
+              {renderSection(
+                'Creatures',
+                creatureNfts || [],
+                'creatureIds',
+                limits.creatures,
+                creature => creature.species_name,
+                creature => `Form ${creature.form} · ${creature.rarity}`
+              )}
+              {/* Formation: the row each picked creature deploys to */}
+              {draft.creatureIds.length > 0 && (
+                <div style={{ marginBottom: '20px' }}>
+                  <h3 style={{ margin: '0 0 5px 0', color: '#ddd' }}>Formation</h3>
+                  <p style={{ color: '#888', fontSize: '12px', margin: '0 0 10px 0' }}>
+                    The front row takes the hits. Physical attackers can't reach the back row
+                    while the front row holds; magic users and speed specialists can.
+                  </p>
+                  <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px' }}>
+                    {draft.creatureIds.map(id => {
+                      const creature = (creatureNfts || []).find(c => c.id === id);
+                      if (!creature) return null;
+                      const row = getFormationRow(draft, id);
+                      return (
+                        <button
+                          key={id}
+                          onClick={() => toggleRow(id)}
+                          title="Click to switch rows"
+                          style={{
+                            backgroundColor: row === 'back' ? 'rgba(33, 150, 243, 0.2)' : 'rgba(255, 152, 0, 0.2)',
+                            border: `1px solid ${row === 'back' ? '#2196F3' : '#FF9800'}`,
+                            borderRadius: '5px',
+                            padding: '6px 10px',
+                            color: '#fff',
+                            cursor: 'pointer',
+                            fontSize: '12px'
+                          }}
+                        >
+                          {creature.species_name}: {row === 'back' ? 'Back' : 'Front'} row
+                        </button>
+                      );
+                    })}
+                  </div>
+                </div>
+              )}
+              {renderSection(
+                'Tools',
+                toolNfts || [],
+                'toolIds',
+                limits.tools,
+                tool => tool.name,
+                tool => tool.tool_type
+              )}
+              {renderSection(
+                'Spells',
+                spellNfts || [],
+                'spellIds',
+                limits.spells,
+                spell => spell.name,
+                spell => spell.spell_type
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default DeckBuilder;
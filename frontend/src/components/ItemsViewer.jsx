@@ -2,6 +2,7 @@
 import { useContext, useState, useEffect, useCallback, useRef } from 'react';
 import { GameContext } from '../context/GameContext';
 import { useRadixConnect } from '../context/RadixConnectContext';
+import DeckBuilder from './DeckBuilder';
 
 const ItemsViewer = ({ onClose }) => {
     // Context access
@@ -28,6 +29,7 @@ const ItemsViewer = ({ onClose }) => {
     const [selectedItemId, setSelectedItemId] = useState(null);
     const [error, setError] = useState(null);
     const [showRefreshButton, setShowRefreshButton] = useState(false);
+    const [showDeckBuilder, setShowDeckBuilder] = useState(false);
     const [lastLoadTime, setLastLoadTime] = useState(0);
     const [loadingCount, setLoadingCount] = useState(0);
     const loadLockRef = useRef(false);
@@ -246,6 +248,21 @@ const ItemsViewer = ({ onClose }) => {
                     <h2 style={{ margin: 0, color: '#4CAF50' }}>Your Tools & Spells</h2>
                     
                     <div style={{ display: 'flex', gap: '10px' }}>
+                        {/* Button to build battle loadouts */}
+                        <button
+                            onClick={() => setShowDeckBuilder(true)}
+                            style={{
+                                backgroundColor: '#FF5722',
+                                padding: '8px 16px',
+                                borderRadius: '5px',
+                                border: 'none',
+                                color: '#fff',
+                                cursor: 'pointer'
+                            }}
+                        >
+                            Battle Decks
+                        </button>
+
                         {/* Refresh button */}
                         {showRefreshButton && (
                             <button
@@ -883,6 +900,11 @@ const ItemsViewer = ({ onClose }) => {
                     )}
                 </div>
             </div>
+
+            {/* Deck Builder Modal */}
+            {showDeckBuilder && (
+                <DeckBuilder onClose={() => setShowDeckBuilder(false)} />
+            )}
             
             <style>{`
                 @keyframes spin {
@@ -0,0 +1,173 @@
+// src/components/Leaderboard.jsx
+import { useContext, useEffect, useState } from 'react';
+import { GameContext } from '../context/GameContext';
+import RatingService from '../utils/RatingService';
+import { getTier, getNextTier, getSeason, getSeasonDaysLeft, RATING_TIERS } from '../utils/ratings';
+
+const Leaderboard = ({ onClose }) => {
+  const { playerRating, loadPlayerRating, isMobile } = useContext(GameContext);
+
+  const [seasonNumber, setSeasonNumber] = useState(getSeason().number);
+  const [leaderboard, setLeaderboard] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+
+  const currentSeason = getSeason();
+  const isCurrentSeason = seasonNumber === currentSeason.number;
+
+  // Load the player's own rating once when the leaderboard opens
+  useEffect(() => {
+    loadPlayerRating();
+  }, [loadPlayerRating]);
+
+  // Load the chosen season's standings
+  useEffect(() => {
+    let cancelled = false;
+    setIsLoading(true);
+
+    RatingService.getLeaderboard(`season-${seasonNumber}`)
+      .then(data => {
+        if (!cancelled) setLeaderboard(data);
+      })
+      .catch(() => {
+        if (!cancelled) setLeaderboard(null);
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [seasonNumber]);
+
+  const ownTier = playerRating && getTier(playerRating.rating);
+  const nextTier = playerRating && getNextTier(playerRating.rating);
+
+  return (
+    <div style={{
+      position: 'fixed',
+      top: 0,
+      left: 0,
+      right: 0,
+      bottom: 0,
+      backgroundColor: 'rgba(0, 0, 0, 0.8)',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      zIndex: 1000
+    }}>
+      <div style={{
+        backgroundColor: '#222',
+        color: '#fff',
+        borderRadius: '10px',
+        padding: '20px',
+        width: isMobile ? '95%' : '560px',
+        maxHeight: '85vh',
+        overflowY: 'auto',
+        border: '2px solid #FFC107',
+        boxShadow: '0 0 20px rgba(255, 193, 7, 0.3)'
+      }}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '15px' }}>
+          <h2 style={{ margin: 0, color: '#FFC107' }}>🏆 Ranked Ladder</h2>
+          <button
+            onClick={onClose}
+            style={{ background: 'none', border: 'none', color: '#aaa', fontSize: '22px', cursor: 'pointer' }}
+          >
+            ✕
+          </button>
+        </div>
+
+        {/* Season picker */}
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '15px' }}>
+          <button
+            onClick={() => setSeasonNumber(number => number - 1)}
+            disabled={seasonNumber <= 1}
+            style={{ padding: '5px 10px', borderRadius: '5px', border: 'none', cursor: 'pointer' }}
+          >
+            ◀
+          </button>
+          <div style={{ textAlign: 'center' }}>
+            <div style={{ fontWeight: 'bold' }}>Season {seasonNumber}</div>
+            <div style={{ fontSize: '12px', color: '#aaa' }}>
+              {isCurrentSeason
+                ? `${getSeasonDaysLeft(currentSeason)} days left - ratings soft-reset each season`
+                : 'Final standings'}
+            </div>
+          </div>
+          <button
+            onClick={() => setSeasonNumber(number => number + 1)}
+            disabled={isCurrentSeason}
+            style={{ padding: '5px 10px', borderRadius: '5px', border: 'none', cursor: 'pointer' }}
+          >
+            ▶
+          </button>
+        </div>
+
+        {/* Own rating */}
+        {playerRating && isCurrentSeason && (
+          <div style={{
+            backgroundColor: 'rgba(255, 255, 255, 0.05)',
+            borderLeft: `3px solid ${ownTier.color}`,
+            borderRadius: '6px',
+            padding: '10px',
+            marginBottom: '15px'
+          }}>
+            <div>
+              <span style={{ color: ownTier.color, fontWeight: 'bold' }}>{ownTier.icon} {ownTier.name}</span>
+              {' · '}{playerRating.rating} rating · {playerRating.gamesPlayed} games
+            </div>
+            <div style={{ fontSize: '12px', color: '#aaa', marginTop: '4px' }}>
+              {nextTier
+                ? `${nextTier.minRating - playerRating.rating} points to ${nextTier.name}`
+                : 'Top tier reached'}
+              {playerRating.peakRating ? ` · Season peak ${playerRating.peakRating}` : ''}
+            </div>
+          </div>
+        )}
+
+        {/* Standings */}
+        {isLoading && <p style={{ textAlign: 'center' }}>Loading standings...</p>}
+        {!isLoading && !leaderboard && <p style={{ textAlign: 'center', color: '#ff4444' }}>Standings are unavailable.</p>}
+        {!isLoading && leaderboard && leaderboard.entries.length === 0 && (
+          <p style={{ textAlign: 'center', color: '#aaa' }}>No ranked battles this season yet.</p>
+        )}
+        {!isLoading && leaderboard && leaderboard.entries.length > 0 && (
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '14px' }}>
+            <thead>
+              <tr style={{ color: '#aaa', textAlign: 'left' }}>
+                <th style={{ padding: '6px' }}>#</th>
+                <th style={{ padding: '6px' }}>Player</th>
+                <th style={{ padding: '6px' }}>Tier</th>
+                <th style={{ padding: '6px', textAlign: 'right' }}>Rating</th>
+              </tr>
+            </thead>
+            <tbody>
+              {leaderboard.entries.map(entry => {
+                const tier = getTier(entry.rating);
+                return (
+                  <tr key={entry.playerId} style={{ borderTop: '1px solid #333' }}>
+                    <td style={{ padding: '6px' }}>{entry.rank}</td>
+                    <td style={{ padding: '6px' }}>{entry.name}</td>
+                    <td style={{ padding: '6px', color: tier.color }}>{tier.icon} {tier.name}</td>
+                    <td style={{ padding: '6px', textAlign: 'right', fontWeight: 'bold' }}>{entry.rating}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+
+        {/* Tier thresholds */}
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px', justifyContent: 'center', marginTop: '15px', fontSize: '12px' }}>
+          {RATING_TIERS.map(tier => (
+            <span key={tier.id} style={{ color: tier.color }}>
+              {tier.icon} {tier.name} {tier.minRating}+
+            </span>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Leaderboard;
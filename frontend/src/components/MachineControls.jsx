@@ -20,7 +20,8 @@ function MachineControls() {
     setShowCreatureMinter,
     creatureNfts, // Access to creatures for battle button
     showBattleGame,
-    setShowBattleGame
+    setShowBattleGame,
+    setShowLeaderboard
   } = useContext(GameContext);
 
   // State for accordion - CHANGED to start with all sections collapsed (null)
@@ -81,6 +82,11 @@ function MachineControls() {
   const handleBattleClick = () => {
     setShowBattleGame(true);
   };
+  
+  // Handle ranked ladder
+  const handleLeaderboardClick = () => {
+    setShowLeaderboard(true);
+  };
 
   // Compact format for resource cost
   const formatCost = (cost) => {
@@ -156,6 +162,32 @@ function MachineControls() {
               ⚔️ Battle Arena
             </button>
           )}
+          
+          {/* Leaderboard Button - ranked ladder standings */}
+          {creatureNfts && creatureNfts.length > 0 && (
+            <button
+              onClick={handleLeaderboardClick}
+              className="leaderboard-button"
+              style={{
+                backgroundColor: '#FFC107',
+                color: '#000',
+                padding: '8px 15px',
+                borderRadius: '6px',
+                border: 'none',
+                cursor: 'pointer',
+                fontSize: '14px',
+                fontWeight: 'bold',
+                boxShadow: '0 2px 4px rgba(0, 0, 0, 0.2)',
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'center',
+                gap: '6px',
+                width: isMobile ? '100%' : 'auto'
+              }}
+            >
+              🏆 Leaderboard
+            </button>
+          )}
         </div>
           
         {/* Build Machines Section */}
@@ -1,6 +1,10 @@
 // src/components/battle/ActionPanel.jsx
 import React, { useState } from 'react';
 import ToolSpellModal from './ToolSpellModal';
+import { formatChance } from '../../utils/actionPreview';
+import { DEFAULT_ROW, MOVE_ROW_ENERGY_COST, getRow, getOtherRow } from '../../utils/formation';
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
 
 const ActionPanel = ({ 
   selectedCreature, 
@@ -9,7 +13,11 @@ const ActionPanel = ({
   onAction, 
   disabled,
   availableTools,
-  availableSpells
+  availableSpells,
+  turn,
+  ability,
+  attackPreview,
+  getSpellPreview
 }) => {
   const [showToolsModal, setShowToolsModal] = useState(false);
   const [showSpellsModal, setShowSpellsModal] = useState(false);
@@ -37,15 +45,49 @@ const ActionPanel = ({
         )}
       </div>
       
+      {/* Expected outcome of attacking the selected target */}
+      {attackPreview && availableActions.includes('attack') && (
+        <div className="action-preview">
+          <span className="preview-damage">
+            {attackPreview.attackType === 'physical' ? 'Physical' : 'Magical'} damage: {attackPreview.damage.min}-{attackPreview.damage.max}
+          </span>
+          {attackPreview.effectiveness !== 'normal' && (
+            <span className={`preview-effectiveness ${attackPreview.effectiveness === 'resisted' ? 'resisted' : 'super'}`}>
+              {attackPreview.effectiveness}
+            </span>
+          )}
+          <span className="preview-stat">
+            Crit {formatChance(attackPreview.criticalChance)} ({attackPreview.criticalDamage.min}-{attackPreview.criticalDamage.max})
+          </span>
+          <span className="preview-stat">Dodge {formatChance(attackPreview.dodgeChance)}</span>
+          {attackPreview.shield > 0 && (
+            <span className="preview-stat">Shield {attackPreview.shield}</span>
+          )}
+          <span className={`preview-lethal ${attackPreview.lethalChance > 0 ? 'possible' : ''}`}>
+            Lethal {formatChance(attackPreview.lethalChance)}
+          </span>
+        </div>
+      )}
+      
       <div className="action-buttons">
+        {/* Deploy to the loadout's row, or the other one */}
         {availableActions.includes('deploy') && (
-          <button 
-            className="action-btn deploy"
-            onClick={() => onAction({ type: 'deploy' }, null, selectedCreature)}
-            disabled={disabled}
-          >
-            Deploy Creature
-          </button>
+          <>
+            <button 
+              className="action-btn deploy"
+              onClick={() => onAction({ type: 'deploy', row: selectedCreature.formation_row || DEFAULT_ROW }, null, selectedCreature)}
+              disabled={disabled}
+            >
+              Deploy to {capitalize(selectedCreature.formation_row || DEFAULT_ROW)} Row
+            </button>
+            <button 
+              className="action-btn deploy alternate"
+              onClick={() => onAction({ type: 'deploy', row: getOtherRow(selectedCreature.formation_row || DEFAULT_ROW) }, null, selectedCreature)}
+              disabled={disabled}
+            >
+              {capitalize(getOtherRow(selectedCreature.formation_row || DEFAULT_ROW))} Row
+            </button>
+          </>
         )}
         
         {availableActions.includes('attack') && (
@@ -78,6 +120,21 @@ const ActionPanel = ({
           </button>
         )}
         
+        {/* Species ability of a creature on the field */}
+        {ability && (
+          <button 
+            className="action-btn ability"
+            onClick={() => onAction({ type: 'useAbility' }, targetCreature, selectedCreature)}
+            disabled={disabled || !availableActions.includes('useAbility')}
+            title={`${ability.description} Cooldown: ${ability.cooldown} ${ability.cooldown === 1 ? 'turn' : 'turns'}.`}
+          >
+            {ability.name} ({ability.energyCost} energy)
+            {!ability.availability.ready
+              ? ` - ${ability.availability.label}`
+              : ability.target === 'enemy' && !targetCreature ? ' - pick a target' : ''}
+          </button>
+        )}
+        
         {availableActions.includes('defend') && (
           <button 
             className="action-btn defend"
@@ -88,6 +145,16 @@ const ActionPanel = ({
           </button>
         )}
         
+        {availableActions.includes('moveRow') && (
+          <button 
+            className="action-btn move-row"
+            onClick={() => onAction({ type: 'moveRow' }, null, selectedCreature)}
+            disabled={disabled}
+          >
+            Move to {capitalize(getOtherRow(getRow(selectedCreature)))} Row ({MOVE_ROW_ENERGY_COST} energy)
+          </button>
+        )}
+        
         <button 
           className="action-btn end-turn"
           onClick={() => onAction({ type: 'endTurn' })}
@@ -102,6 +169,7 @@ const ActionPanel = ({
         <ToolSpellModal 
           items={availableTools}
           type="tool"
+          turn={turn}
           onSelect={(tool) => {
             setShowToolsModal(false);
             onAction({ type: 'useTool', tool }, targetCreature, selectedCreature);
@@ -115,6 +183,8 @@ const ActionPanel = ({
         <ToolSpellModal 
           items={availableSpells}
           type="spell"
+          turn={turn}
+          getPreview={getSpellPreview}
           onSelect={(spell) => {
             setShowSpellsModal(false);
             onAction({ type: 'useSpell', spell }, targetCreature, selectedCreature);
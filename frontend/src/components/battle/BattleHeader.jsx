@@ -1,7 +1,8 @@
 // src/components/battle/BattleHeader.jsx
 import React from 'react';
+import { getTier } from '../../utils/ratings';
 
-const BattleHeader = ({ turn, playerEnergy, enemyEnergy, difficulty, activePlayer }) => {
+const BattleHeader = ({ turn, playerEnergy, enemyEnergy, difficulty, activePlayer, turnOrder = [], rating, trainer }) => {
   const getDifficultyColor = (diff) => {
     switch (diff.toLowerCase()) {
       case 'easy': return '#4CAF50';
@@ -12,6 +13,8 @@ const BattleHeader = ({ turn, playerEnergy, enemyEnergy, difficulty, activePlaye
     }
   };
   
+  const tier = rating && getTier(rating.rating);
+  
   return (
     <div className="battle-header">
       <div className="battle-info">
@@ -25,6 +28,20 @@ const BattleHeader = ({ turn, playerEnergy, enemyEnergy, difficulty, activePlaye
           {difficulty.charAt(0).toUpperCase() + difficulty.slice(1)}
         </div>
         
+        {/* Named enemy trainer */}
+        {trainer && (
+          <div className="trainer-indicator" title={trainer.description}>
+            vs. {trainer.name} · {trainer.team}
+          </div>
+        )}
+        
+        {/* Ranked ladder rating */}
+        {tier && (
+          <div className="rating-indicator" style={{ borderColor: tier.color, color: tier.color }}>
+            {tier.icon} {tier.name} · {rating.rating}
+          </div>
+        )}
+        
         <div className="active-player-indicator">
           {activePlayer === 'player' ? (
             <span className="player-active">Your Turn</span>
@@ -53,6 +70,25 @@ const BattleHeader = ({ turn, playerEnergy, enemyEnergy, difficulty, activePlaye
           </div>
         </div>
       </div>
+      
+      {/* Initiative mode: who acts this round, fastest first */}
+      {turnOrder.length > 0 && (
+        <div className="turn-order-bar">
+          <span className="turn-order-label">Turn Order</span>
+          {turnOrder.map((entry, index) => (
+            <div
+              key={entry.creatureId || `${entry.side}-deploy-${index}`}
+              className={`turn-order-entry ${entry.side} ${entry.status}`}
+              title={entry.initiative !== null ? `Initiative ${entry.initiative}` : 'Deployment'}
+            >
+              <span className="turn-order-name">{entry.name}</span>
+              {entry.initiative !== null && (
+                <span className="turn-order-initiative">{entry.initiative}</span>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
     </div>
   );
 };
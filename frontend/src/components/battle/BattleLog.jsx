@@ -16,7 +16,7 @@ const BattleLog = ({ log }) => {
       <div className="log-title">Battle Log</div>
       <div className="log-entries">
         {log.map(entry => (
-          <div key={entry.id} className="log-entry">
+          <div key={entry.id} className={entry.kind ? `log-entry ${entry.kind}` : 'log-entry'}>
             <span className="turn-indicator">[Turn {entry.turn}]</span>
             <span className="log-message">{entry.message}</span>
           </div>
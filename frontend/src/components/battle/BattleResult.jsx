@@ -1,8 +1,56 @@
 // src/components/battle/BattleResult.jsx
-import React from 'react';
+import React, { useState } from 'react';
+import { serializeReplay } from '../../utils/battleReplay';
+import { MAX_STAGE_STARS } from '../../utils/campaign';
+import { formatPvpRecord } from '../../utils/pvpBattles';
+import { getTier, formatRatingDelta } from '../../utils/ratings';
+import { getLevelFromExperience } from '../../utils/creatureExperience';
+import { STATISTIC_LABELS, getCreatureStatistics, pickMvp } from '../../utils/battleStatistics';
 
-const BattleResult = ({ result, onPlayAgain, onClose, stats, difficulty }) => {
+const SCORE_LABELS = {
+  victory: 'Victory',
+  speed: 'Speed',
+  health: 'Health left',
+  energy: 'Energy spent'
+};
+
+const REWARD_LABELS = {
+  tcorvax: 'TCorvax',
+  catNips: 'Cat Nips',
+  energy: 'Energy'
+};
+
+const BattleResult = ({ result, onPlayAgain, onClose, stats, difficulty, replay, onWatchReplay, rewards, stageResult, pvpResult, challengeResult, experience }) => {
   const isVictory = result === 'victory';
+  const [replayCopied, setReplayCopied] = useState(false);
+  const [sort, setSort] = useState({ key: 'damageDealt', descending: true });
+  
+  const mvp = pickMvp(stats.statistics);
+  const creatureRows = getCreatureStatistics(stats.statistics).sort((a, b) => {
+    const order = sort.key === 'name' ? a.name.localeCompare(b.name) : a[sort.key] - b[sort.key];
+    return sort.descending ? -order : order;
+  });
+  
+  // Clicking the sorted column flips the order, any other column sorts by it
+  const handleSort = (key) => {
+    setSort(current => ({
+      key,
+      descending: current.key === key ? !current.descending : key !== 'name'
+    }));
+  };
+  
+  const renderSortHeader = (key, label) => (
+    <th key={key} onClick={() => handleSort(key)} className={sort.key === key ? 'sorted' : ''}>
+      {label}{sort.key === key ? (sort.descending ? ' ▼' : ' ▲') : ''}
+    </th>
+  );
+  
+  // Copy the replay so the fight can be shared or attached to a bug report
+  const handleCopyReplay = () => {
+    navigator.clipboard.writeText(serializeReplay(replay))
+      .then(() => setReplayCopied(true))
+      .catch(error => console.error('Error copying replay:', error));
+  };
   
   const getDifficultyColor = (diff) => {
     switch (diff) {
@@ -55,13 +103,145 @@ const BattleResult = ({ result, onPlayAgain, onClose, stats, difficulty }) => {
               <div className="stat-label">Enemies Defeated</div>
               <div className="stat-value">{stats.enemiesDefeated}</div>
             </div>
+            
+            {stats.seed !== undefined && stats.seed !== null && (
+              <div className="stat-item">
+                <div className="stat-label">Battle Seed</div>
+                <div className="stat-value">{stats.seed}</div>
+              </div>
+            )}
           </div>
           
-          {isVictory && (
+          {creatureRows.length > 0 && (
+            <div className="creature-statistics">
+              {mvp && (
+                <div className="mvp-pick">
+                  🏆 MVP: <strong>{mvp.name}</strong> · {mvp.damageDealt} damage, {mvp.kills} {mvp.kills === 1 ? 'kill' : 'kills'}
+                </div>
+              )}
+              
+              <table className="statistics-table">
+                <thead>
+                  <tr>
+                    {renderSortHeader('name', 'Creature')}
+                    {Object.entries(STATISTIC_LABELS).map(([key, label]) => renderSortHeader(key, label))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {creatureRows.map(entry => (
+                    <tr key={entry.id} className={`${entry.side}-row ${mvp && mvp.id === entry.id ? 'mvp-row' : ''}`}>
+                      <td>{entry.name}</td>
+                      {Object.keys(STATISTIC_LABELS).map(key => (
+                        <td key={key}>{entry[key]}</td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              
+              <div className="energy-spent">
+                <span>Your energy spent: {stats.statistics.sides.player.energySpent}</span>
+                <span>Enemy energy spent: {stats.statistics.sides.enemy.energySpent}</span>
+              </div>
+            </div>
+          )}
+          
+          {isVictory && stageResult && (
+            <div className="rewards-section">
+              <h3>{stageResult.stageName} Cleared</h3>
+              <span className="campaign-stars">
+                {Array.from({ length: MAX_STAGE_STARS }, (_, index) => (index < stageResult.stars ? '★' : '☆')).join('')}
+              </span>
+              {stageResult.status === 'pending' && <p>Saving campaign progress...</p>}
+              {stageResult.status === 'error' && <p className="rewards-error">Campaign progress could not be saved.</p>}
+            </div>
+          )}
+          
+          {pvpResult && (
+            <div className="rewards-section">
+              <h3>PvP against {pvpResult.opponentName}</h3>
+              {pvpResult.status === 'pending' && <p>Recording result...</p>}
+              {pvpResult.status === 'saved' && <p>Your record: {formatPvpRecord(pvpResult.record)}</p>}
+              {pvpResult.status === 'saved' && pvpResult.rating && (
+                <div className="rating-result">
+                  <span style={{ color: getTier(pvpResult.rating.rating).color }}>
+                    {getTier(pvpResult.rating.rating).icon} {getTier(pvpResult.rating.rating).name} · {pvpResult.rating.rating}
+                  </span>
+                  <span className={`rating-delta ${pvpResult.rating.delta >= 0 ? 'gain' : 'loss'}`}>
+                    {formatRatingDelta(pvpResult.rating.delta)}
+                  </span>
+                </div>
+              )}
+              {pvpResult.status === 'error' && <p className="rewards-error">The result could not be recorded.</p>}
+            </div>
+          )}
+          
+          {challengeResult && (
+            <div className="rewards-section">
+              <h3>Daily Challenge Score: {challengeResult.score}</h3>
+              <div className="challenge-breakdown">
+                {Object.entries(challengeResult.breakdown).map(([part, points]) => (
+                  <React.Fragment key={part}>
+                    <span>{SCORE_LABELS[part]}</span>
+                    <span className="challenge-score">{points}</span>
+                  </React.Fragment>
+                ))}
+              </div>
+              {challengeResult.status === 'pending' && <p>Submitting your attempt...</p>}
+              {challengeResult.status === 'saved' && challengeResult.rank && <p>Today&apos;s rank: #{challengeResult.rank}</p>}
+              {challengeResult.status === 'error' && <p className="rewards-error">Your attempt could not be submitted.</p>}
+            </div>
+          )}
+          
+          {experience && replay && (
+            <div className="rewards-section">
+              <h3>Experience</h3>
+              {experience.status === 'pending' && <p>Awarding experience...</p>}
+              {experience.status === 'error' && <p className="rewards-error">Experience could not be awarded.</p>}
+              
+              <div className="experience-list">
+                {replay.player.creatures
+                  .filter(creature => experience.gained[creature.id] > 0)
+                  .map(creature => {
+                    const gained = experience.gained[creature.id];
+                    const total = experience.totals?.[creature.id];
+                    // Totals arrive with the server's answer; a level-up shows once they do
+                    const level = total !== undefined ? getLevelFromExperience(total) : null;
+                    const leveledUp = level !== null && level > getLevelFromExperience(total - gained);
+                    return (
+                      <React.Fragment key={creature.id}>
+                        <span>{creature.species_name}</span>
+                        <span className="experience-gained">+{gained} XP</span>
+                        <span className="experience-level">{leveledUp ? `Level ${level}!` : ''}</span>
+                      </React.Fragment>
+                    );
+                  })}
+              </div>
+            </div>
+          )}
+          
+          {isVictory && rewards && (
             <div className="rewards-section">
               <h3>Rewards</h3>
-              <p>Experience gained for all participating creatures!</p>
-              {/* In the future, can add actual rewards here */}
+              
+              {rewards.status === 'pending' && <p>Verifying battle...</p>}
+              {rewards.status === 'error' && <p className="rewards-error">{rewards.error}</p>}
+              
+              <div className="reward-list">
+                {Object.entries(rewards.granted || rewards.expected).map(([resource, amount]) => (
+                  <div
+                    key={resource}
+                    className={`reward-item ${rewards.status === 'granted' ? 'granted' : ''}`}
+                  >
+                    <span className="reward-amount">+{amount}</span>
+                    <span className="reward-resource">{REWARD_LABELS[resource] || resource}</span>
+                  </div>
+                ))}
+              </div>
+              
+              {rewards.capped && (
+                <p className="rewards-capped">Daily battle reward limit reached - some rewards were reduced.</p>
+              )}
             </div>
           )}
         </div>
@@ -76,6 +256,24 @@ const BattleResult = ({ result, onPlayAgain, onClose, stats, difficulty }) => {
           Play Again
         </button>
         
+        {replay && onWatchReplay && (
+          <button 
+            className="close-btn"
+            onClick={onWatchReplay}
+          >
+            Watch Replay
+          </button>
+        )}
+        
+        {replay && (
+          <button 
+            className="close-btn"
+            onClick={handleCopyReplay}
+          >
+            {replayCopied ? 'Replay Copied!' : 'Copy Replay'}
+          </button>
+        )}
+        
         <button 
           className="close-btn"
           onClick={onClose}
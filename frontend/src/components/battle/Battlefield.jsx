@@ -1,6 +1,7 @@
 // src/components/battle/Battlefield.jsx - Fixed to handle variable field size
 import React from 'react';
 import CreatureCard from './CreatureCard';
+import { getRowCreatures, canAttackTarget } from '../../utils/formation';
 
 // Helper function to get max field size based on difficulty
 const getMaxFieldSize = (difficulty) => {
@@ -18,37 +19,72 @@ const Battlefield = ({
   enemyField = [], 
   activePlayer,
   difficulty = 'easy',
+  maxEnemyFieldSize: enemyFieldLimit,
   onCreatureSelect,
   selectedCreature,
-  targetCreature 
+  targetCreature,
+  enemyIntent
 }) => {
-  // Use dynamic max field size based on difficulty
-  const maxEnemyFieldSize = getMaxFieldSize(difficulty);
+  // Use the battle's own enemy field limit (campaign, PvP), else the difficulty's
+  const maxEnemyFieldSize = enemyFieldLimit || getMaxFieldSize(difficulty);
   const maxPlayerFieldSize = 3; // Player is always limited to 3 for balance
   
   // Determine if we should apply the large-field class based on enemy field size
   const enemyFieldClass = maxEnemyFieldSize > 3 ? 'battlefield-enemy large-field' : 'battlefield-enemy';
   
+  // The selected creature, if it is on the field and could attack
+  const attacker = selectedCreature && playerField.find(c => c.id === selectedCreature.id);
+  
+  const renderEnemyCard = (creature) => (
+    <CreatureCard 
+      key={creature.id}
+      creature={creature}
+      position="enemy"
+      isActive={activePlayer === 'enemy'}
+      isSelected={targetCreature && targetCreature.id === creature.id}
+      isDefending={creature.isDefending}
+      activeEffects={creature.activeEffects || []}
+      attacker={selectedCreature}
+      isOutOfReach={Boolean(attacker) && !canAttackTarget(attacker, creature, enemyField)}
+      intent={enemyIntent && enemyIntent.actorId === creature.id ? enemyIntent : null}
+      onClick={() => onCreatureSelect(creature, true)}
+    />
+  );
+  
+  const renderPlayerCard = (creature) => (
+    <CreatureCard 
+      key={creature.id}
+      creature={creature}
+      position="player"
+      isActive={activePlayer === 'player'}
+      isSelected={selectedCreature && selectedCreature.id === creature.id}
+      isDefending={creature.isDefending}
+      activeEffects={creature.activeEffects || []}
+      isIntentTarget={enemyIntent?.targetId === creature.id}
+      onClick={() => onCreatureSelect(creature, false)}
+    />
+  );
+  
   return (
     <div className="battlefield">
-      {/* Enemy field (top) */}
+      {/* Enemy field (top): back row, then the front row facing the player */}
       <div className={enemyFieldClass}>
-        {enemyField.map((creature) => (
-          <CreatureCard 
-            key={creature.id}
-            creature={creature}
-            position="enemy"
-            isActive={activePlayer === 'enemy'}
-            isSelected={targetCreature && targetCreature.id === creature.id}
-            isDefending={creature.isDefending}
-            activeEffects={creature.activeEffects || []}
-            onClick={() => onCreatureSelect(creature, true)}
-          />
-        ))}
-        {/* Empty slots */}
-        {Array.from({ length: Math.max(0, maxEnemyFieldSize - enemyField.length) }).map((_, index) => (
-          <div key={`empty-enemy-${index}`} className="creature-slot empty" />
-        ))}
+        <div className="battle-row back">
+          <span className="row-label">Back</span>
+          {getRowCreatures(enemyField, 'back').map(renderEnemyCard)}
+        </div>
+        <div className="battle-row front">
+          <span className="row-label">Front</span>
+          {getRowCreatures(enemyField, 'front').map(renderEnemyCard)}
+          {/* Empty slots (the first one shows a planned deployment) */}
+          {Array.from({ length: Math.max(0, maxEnemyFieldSize - enemyField.length) }).map((_, index) => (
+            <div key={`empty-enemy-${index}`} className="creature-slot empty">
+              {index === 0 && enemyIntent?.type === 'deploy' && (
+                <div className="intent-badge" title={enemyIntent.label}>{enemyIntent.icon}</div>
+              )}
+            </div>
+          ))}
+        </div>
       </div>
       
       {/* Center battlefield section - could contain battlefield effects */}
@@ -56,26 +92,28 @@ const Battlefield = ({
         {activePlayer === 'player' 
           ? "👉 Your turn - select a creature to act" 
           : "Enemy is thinking..."}
+        {/* What the enemy will do on its turn (easy and medium) */}
+        {activePlayer === 'player' && enemyIntent && (
+          <span className="intent-summary">
+            {enemyIntent.icon} Enemy intends: {enemyIntent.label}
+          </span>
+        )}
       </div>
       
-      {/* Player field (bottom) */}
+      {/* Player field (bottom): front row facing the enemy, then the back row */}
       <div className="battlefield-player">
-        {playerField.map((creature) => (
-          <CreatureCard 
-            key={creature.id}
-            creature={creature}
-            position="player"
-            isActive={activePlayer === 'player'}
-            isSelected={selectedCreature && selectedCreature.id === creature.id}
-            isDefending={creature.isDefending}
-            activeEffects={creature.activeEffects || []}
-            onClick={() => onCreatureSelect(creature, false)}
-          />
-        ))}
-        {/* Empty slots */}
-        {Array.from({ length: Math.max(0, maxPlayerFieldSize - playerField.length) }).map((_, index) => (
-          <div key={`empty-player-${index}`} className="creature-slot empty" />
-        ))}
+        <div className="battle-row front">
+          <span className="row-label">Front</span>
+          {getRowCreatures(playerField, 'front').map(renderPlayerCard)}
+          {/* Empty slots */}
+          {Array.from({ length: Math.max(0, maxPlayerFieldSize - playerField.length) }).map((_, index) => (
+            <div key={`empty-player-${index}`} className="creature-slot empty" />
+          ))}
+        </div>
+        <div className="battle-row back">
+          <span className="row-label">Back</span>
+          {getRowCreatures(playerField, 'back').map(renderPlayerCard)}
+        </div>
       </div>
     </div>
   );
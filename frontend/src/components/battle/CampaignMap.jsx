@@ -0,0 +1,156 @@
+// src/components/battle/CampaignMap.jsx
+import React, { useState } from 'react';
+import {
+  CAMPAIGN_CHAPTERS,
+  MAX_STAGE_STARS,
+  getStageModifiers,
+  getStarCriteria,
+  getStageStars,
+  isChapterUnlocked,
+  isStageUnlocked,
+  getUnlockedRewards
+} from '../../utils/campaign';
+
+const DIFFICULTY_COLORS = {
+  easy: '#4CAF50',
+  medium: '#FFC107',
+  hard: '#FF9800',
+  expert: '#FF5722'
+};
+
+const REWARD_ICONS = {
+  title: '🏷️',
+  cardFrame: '🖼️'
+};
+
+const Stars = ({ count }) => (
+  <span className="campaign-stars" aria-label={`${count} of ${MAX_STAGE_STARS} stars`}>
+    {Array.from({ length: MAX_STAGE_STARS }, (_, index) => (index < count ? '★' : '☆')).join('')}
+  </span>
+);
+
+const CampaignMap = ({ progress, onStartStage, onBack, creatureCount, loadoutName }) => {
+  const [selectedStageId, setSelectedStageId] = useState(null);
+
+  const unlockedRewards = getUnlockedRewards(progress);
+  const unlockedRewardIds = unlockedRewards.map(reward => reward.id);
+
+  const selectedStage = CAMPAIGN_CHAPTERS
+    .flatMap(chapter => chapter.stages)
+    .find(stage => stage.id === selectedStageId);
+
+  return (
+    <div className="difficulty-selector campaign-map">
+      <h2>Campaign</h2>
+
+      <div className="difficulty-description">
+        <p>Clear every stage of a chapter to unlock the next one and its reward.</p>
+        <p>{loadoutName ? `Deck: ${loadoutName}` : 'No loadout selected: your first creatures and items will be taken.'}</p>
+      </div>
+
+      {CAMPAIGN_CHAPTERS.map(chapter => {
+        const chapterUnlocked = isChapterUnlocked(chapter.id, progress);
+
+        return (
+          <div key={chapter.id} className={`campaign-chapter ${chapterUnlocked ? '' : 'locked'}`}>
+            <div className="campaign-chapter-header">
+              <h3>{chapterUnlocked ? chapter.name : `🔒 ${chapter.name}`}</h3>
+              <p>{chapterUnlocked ? chapter.description : 'Clear the previous chapter to unlock.'}</p>
+            </div>
+
+            <div className="campaign-stages">
+              {chapter.stages.map((stage, index) => {
+                const unlocked = isStageUnlocked(stage.id, progress);
+                const isBoss = stage.enemies.some(enemy => enemy.boss);
+
+                return (
+                  <button
+                    key={stage.id}
+                    className={`campaign-stage ${selectedStageId === stage.id ? 'selected' : ''} ${isBoss ? 'boss' : ''}`}
+                    onClick={() => setSelectedStageId(stage.id)}
+                    disabled={!unlocked}
+                    style={{ borderColor: selectedStageId === stage.id ? DIFFICULTY_COLORS[stage.difficulty] : 'transparent' }}
+                  >
+                    <span className="campaign-stage-number">{isBoss ? '👑 Boss' : `Stage ${index + 1}`}</span>
+                    <span className="campaign-stage-name">{unlocked ? stage.name : '🔒'}</span>
+                    <Stars count={getStageStars(progress, stage.id)} />
+                  </button>
+                );
+              })}
+            </div>
+
+            <div className="campaign-chapter-rewards">
+              {[chapter.reward, chapter.masteryReward].map((reward, index) => (
+                <span
+                  key={reward.id}
+                  className={`campaign-reward ${unlockedRewardIds.includes(reward.id) ? 'unlocked' : ''}`}
+                  title={index === 0 ? 'Clear every stage' : `Earn ${MAX_STAGE_STARS} stars on every stage`}
+                >
+                  {REWARD_ICONS[reward.type]} {reward.name}
+                </span>
+              ))}
+            </div>
+          </div>
+        );
+      })}
+
+      {selectedStage && (
+        <div className="campaign-stage-details">
+          <h3 style={{ color: DIFFICULTY_COLORS[selectedStage.difficulty] }}>{selectedStage.name}</h3>
+          <p>
+            {selectedStage.enemies.length} enemies
+            {' · '}
+            {selectedStage.difficulty.charAt(0).toUpperCase() + selectedStage.difficulty.slice(1)} rules
+          </p>
+
+          {getStageModifiers(selectedStage).map(modifier => (
+            <div key={modifier.id} className="campaign-modifier">
+              <strong>{modifier.name}:</strong> {modifier.description}
+            </div>
+          ))}
+
+          <ul className="campaign-star-criteria">
+            {getStarCriteria(selectedStage).map((criterion, index) => (
+              <li key={criterion}>
+                {index < getStageStars(progress, selectedStage.id) ? '★' : '☆'} {criterion}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <div className="battle-controls">
+        <button
+          className="start-battle-btn"
+          onClick={() => onStartStage(selectedStage)}
+          style={{ backgroundColor: selectedStage ? DIFFICULTY_COLORS[selectedStage.difficulty] : '#4CAF50' }}
+          disabled={!selectedStage || creatureCount === 0}
+        >
+          {creatureCount === 0 ? 'No Creatures Available' : 'Start Stage!'}
+        </button>
+      </div>
+
+      {unlockedRewards.length > 0 && (
+        <div className="rewards-section">
+          <h3>Unlocked Rewards</h3>
+          <div className="reward-list">
+            {unlockedRewards.map(reward => (
+              <div key={reward.id} className="reward-item granted">
+                <span className="reward-amount">{REWARD_ICONS[reward.type]}</span>
+                <span className="reward-resource">{reward.name}</span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <div className="battle-controls">
+        <button className="close-btn" onClick={onBack}>
+          Back to Arena
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default CampaignMap;
@@ -3,6 +3,8 @@ import React, { useState } from 'react';
 import { getFormDescription } from '../../utils/creatureHelpers';
 import { getRarityColor } from '../../utils/uiHelpers';
 import { getPlaceholderForForm } from '../../utils/enemyPlaceholders';
+import { STATUS_TYPES, getStatusDescription } from '../../utils/statusEffects';
+import { getEffectivenessMultiplier, getEffectivenessText } from '../../utils/statAffinities';
 
 const CreatureCard = ({ 
   creature, 
@@ -11,10 +13,18 @@ const CreatureCard = ({
   onClick, 
   isSelected,
   isDefending,
-  activeEffects = []
+  activeEffects = [],
+  attacker,
+  intent,
+  isIntentTarget,
+  isOutOfReach
 }) => {
   // Track image load state
   const [imageLoaded, setImageLoaded] = useState(true);
+  // Status effect whose tooltip is showing
+  const [hoveredEffectId, setHoveredEffectId] = useState(null);
+  // Whether the pointer is over the card (shows the effectiveness hint)
+  const [isHovered, setIsHovered] = useState(false);
   
   // Guard against missing object
   if (!creature) {
@@ -43,6 +53,7 @@ const CreatureCard = ({
     isActive ? 'active' : '',
     isSelected ? 'selected' : '',
     isDefending ? 'defending' : '',
+    isOutOfReach ? 'out-of-reach' : '',
   ].filter(Boolean).join(' ');
   
   // Calculate health percentage for health bar
@@ -51,6 +62,13 @@ const CreatureCard = ({
   // Determine which attack value to show prominently based on creature's strength
   const isPrimaryPhysical = physicalAttack >= magicalAttack;
   
+  const hoveredEffect = activeEffects.find(effect => effect && effect.id === hoveredEffectId);
+  
+  // How well the selected creature would hit this one
+  const effectiveness = attacker && attacker.id !== creature.id
+    ? getEffectivenessText(getEffectivenessMultiplier(attacker, creature))
+    : 'normal';
+  
   // Get the form for placeholder selection
   const form = creature.form || 0;
   
@@ -63,7 +81,12 @@ const CreatureCard = ({
   };
   
   return (
-    <div className={cardClasses} onClick={onClick}>
+    <div
+      className={cardClasses}
+      onClick={onClick}
+      onMouseEnter={() => setIsHovered(true)}
+      onMouseLeave={() => setIsHovered(false)}
+    >
       {/* Top info bar */}
       <div className="creature-header">
         <span className="creature-name" style={{ color: getRarityColor(creature.rarity) }}>
@@ -91,14 +114,48 @@ const CreatureCard = ({
               <div 
                 key={effect.id || Math.random()} 
                 className={`status-icon ${effect.type || ''}`}
-                title={effect.description || 'Effect'}
+                aria-label={getStatusDescription(effect)}
+                onMouseEnter={() => setHoveredEffectId(effect.id)}
+                onMouseLeave={() => setHoveredEffectId(null)}
               >
-                {effect.icon || '✨'}
+                {effect.icon || STATUS_TYPES[effect.type]?.icon || '✨'}
+                {effect.stacks > 1 && <span className="status-stacks">{effect.stacks}</span>}
               </div>
             ))}
           </div>
         )}
         
+        {/* Status effect tooltip (kept inside the card, which clips overflow) */}
+        {hoveredEffect && (
+          <div className="status-tooltip">
+            {getStatusDescription(hoveredEffect)}
+          </div>
+        )}
+        
+        {/* Formation: the selected attacker can't get past the front row */}
+        {isHovered && isOutOfReach && (
+          <div className="effectiveness-hint out-of-reach">Out of reach</div>
+        )}
+        
+        {/* Effectiveness hint for the selected attacker */}
+        {isHovered && !isOutOfReach && effectiveness !== 'normal' && (
+          <div className={`effectiveness-hint ${effectiveness === 'resisted' ? 'resisted' : 'super-effective'}`}>
+            {effectiveness === 'resisted' ? 'Resisted' : 'Super effective'}
+          </div>
+        )}
+        
+        {/* The enemy's planned move, and the creature it is aimed at */}
+        {intent && (
+          <div className={`intent-badge ${intent.type}`} title={intent.label}>
+            {intent.icon}
+          </div>
+        )}
+        {isIntentTarget && (
+          <div className="intent-badge target" title="The enemy is aiming at this creature">
+            🎯
+          </div>
+        )}
+        
         {/* Defending indicator */}
         {isDefending && (
           <div className="defending-shield">
@@ -0,0 +1,120 @@
+// src/components/battle/DailyChallengePanel.jsx
+import React, { useEffect, useMemo, useState } from 'react';
+import { createBattle } from '../../utils/battleEngine';
+import { getStageModifiers } from '../../utils/campaign';
+import { getDailyChallenge, getChallengeDate, CHALLENGE_SCORING } from '../../utils/dailyChallenge';
+import ChallengeService from '../../utils/ChallengeService';
+
+const DailyChallengePanel = ({ status, onStart, onBack, creatureCount, loadoutName }) => {
+  // The server's date decides which challenge counts; fall back to the local UTC date
+  const challengeDate = status?.date || getChallengeDate();
+  const challenge = useMemo(() => getDailyChallenge(challengeDate), [challengeDate]);
+  const attempt = status?.attempt;
+
+  // The engine builds the line-up, so the preview matches the battle exactly
+  const enemies = useMemo(() => {
+    const battle = createBattle({ challengeDate });
+    return [...battle.enemyHand, ...battle.enemyDeck];
+  }, [challengeDate]);
+
+  const [leaderboard, setLeaderboard] = useState(null);
+
+  // Load the day's results
+  useEffect(() => {
+    let cancelled = false;
+
+    ChallengeService.getChallengeLeaderboard(challengeDate)
+      .then(data => {
+        if (!cancelled) setLeaderboard(data);
+      })
+      .catch(() => {
+        if (!cancelled) setLeaderboard(null);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [challengeDate, attempt?.status]);
+
+  return (
+    <div className="difficulty-selector daily-challenge">
+      <h2>Daily Challenge · {challengeDate}</h2>
+
+      <div className="difficulty-description">
+        <p>Everyone fights the same enemies today. You get one scored attempt: leaving the battle uses it up.</p>
+        <p>{loadoutName ? `Deck: ${loadoutName}` : 'No loadout selected: your first creatures and items will be taken.'}</p>
+      </div>
+
+      <div className="pvp-section">
+        <h3>Today&apos;s Rules</h3>
+        <p>
+          Difficulty: {challenge.difficulty.charAt(0).toUpperCase() + challenge.difficulty.slice(1)}
+          {' · '}
+          {challenge.turnMode === 'initiative' ? 'Initiative turn order' : 'Alternating turns'}
+        </p>
+        {getStageModifiers(challenge).map(modifier => (
+          <div key={modifier.id} className="campaign-modifier">
+            <strong>{modifier.name}:</strong> {modifier.description}
+          </div>
+        ))}
+        <div className="pvp-opponent-deck">
+          {enemies.map(creature => (
+            <div key={creature.id} className="pvp-opponent-creature">
+              {creature.image_url && <img src={creature.image_url} alt={creature.species_name} />}
+              <span>{creature.species_name}</span>
+              <span className="pvp-creature-info">Form {creature.form || 0} · {creature.rarity}</span>
+            </div>
+          ))}
+        </div>
+        <p className="challenge-scoring">
+          Score: {CHALLENGE_SCORING.victoryBonus} for winning, {CHALLENGE_SCORING.pointsPerTurnUnderPar} per turn
+          under {CHALLENGE_SCORING.parTurns}, {CHALLENGE_SCORING.pointsPerHealth} per health left after a win,
+          {' '}{CHALLENGE_SCORING.pointsPerEnergy} per energy spent.
+        </p>
+      </div>
+
+      <div className="pvp-section">
+        <h3>Results</h3>
+        {attempt?.status === 'submitted' && (
+          <p>Your score: <strong>{attempt.score}</strong>{attempt.rank ? ` · rank #${attempt.rank}` : ''}</p>
+        )}
+        {attempt?.status === 'started' && <p>Your attempt was started but never finished.</p>}
+        {!leaderboard && <p>Results are unavailable.</p>}
+        {leaderboard && leaderboard.entries.length === 0 && <p>Nobody has finished today&apos;s challenge yet.</p>}
+        {leaderboard && leaderboard.entries.length > 0 && (
+          <table className="challenge-leaderboard">
+            <tbody>
+              {leaderboard.entries.map(entry => (
+                <tr key={entry.playerId}>
+                  <td>#{entry.rank}</td>
+                  <td>{entry.name}</td>
+                  <td>{entry.turns} turns</td>
+                  <td className="challenge-score">{entry.score}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <div className="battle-controls">
+        <button
+          className="start-battle-btn"
+          onClick={() => onStart(challenge)}
+          style={{ backgroundColor: '#9C27B0' }}
+          disabled={Boolean(attempt) || creatureCount === 0}
+        >
+          {attempt ? 'Attempt Used - Come Back Tomorrow' : 'Start Attempt'}
+        </button>
+      </div>
+
+      <div className="battle-controls">
+        <button className="close-btn" onClick={onBack}>
+          Back to Arena
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default DailyChallengePanel;
@@ -1,8 +1,24 @@
 // src/components/battle/DifficultySelector.jsx
 import React, { useState } from 'react';
+import { parseReplay } from '../../utils/battleReplay';
+import { getCampaignStage } from '../../utils/campaign';
+import { getTrainer } from '../../utils/enemyTrainers';
+import { ABANDON_TIMEOUT } from '../../utils/battleSaves';
 
-const DifficultySelector = ({ onSelectDifficulty, onStartBattle, creatureCount, difficulty: currentDifficulty }) => {
+// Short description of a saved battle for the resume offer
+const describeSavedBattle = (battle) => {
+  if (battle.stageId) return `Campaign: ${getCampaignStage(battle.stageId)?.name || battle.stageId}`;
+  if (battle.challengeDate) return `Daily challenge ${battle.challengeDate}`;
+  if (battle.pvpOpponent) return `PvP against ${battle.pvpOpponent.name}`;
+  const label = `${battle.difficulty.charAt(0).toUpperCase()}${battle.difficulty.slice(1)} battle`;
+  const trainer = getTrainer(battle.trainerId);
+  return trainer ? `${label} against ${trainer.name}` : label;
+};
+
+const DifficultySelector = ({ onSelectDifficulty, onStartBattle, onOpenCampaign, onOpenPvp, onOpenChallenge, onWatchReplay, savedBattle, onResumeBattle, onForfeitBattle, creatureCount, loadoutName, difficulty: currentDifficulty, turnMode, onSelectTurnMode }) => {
   const [selectedDifficulty, setSelectedDifficulty] = useState(currentDifficulty || 'easy');
+  const [replayText, setReplayText] = useState('');
+  const [replayError, setReplayError] = useState(null);
   
   const difficulties = [
     { id: 'easy', name: 'Easy', description: 'For beginners. Enemy creatures are weaker and AI makes simple decisions.' },
@@ -30,13 +46,49 @@ const DifficultySelector = ({ onSelectDifficulty, onStartBattle, creatureCount,
     onStartBattle();
   };
   
+  // Load a replay someone shared (pasted replay JSON)
+  const handleWatchReplay = () => {
+    try {
+      onWatchReplay(parseReplay(replayText.trim()));
+      setReplayError(null);
+    } catch (error) {
+      setReplayError(error.message);
+    }
+  };
+  
   return (
     <div className="difficulty-selector">
       <h2>Battle Arena</h2>
       
+      {savedBattle && (
+        <div className="saved-battle">
+          <h3>Unfinished Battle</h3>
+          <p>
+            {describeSavedBattle(savedBattle.battle)}, turn {savedBattle.battle.turn}.
+            {' '}Last played {new Date(savedBattle.savedAt).toLocaleString()}.
+          </p>
+          <p className="saved-battle-note">
+            Battles left unfinished for {ABANDON_TIMEOUT / (60 * 60 * 1000)} hours count as losses.
+          </p>
+          <div className="battle-controls">
+            <button className="start-battle-btn" onClick={onResumeBattle}>
+              Resume battle
+            </button>
+            <button className="close-btn" onClick={onForfeitBattle}>
+              Forfeit
+            </button>
+          </div>
+        </div>
+      )}
+      
       <div className="difficulty-description">
         <p>Choose a difficulty level to start a battle with your creatures.</p>
         <p>You have {creatureCount} creatures available for battle.</p>
+        <p>
+          {loadoutName
+            ? `Deck: ${loadoutName}`
+            : 'No loadout selected: your first creatures and items will be taken, up to the difficulty\'s limits. Build loadouts under Battle Decks in your creature collection.'}
+        </p>
       </div>
       
       <div className="difficulty-options">
@@ -61,6 +113,15 @@ const DifficultySelector = ({ onSelectDifficulty, onStartBattle, creatureCount,
         ))}
       </div>
       
+      <label className="turn-mode-option">
+        <input
+          type="checkbox"
+          checked={turnMode === 'initiative'}
+          onChange={(e) => onSelectTurnMode(e.target.checked ? 'initiative' : 'alternating')}
+        />
+        Initiative turn order: every creature acts once per round, fastest first
+      </label>
+      
       <div className="battle-controls">
         <button 
           className="start-battle-btn"
@@ -71,6 +132,50 @@ const DifficultySelector = ({ onSelectDifficulty, onStartBattle, creatureCount,
           {creatureCount === 0 ? 'No Creatures Available' : 'Start Battle!'}
         </button>
       </div>
+      
+      {onOpenCampaign && (
+        <div className="battle-controls">
+          <button className="close-btn" onClick={onOpenCampaign}>
+            Campaign: hand-made stages and bosses
+          </button>
+        </div>
+      )}
+      
+      {onOpenPvp && (
+        <div className="battle-controls">
+          <button className="close-btn" onClick={onOpenPvp}>
+            PvP: fight other players&apos; defense decks
+          </button>
+        </div>
+      )}
+      
+      {onOpenChallenge && (
+        <div className="battle-controls">
+          <button className="close-btn" onClick={onOpenChallenge}>
+            Daily Challenge: the same battle for everyone, once a day
+          </button>
+        </div>
+      )}
+      
+      {onWatchReplay && (
+        <div className="replay-loader">
+          <h3>Watch a Replay</h3>
+          <textarea
+            value={replayText}
+            onChange={(e) => setReplayText(e.target.value)}
+            placeholder="Paste a shared battle replay here"
+            rows={3}
+          />
+          {replayError && <div className="replay-error">{replayError}</div>}
+          <button
+            className="close-btn"
+            onClick={handleWatchReplay}
+            disabled={!replayText.trim()}
+          >
+            Watch Replay
+          </button>
+        </div>
+      )}
     </div>
   );
 };
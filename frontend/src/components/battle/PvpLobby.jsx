@@ -0,0 +1,78 @@
+// src/components/battle/PvpLobby.jsx
+import React from 'react';
+import { formatPvpRecord } from '../../utils/pvpBattles';
+import { getTier } from '../../utils/ratings';
+
+const PvpLobby = ({ status, opponent, onRegisterDefense, onFindOpponent, onAttack, onBack, creatureCount, loadoutName }) => {
+  const defenseDeck = status?.defenseDeck;
+
+  return (
+    <div className="difficulty-selector pvp-lobby">
+      <h2>PvP Arena</h2>
+
+      <div className="difficulty-description">
+        <p>Fight other players&apos; defense decks. Their creatures fight with their real stats, played by the expert AI.</p>
+        <p>Your record: {status?.record ? formatPvpRecord(status.record) : 'no battles yet'}</p>
+        <p>{loadoutName ? `Deck: ${loadoutName}` : 'No loadout selected: your first creatures and items will be taken.'}</p>
+      </div>
+
+      <div className="pvp-section">
+        <h3>Your Defense Deck</h3>
+        <p>
+          {defenseDeck
+            ? `${defenseDeck.creatures.length} creatures, ${defenseDeck.tools.length} tools and ${defenseDeck.spells.length} spells defend your record.`
+            : 'Register a defense deck so other players can challenge you.'}
+        </p>
+        <button className="close-btn" onClick={onRegisterDefense} disabled={creatureCount === 0}>
+          {defenseDeck ? 'Replace With Current Deck' : 'Register Current Deck'}
+        </button>
+      </div>
+
+      <div className="pvp-section">
+        <h3>Opponent</h3>
+        {opponent ? (
+          <>
+            <p>
+              <strong>{opponent.name}</strong>
+              {opponent.rating && ` · ${getTier(opponent.rating).icon} ${getTier(opponent.rating).name} ${opponent.rating}`}
+              {opponent.record && ` · ${formatPvpRecord(opponent.record)}`}
+            </p>
+            <div className="pvp-opponent-deck">
+              {opponent.deck.creatures.map(creature => (
+                <div key={creature.id} className="pvp-opponent-creature">
+                  {creature.image_url && <img src={creature.image_url} alt={creature.species_name} />}
+                  <span>{creature.species_name}</span>
+                  <span className="pvp-creature-info">Form {creature.form || 0} · {creature.rarity}</span>
+                </div>
+              ))}
+            </div>
+          </>
+        ) : (
+          <p>Find an opponent to see their defense deck.</p>
+        )}
+        <button className="close-btn" onClick={onFindOpponent}>
+          {opponent ? 'Find Another Opponent' : 'Find Opponent'}
+        </button>
+      </div>
+
+      <div className="battle-controls">
+        <button
+          className="start-battle-btn"
+          onClick={onAttack}
+          style={{ backgroundColor: '#FF5722' }}
+          disabled={!opponent || creatureCount === 0}
+        >
+          {creatureCount === 0 ? 'No Creatures Available' : 'Attack!'}
+        </button>
+      </div>
+
+      <div className="battle-controls">
+        <button className="close-btn" onClick={onBack}>
+          Back to Arena
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default PvpLobby;
@@ -0,0 +1,88 @@
+// src/components/battle/ReplayViewer.jsx
+import React, { useState, useMemo } from 'react';
+import BattleHeader from './BattleHeader';
+import Battlefield from './Battlefield';
+import BattleLog from './BattleLog';
+import { getReplayStates } from '../../utils/battleReplay';
+import { getTurnOrderView, getEnemyIntentView } from '../../utils/battleEngine';
+import { getTrainer } from '../../utils/enemyTrainers';
+
+const ReplayViewer = ({ replay, onClose }) => {
+  // Every state of the fight, rebuilt once from the recorded actions
+  const states = useMemo(() => getReplayStates(replay), [replay]);
+  const [step, setStep] = useState(0);
+
+  const lastStep = states.length - 1;
+  const current = states[step];
+
+  // Jump to the first step of the previous turn (or the start of this one if we're mid-turn)
+  const previousTurn = () => {
+    const turnStart = states.findIndex(s => s.turn === current.turn);
+    const target = turnStart < step
+      ? turnStart
+      : states.findIndex(s => s.turn === current.turn - 1);
+    setStep(Math.max(0, target));
+  };
+
+  // Jump to the first step of the next turn (or the end of the fight)
+  const nextTurn = () => {
+    const target = states.findIndex(s => s.turn > current.turn);
+    setStep(target === -1 ? lastStep : target);
+  };
+
+  const getStatusText = () => {
+    if (current.status === 'victory') return 'Victory';
+    if (current.status === 'defeat') return 'Defeat';
+    return `Step ${step} / ${lastStep}`;
+  };
+
+  return (
+    <div className="replay-viewer">
+      <div className="replay-title">
+        <h2>Battle Replay</h2>
+        <span className="replay-seed">Seed {replay.seed}</span>
+      </div>
+
+      <BattleHeader
+        turn={current.turn}
+        playerEnergy={current.playerEnergy}
+        enemyEnergy={current.enemyEnergy}
+        difficulty={current.difficulty}
+        activePlayer={current.activePlayer}
+        turnOrder={getTurnOrderView(current)}
+        trainer={getTrainer(current.trainerId)}
+      />
+
+      <div className="battlefield-container">
+        <Battlefield
+          playerField={current.playerField}
+          enemyField={current.enemyField}
+          activePlayer={current.activePlayer}
+          difficulty={current.difficulty}
+          onCreatureSelect={() => {}}
+          selectedCreature={null}
+          targetCreature={null}
+          enemyIntent={getEnemyIntentView(current)}
+        />
+      </div>
+
+      <div className="replay-controls">
+        <button onClick={previousTurn} disabled={step === 0}>⏮ Turn</button>
+        <button onClick={() => setStep(step - 1)} disabled={step === 0}>◀ Step</button>
+        <span className="replay-progress">{getStatusText()}</span>
+        <button onClick={() => setStep(step + 1)} disabled={step === lastStep}>Step ▶</button>
+        <button onClick={nextTurn} disabled={step === lastStep}>Turn ⏭</button>
+      </div>
+
+      <BattleLog log={current.battleLog} />
+
+      <div className="result-actions">
+        <button className="close-btn" onClick={onClose}>
+          Close Replay
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ReplayViewer;
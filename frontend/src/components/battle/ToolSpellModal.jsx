@@ -1,7 +1,8 @@
 // src/components/battle/ToolSpellModal.jsx
 import React from 'react';
+import { getItemAvailability } from '../../utils/itemEffects';
 
-const ToolSpellModal = ({ items, type, onSelect, onClose }) => {
+const ToolSpellModal = ({ items, type, turn, onSelect, onClose, getPreview }) => {
   if (!items || items.length === 0) {
     return (
       <div className="tool-spell-modal">
@@ -14,6 +15,8 @@ const ToolSpellModal = ({ items, type, onSelect, onClose }) => {
   }
   
   const handleItemSelect = (item) => {
+    // Exhausted and recharging items can't be picked
+    if (!getItemAvailability(item, turn).ready) return;
     onSelect(item);
   };
   
@@ -27,36 +30,52 @@ const ToolSpellModal = ({ items, type, onSelect, onClose }) => {
         
         <div className="modal-content">
           <div className="items-grid">
-            {items.map(item => (
-              <div 
-                key={item.id}
-                className="item-card"
-                onClick={() => handleItemSelect(item)}
-              >
-                <img 
-                  src={item.image_url || `/assets/${type}_default.png`}
-                  alt={item.name}
-                  className="item-image"
-                />
-                
-                <div className="item-details">
-                  <div className="item-name">{item.name}</div>
+            {items.map(item => {
+              const availability = getItemAvailability(item, turn);
+              const previewLines = getPreview ? getPreviewLines(getPreview(item)) : [];
+              return (
+                <div 
+                  key={item.id}
+                  className={`item-card ${availability.ready ? '' : 'exhausted'}`}
+                  onClick={() => handleItemSelect(item)}
+                >
+                  <img 
+                    src={item.image_url || `/assets/${type}_default.png`}
+                    alt={item.name}
+                    className="item-image"
+                  />
                   
-                  <div className="item-properties">
-                    <div className="item-type">
-                      Affects: {type === 'tool' ? item.tool_type : item.spell_type}
+                  <div className="item-details">
+                    <div className="item-name">{item.name}</div>
+                    
+                    <div className="item-properties">
+                      <div className="item-type">
+                        Affects: {type === 'tool' ? item.tool_type : item.spell_type}
+                      </div>
+                      <div className="item-effect">
+                        Effect: {type === 'tool' ? item.tool_effect : item.spell_effect}
+                      </div>
                     </div>
-                    <div className="item-effect">
-                      Effect: {type === 'tool' ? item.tool_effect : item.spell_effect}
+                    
+                    <div className="item-description">
+                      {getItemDescription(item, type)}
+                    </div>
+                    
+                    {previewLines.length > 0 && (
+                      <div className="item-preview">
+                        {previewLines.map(line => (
+                          <div key={line} className={line === 'Lethal' ? 'preview-lethal possible' : ''}>{line}</div>
+                        ))}
+                      </div>
+                    )}
+                    
+                    <div className="item-usage">
+                      {availability.label}
                     </div>
-                  </div>
-                  
-                  <div className="item-description">
-                    {getItemDescription(item, type)}
                   </div>
                 </div>
-              </div>
-            ))}
+              );
+            })}
           </div>
         </div>
       </div>
@@ -64,6 +83,24 @@ const ToolSpellModal = ({ items, type, onSelect, onClose }) => {
   );
 };
 
+// Helper function to describe a spell preview from actionPreview
+function getPreviewLines(preview) {
+  if (!preview) return [];
+
+  const lines = [];
+  if (preview.damage) lines.push(`${preview.damage} damage`);
+  if (preview.stun) lines.push('Stuns the target');
+  if (preview.chargedDamage) lines.push(`${preview.chargedDamage} damage next turn`);
+  if (preview.healing) lines.push(`Heals ${preview.healing}`);
+  if (preview.selfHeal) lines.push(`Heals the caster ${preview.selfHeal}`);
+  if (preview.healthOverTime > 0) lines.push(`Heals ${preview.healthOverTime} per tick for ${preview.duration} ticks`);
+  if (preview.healthOverTime < 0) lines.push(`${-preview.healthOverTime} damage per tick for ${preview.duration} ticks`);
+  if (preview.shield) lines.push(`${preview.shield} point shield`);
+  if (preview.energyGain) lines.push(`+${preview.energyGain} energy`);
+  if (preview.isLethal) lines.push('Lethal');
+  return lines;
+}
+
 // Helper function to get item description
 function getItemDescription(item, type) {
   if (type === 'tool') {
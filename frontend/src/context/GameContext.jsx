@@ -11,6 +11,11 @@ import { useRadixConnect } from './RadixConnectContext';
 // Import the service classes
 import PetService from '../utils/PetService';
 import TransactionService from '../utils/TransactionService';
+import BattleService from '../utils/BattleService';
+import CampaignService from '../utils/CampaignService';
+import PvpService from '../utils/PvpService';
+import RatingService from '../utils/RatingService';
+import ChallengeService from '../utils/ChallengeService';
 
 // Updated machineTypes with fomoHit cost change and incubator maxLevel
 const machineTypes = {
@@ -148,6 +153,13 @@ export const GameProvider = ({ children }) => {
 
   // UI states
   const [showBattleGame, setShowBattleGame] = useState(false);
+  const [campaignProgress, setCampaignProgress] = useState({ stars: {} });
+  const [pvpStatus, setPvpStatus] = useState({ record: null, defenseDeck: null });
+  const [playerRating, setPlayerRating] = useState(null);
+  const [dailyChallengeStatus, setDailyChallengeStatus] = useState({ date: null, attempt: null });
+  const [creatureExperience, setCreatureExperience] = useState({});
+  const [creatureRecords, setCreatureRecords] = useState({});
+  const [showLeaderboard, setShowLeaderboard] = useState(false);
   const [showWelcomeMessage, setShowWelcomeMessage] = useState(true);
   const [showLowCorvaxMessage, setShowLowCorvaxMessage] = useState(false);
   const [isPanelOpen, setIsPanelOpen] = useState(false);
@@ -597,6 +609,233 @@ export const GameProvider = ({ children }) => {
     }
   };
 
+  // Battle rewards - the server verifies the replay before crediting anything
+  const claimBattleRewards = async (replay) => {
+    try {
+      const result = await BattleService.claimBattleRewards(replay);
+      
+      setTcorvax(parseFloat(result.newResources.tcorvax));
+      setCatNips(parseFloat(result.newResources.catNips));
+      setEnergy(parseFloat(result.newResources.energy));
+      
+      if (result.capped) {
+        addNotification("Daily battle reward limit reached!", 400, 300, "#FFC107");
+      }
+      
+      return result;
+    } catch (error) {
+      console.error('Error claiming battle rewards:', error);
+      addNotification(
+        error.response?.data?.error || "Couldn't claim battle rewards",
+        400, 300, "#ff4444"
+      );
+      throw error;
+    }
+  };
+
+  // Creature experience - battle XP is stored server-side by creature NFT id
+  const loadCreatureExperience = useCallback(async () => {
+    try {
+      const result = await BattleService.getCreatureExperience();
+      setCreatureExperience(result.experience || {});
+      return result.experience;
+    } catch (error) {
+      console.error('Error loading creature experience:', error);
+      return null;
+    }
+  }, []);
+
+  // The server replays the battle before awarding experience
+  const claimBattleExperience = async (replay) => {
+    try {
+      const result = await BattleService.claimBattleExperience(replay);
+      setCreatureExperience(experience => ({ ...experience, ...result.experience }));
+      return result;
+    } catch (error) {
+      console.error('Error claiming battle experience:', error);
+      addNotification(
+        error.response?.data?.error || "Couldn't award battle experience",
+        400, 300, "#ff4444"
+      );
+      throw error;
+    }
+  };
+
+  // Creature battle records - lifetime statistics stored server-side by creature NFT id
+  const loadCreatureRecords = useCallback(async () => {
+    try {
+      const result = await BattleService.getCreatureRecords();
+      setCreatureRecords(result.records || {});
+      return result.records;
+    } catch (error) {
+      console.error('Error loading creature records:', error);
+      return null;
+    }
+  }, []);
+
+  // The server replays the battle before adding it to the records
+  const recordBattleStatistics = async (replay) => {
+    try {
+      const result = await BattleService.recordBattleStatistics(replay);
+      setCreatureRecords(records => ({ ...records, ...result.records }));
+      return result;
+    } catch (error) {
+      console.error('Error recording battle statistics:', error);
+      addNotification(
+        error.response?.data?.error || "Couldn't update battle records",
+        400, 300, "#ff4444"
+      );
+      throw error;
+    }
+  };
+
+  // Campaign progress - star ratings are stored server-side
+  const loadCampaignProgress = async () => {
+    try {
+      const progress = await CampaignService.getCampaignProgress();
+      setCampaignProgress({ stars: progress.stars || {} });
+      return progress;
+    } catch (error) {
+      console.error('Error loading campaign progress:', error);
+      addNotification("Couldn't load campaign progress", 400, 300, "#ff4444");
+      return null;
+    }
+  };
+
+  // The server replays the stage before recording its stars
+  const saveCampaignStage = async (replay) => {
+    try {
+      const result = await CampaignService.saveStageResult(replay);
+      setCampaignProgress({ stars: result.progress?.stars || {} });
+      return result;
+    } catch (error) {
+      console.error('Error saving campaign stage:', error);
+      addNotification(
+        error.response?.data?.error || "Couldn't save campaign progress",
+        400, 300, "#ff4444"
+      );
+      throw error;
+    }
+  };
+
+  // PvP - defense decks and records are stored server-side
+  const loadPvpStatus = async () => {
+    try {
+      const status = await PvpService.getPvpStatus();
+      setPvpStatus(status);
+      return status;
+    } catch (error) {
+      console.error('Error loading PvP status:', error);
+      addNotification("Couldn't load your PvP record", 400, 300, "#ff4444");
+      return null;
+    }
+  };
+
+  const registerDefenseDeck = async (deck) => {
+    try {
+      const status = await PvpService.registerDefenseDeck(deck);
+      setPvpStatus(status);
+      addNotification("Defense deck registered!", 400, 300, "#4CAF50");
+      return status;
+    } catch (error) {
+      console.error('Error registering defense deck:', error);
+      addNotification(
+        error.response?.data?.error || "Couldn't register your defense deck",
+        400, 300, "#ff4444"
+      );
+      throw error;
+    }
+  };
+
+  const findPvpOpponent = async () => {
+    try {
+      return await PvpService.getPvpOpponent();
+    } catch (error) {
+      console.error('Error finding PvP opponent:', error);
+      addNotification(
+        error.response?.data?.error || "Couldn't find an opponent",
+        400, 300, "#ff4444"
+      );
+      throw error;
+    }
+  };
+
+  // The server replays the battle before updating both players' records
+  const reportPvpResult = async (replay) => {
+    try {
+      const result = await PvpService.reportPvpResult(replay);
+      setPvpStatus(status => ({ ...status, record: result.record }));
+      if (result.rating) {
+        setPlayerRating(result.rating);
+      }
+      return result;
+    } catch (error) {
+      console.error('Error reporting PvP result:', error);
+      addNotification(
+        error.response?.data?.error || "Couldn't record the PvP result",
+        400, 300, "#ff4444"
+      );
+      throw error;
+    }
+  };
+
+  // Ranked ladder - ratings are kept in a server-side ledger
+  const loadPlayerRating = useCallback(async () => {
+    try {
+      const rating = await RatingService.getRating();
+      setPlayerRating(rating);
+      return rating;
+    } catch (error) {
+      console.error('Error loading rating:', error);
+      return null;
+    }
+  }, []);
+
+  // Daily challenge - one scored attempt per player per day
+  const loadDailyChallenge = async () => {
+    try {
+      const status = await ChallengeService.getDailyChallengeStatus();
+      setDailyChallengeStatus(status);
+      return status;
+    } catch (error) {
+      console.error('Error loading daily challenge:', error);
+      addNotification("Couldn't load the daily challenge", 400, 300, "#ff4444");
+      return null;
+    }
+  };
+
+  const startDailyChallenge = async (date) => {
+    try {
+      const status = await ChallengeService.startChallengeAttempt(date);
+      setDailyChallengeStatus(status);
+      return status;
+    } catch (error) {
+      console.error('Error starting daily challenge:', error);
+      addNotification(
+        error.response?.data?.error || "Couldn't start the daily challenge",
+        400, 300, "#ff4444"
+      );
+      throw error;
+    }
+  };
+
+  // The server replays the attempt and scores it itself
+  const submitDailyChallenge = async (replay) => {
+    try {
+      const status = await ChallengeService.submitChallengeAttempt(replay);
+      setDailyChallengeStatus(status);
+      addNotification(`Daily challenge score: ${status.attempt?.score ?? 0}`, 400, 300, "#4CAF50");
+      return status;
+    } catch (error) {
+      console.error('Error submitting daily challenge:', error);
+      addNotification(
+        error.response?.data?.error || "Couldn't submit your daily challenge",
+        400, 300, "#ff4444"
+      );
+      throw error;
+    }
+  };
+
   // Pet operations
   const buyPet = async (petType, x, y, room, parentMachine) => {
     try {
@@ -1302,6 +1541,29 @@ export const GameProvider = ({ children }) => {
         getCreatureNfts,
         showBattleGame,
         setShowBattleGame,
+        claimBattleRewards,
+        creatureExperience,
+        loadCreatureExperience,
+        claimBattleExperience,
+        creatureRecords,
+        loadCreatureRecords,
+        recordBattleStatistics,
+        campaignProgress,
+        loadCampaignProgress,
+        saveCampaignStage,
+        pvpStatus,
+        loadPvpStatus,
+        registerDefenseDeck,
+        findPvpOpponent,
+        reportPvpResult,
+        playerRating,
+        loadPlayerRating,
+        showLeaderboard,
+        setShowLeaderboard,
+        dailyChallengeStatus,
+        loadDailyChallenge,
+        startDailyChallenge,
+        submitDailyChallenge,
 
         // Add these to the contextValue object in the return statement
         showCreatureMinter,
@@ -0,0 +1,141 @@
+// src/utils/BattleService.js
+import axios from 'axios';
+
+/**
+ * Service class for handling battle-related API calls
+ */
+class BattleService {
+  /**
+   * Claim the rewards for a won battle. The server replays the submitted battle
+   * (see battleRewards.verifyBattleReplay), rejects replays that don't end in a
+   * victory, were already claimed, use creatures or items the player doesn't own
+   * or fight an arena line-up the seed doesn't generate, and limits the grant to
+   * today's caps.
+   * @param {Object} replay - Replay of the finished battle
+   * @returns {Promise<Object>} { granted, capped, claimedToday, dailyCaps, newResources }
+   */
+  static async claimBattleRewards(replay) {
+    try {
+      const response = await axios.post('/api/claimBattleRewards', { replay });
+      return response.data;
+    } catch (error) {
+      console.error('Error claiming battle rewards:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch the battle experience of the player's creatures
+   * @returns {Promise<Object>} { experience } mapping creature NFT ids to total XP
+   */
+  static async getCreatureExperience() {
+    try {
+      const response = await axios.get('/api/getCreatureExperience');
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching creature experience:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Award experience for a finished battle, won or lost. The server replays it
+   * (see battleRewards.calculateBattleExperience), awards each replay once, and
+   * rejects replays that use creatures or items the player doesn't own, fight an
+   * arena line-up the seed doesn't generate, or whose creatures claim a
+   * battle_level above the one their stored XP has reached.
+   * @param {Object} replay - Replay of the finished battle
+   * @returns {Promise<Object>} { gained, experience } mapping creature NFT ids to the XP
+   *   gained and to their new totals
+   */
+  static async claimBattleExperience(replay) {
+    try {
+      const response = await axios.post('/api/claimBattleExperience', { replay });
+      return response.data;
+    } catch (error) {
+      console.error('Error claiming battle experience:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch the lifetime battle records of the player's creatures
+   * @returns {Promise<Object>} { records } mapping creature NFT ids to records shaped
+   *   like battleStatistics.EMPTY_BATTLE_RECORD
+   */
+  static async getCreatureRecords() {
+    try {
+      const response = await axios.get('/api/getCreatureRecords');
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching creature records:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add a finished battle to the records of the creatures that fought in it. The
+   * server replays it (see battleRewards.calculateBattleRecords), rejects replays
+   * that use creatures or items the player doesn't own or fight an arena line-up
+   * the seed doesn't generate, and counts each replay once.
+   * @param {Object} replay - Replay of the finished battle
+   * @returns {Promise<Object>} { records } mapping creature NFT ids to their new records
+   */
+  static async recordBattleStatistics(replay) {
+    try {
+      const response = await axios.post('/api/recordBattleStatistics', { replay });
+      return response.data;
+    } catch (error) {
+      console.error('Error recording battle statistics:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Store the player's battle in progress (one per player; a newer save replaces
+   * the old one). A save that replaces a different unfinished battle, or that gets
+   * no update within battleSaves.ABANDON_TIMEOUT, has its battle forfeited: the
+   * server records the loss for PvP battles and daily challenge attempts.
+   * @param {Object} save - Save from battleSaves.createBattleSave
+   * @returns {Promise<Object>} { savedAt }
+   */
+  static async saveBattleProgress(save) {
+    try {
+      const response = await axios.post('/api/saveBattleProgress', { save });
+      return response.data;
+    } catch (error) {
+      console.error('Error saving battle progress:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch the player's battle in progress
+   * @returns {Promise<Object>} { save } where save is null if there is nothing to resume
+   */
+  static async getBattleProgress() {
+    try {
+      const response = await axios.get('/api/getBattleProgress');
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching battle progress:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove the player's saved battle once it has finished
+   * @returns {Promise<Object>} { cleared }
+   */
+  static async clearBattleProgress() {
+    try {
+      const response = await axios.post('/api/clearBattleProgress');
+      return response.data;
+    } catch (error) {
+      console.error('Error clearing battle progress:', error);
+      throw error;
+    }
+  }
+}
+
+export default BattleService;
@@ -0,0 +1,39 @@
+// src/utils/CampaignService.js
+import axios from 'axios';
+
+/**
+ * Service class for handling campaign-related API calls
+ */
+class CampaignService {
+  /**
+   * Fetch the player's campaign progress
+   * @returns {Promise<Object>} { stars: { [stageId]: number } }
+   */
+  static async getCampaignProgress() {
+    try {
+      const response = await axios.get('/api/getCampaignProgress');
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching campaign progress:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record a won campaign stage. The server replays the submitted battle, rates
+   * it with campaign.calculateStageStars and keeps the best rating per stage.
+   * @param {Object} replay - Replay of the finished battle (includes its stageId)
+   * @returns {Promise<Object>} { stars, progress }
+   */
+  static async saveStageResult(replay) {
+    try {
+      const response = await axios.post('/api/saveCampaignStage', { replay });
+      return response.data;
+    } catch (error) {
+      console.error('Error saving campaign stage:', error);
+      throw error;
+    }
+  }
+}
+
+export default CampaignService;
@@ -0,0 +1,73 @@
+// src/utils/ChallengeService.js
+import axios from 'axios';
+
+/**
+ * Service class for handling daily challenge API calls
+ */
+class ChallengeService {
+  /**
+   * Fetch the server's challenge date and the player's attempt for it
+   * @returns {Promise<Object>} { date, attempt } where attempt is null until started,
+   *   then { status: 'started' | 'submitted', score, breakdown, rank }
+   */
+  static async getDailyChallengeStatus() {
+    try {
+      const response = await axios.get('/api/getDailyChallenge');
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching daily challenge:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Use up the day's attempt, so nobody can restart until they like the draw.
+   * An attempt that is never finished is forfeited once its saved battle
+   * times out (see battleSaves.ABANDON_TIMEOUT).
+   * @param {string} date - Challenge date (YYYY-MM-DD)
+   * @returns {Promise<Object>} { date, attempt }
+   */
+  static async startChallengeAttempt(date) {
+    try {
+      const response = await axios.post('/api/startDailyChallenge', { date });
+      return response.data;
+    } catch (error) {
+      console.error('Error starting daily challenge:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Submit a finished attempt. The server scores the replay itself with
+   * challengeVerifier.verifyChallengeReplay, rejecting decks with creatures or items
+   * the player doesn't own; a score sent by the client is ignored.
+   * @param {Object} replay - Replay of the finished challenge battle
+   * @returns {Promise<Object>} { date, attempt }
+   */
+  static async submitChallengeAttempt(replay) {
+    try {
+      const response = await axios.post('/api/submitDailyChallenge', { replay });
+      return response.data;
+    } catch (error) {
+      console.error('Error submitting daily challenge:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch a day's challenge results
+   * @param {string} date - Challenge date (YYYY-MM-DD)
+   * @returns {Promise<Object>} { date, entries: [{ rank, playerId, name, score, turns }] }
+   */
+  static async getChallengeLeaderboard(date) {
+    try {
+      const response = await axios.get('/api/getDailyChallengeLeaderboard', { params: { date } });
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching daily challenge leaderboard:', error);
+      throw error;
+    }
+  }
+}
+
+export default ChallengeService;
@@ -0,0 +1,70 @@
+// src/utils/PvpService.js
+import axios from 'axios';
+
+/**
+ * Service class for handling PvP-related API calls
+ */
+class PvpService {
+  /**
+   * Fetch the player's PvP record and registered defense deck
+   * @returns {Promise<Object>} { record, defenseDeck } (defenseDeck is null until registered)
+   */
+  static async getPvpStatus() {
+    try {
+      const response = await axios.get('/api/getPvpStatus');
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching PvP status:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Register (or replace) the player's defense deck. The server checks that
+   * the player owns every creature, tool and spell in it.
+   * @param {Object} deck - Deck from pvpBattles.createDefenseDeck
+   * @returns {Promise<Object>} { record, defenseDeck }
+   */
+  static async registerDefenseDeck(deck) {
+    try {
+      const response = await axios.post('/api/registerDefenseDeck', { deck });
+      return response.data;
+    } catch (error) {
+      console.error('Error registering defense deck:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch another player's defense deck to fight
+   * @returns {Promise<Object>} { playerId, name, rating, record, deck }
+   */
+  static async getPvpOpponent() {
+    try {
+      const response = await axios.get('/api/getPvpOpponent');
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching PvP opponent:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Report a finished PvP battle. The server replays it against the stored
+   * defense deck, updates the attacker's and defender's records and rates the
+   * battle for both of them (see ratings.calculateRatingUpdate).
+   * @param {Object} replay - Replay of the finished battle (includes its pvpOpponent)
+   * @returns {Promise<Object>} { result, record, rating: { season, rating, delta, gamesPlayed, peakRating } }
+   */
+  static async reportPvpResult(replay) {
+    try {
+      const response = await axios.post('/api/reportPvpResult', { replay });
+      return response.data;
+    } catch (error) {
+      console.error('Error reporting PvP result:', error);
+      throw error;
+    }
+  }
+}
+
+export default PvpService;
@@ -0,0 +1,40 @@
+// src/utils/RatingService.js
+import axios from 'axios';
+
+/**
+ * Service class for handling ranked ladder API calls
+ */
+class RatingService {
+  /**
+   * Fetch the player's rating for the current season
+   * @returns {Promise<Object>} { season, rating, gamesPlayed, peakRating }
+   */
+  static async getRating() {
+    try {
+      const response = await axios.get('/api/getRating');
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching rating:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch a season's leaderboard
+   * @param {string} [seasonId] - Season id (defaults to the current season)
+   * @returns {Promise<Object>} { season, entries: [{ rank, playerId, name, rating, gamesPlayed }] }
+   */
+  static async getLeaderboard(seasonId) {
+    try {
+      const response = await axios.get('/api/getLeaderboard', {
+        params: seasonId ? { season: seasonId } : {}
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching leaderboard:', error);
+      throw error;
+    }
+  }
+}
+
+export default RatingService;
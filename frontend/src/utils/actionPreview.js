@@ -0,0 +1,126 @@
+// src/utils/actionPreview.js
+/**
+ * Outcome previews for the action panel: what an attack or spell will do
+ * before the player spends energy on it. The numbers follow the same formulas
+ * the engine rolls against (calculateDamage, getSpellEffect), worked out for
+ * every roll instead of a random one.
+ */
+import { getEffectivenessMultiplier, getEffectivenessText } from './statAffinities';
+import { getSpellEffect } from './itemEffects';
+
+// calculateDamage rolls damage between 90% and 110%, and critical hits deal 150%
+const VARIANCE_MIN = 0.9;
+const VARIANCE_MAX = 1.1;
+const CRITICAL_MULTIPLIER = 1.5;
+
+// Shield points left on a creature (absorbed before health)
+const getShieldAmount = (creature) => {
+  const shield = (creature.activeEffects || []).find(effect => effect.type === 'shield');
+  return shield ? shield.amount : 0;
+};
+
+// calculateDamage's result for one variance roll
+const rollDamage = (attackValue, defenseValue, multiplier, variance) => {
+  return Math.max(1, Math.round(attackValue * multiplier * variance - defenseValue));
+};
+
+// Share of variance rolls whose damage reaches `needed` (variance is uniform)
+const getReachChance = (attackValue, defenseValue, multiplier, needed) => {
+  if (needed <= 1) return 1;
+  if (attackValue * multiplier <= 0) return 0;
+
+  // Math.round(x) >= needed exactly when x >= needed - 0.5
+  const varianceNeeded = (needed - 0.5 + defenseValue) / (attackValue * multiplier);
+  const share = (VARIANCE_MAX - varianceNeeded) / (VARIANCE_MAX - VARIANCE_MIN);
+  return Math.min(1, Math.max(0, share));
+};
+
+/**
+ * Preview an attack
+ * @param {Object} attacker - Attacking battle creature
+ * @param {Object} defender - Target battle creature
+ * @returns {Object|null} - { attackType, effectiveness, damage: { min, max }, criticalDamage: { min, max },
+ *   criticalChance, dodgeChance, shield, lethalChance } with chances in [0, 1]; null without stats
+ */
+export const previewAttack = (attacker, defender) => {
+  if (!attacker?.battleStats || !defender?.battleStats) return null;
+
+  // processAttack picks the stronger attack type
+  const attackType = attacker.battleStats.physicalAttack >= attacker.battleStats.magicalAttack
+    ? 'physical'
+    : 'magical';
+  const attackValue = attackType === 'physical' ? attacker.battleStats.physicalAttack : attacker.battleStats.magicalAttack;
+  const defenseValue = attackType === 'physical' ? defender.battleStats.physicalDefense : defender.battleStats.magicalDefense;
+  const effectiveness = getEffectivenessMultiplier(attacker, defender);
+
+  const criticalChance = Math.min(1, (attacker.battleStats.criticalChance || 5) / 100);
+  const dodgeChance = Math.min(1, (defender.battleStats.dodgeChance || 3) / 100);
+  const shield = getShieldAmount(defender);
+
+  // A hit is lethal once its damage gets through the shield and the remaining health
+  const lethalDamage = defender.currentHealth + shield;
+  const normalLethal = getReachChance(attackValue, defenseValue, effectiveness, lethalDamage);
+  const criticalLethal = getReachChance(attackValue, defenseValue, effectiveness * CRITICAL_MULTIPLIER, lethalDamage);
+
+  return {
+    attackType,
+    effectiveness: getEffectivenessText(effectiveness),
+    damage: {
+      min: rollDamage(attackValue, defenseValue, effectiveness, VARIANCE_MIN),
+      max: rollDamage(attackValue, defenseValue, effectiveness, VARIANCE_MAX)
+    },
+    criticalDamage: {
+      min: rollDamage(attackValue, defenseValue, effectiveness * CRITICAL_MULTIPLIER, VARIANCE_MIN),
+      max: rollDamage(attackValue, defenseValue, effectiveness * CRITICAL_MULTIPLIER, VARIANCE_MAX)
+    },
+    criticalChance,
+    dodgeChance,
+    shield,
+    lethalChance: (1 - dodgeChance) * ((1 - criticalChance) * normalLethal + criticalChance * criticalLethal)
+  };
+};
+
+/**
+ * Preview a spell. Spells don't roll: the magnitudes come straight from getSpellEffect.
+ * @param {Object} caster - Casting battle creature
+ * @param {Object} target - Target battle creature (the caster for self-cast spells)
+ * @param {Object} spell - Spell
+ * @returns {Object|null} - { damage, healing, selfHeal, chargedDamage, healthOverTime, duration,
+ *   stun, shield, energyGain, isLethal }; null without stats
+ */
+export const previewSpell = (caster, target, spell) => {
+  if (!caster?.stats || !target?.battleStats || !spell) return null;
+
+  const effect = getSpellEffect(spell, caster.stats.magic);
+  const damage = Math.round(effect.damage || 0);
+  const healthDamage = Math.max(0, damage - getShieldAmount(target));
+  const missingHealth = target.battleStats.maxHealth - target.currentHealth;
+
+  return {
+    damage,
+    healing: Math.min(Math.round(effect.healing || 0), missingHealth),
+    selfHeal: Math.round(effect.selfHeal || 0),
+    chargedDamage: effect.prepareEffect ? Math.round(effect.prepareEffect.damage) : 0,
+    healthOverTime: effect.healthOverTime || 0,
+    duration: effect.duration || 0,
+    stun: Boolean(effect.stun),
+    shield: Math.round(effect.absorb || 0),
+    energyGain: effect.energyGain || 0,
+    isLethal: damage > 0 && healthDamage >= target.currentHealth
+  };
+};
+
+/**
+ * Format a chance for display
+ * @param {number} chance - Chance in [0, 1]
+ * @returns {string} - e.g. "35%"
+ */
+export const formatChance = (chance) => {
+  return `${Math.round(chance * 100)}%`;
+};
+
+export default {
+  previewAttack,
+  previewSpell,
+  formatChance
+};
@@ -0,0 +1,130 @@
+// src/utils/aiPersonalities.js
+/**
+ * AI personalities. Difficulty decides how well the enemy plays; a personality
+ * decides what it values. The weights below feed the deployment, counter and
+ * defense scoring in battleAI.js, so any personality works at any difficulty.
+ *
+ * Balanced is the neutral profile: its weights leave the scoring exactly as
+ * each difficulty defines it.
+ */
+
+export const DEFAULT_PERSONALITY = 'balanced';
+
+// Ask createBattle to roll a personality from the battle seed
+export const RANDOM_PERSONALITY = 'random';
+
+// Chance that an enemy action is followed by a flavor line in the battle log
+export const FLAVOR_CHANCE = 0.2;
+
+export const AI_PERSONALITIES = {
+  balanced: {
+    id: 'balanced',
+    name: 'Balanced',
+    description: 'Plays each situation on its merits.',
+    // Bonus per point of the creature's stat when choosing who to deploy
+    deployment: { attack: 0, magic: 0, defense: 0, cheap: 0 },
+    // calculateCounterScore: weight of hitting hard vs. resisting return hits
+    counter: { offense: 1, defense: 1 },
+    // findOptimalDefenseMove: defend score multiplier and the score needed to defend
+    defense: { scale: 1, threshold: 50 },
+    // Spells wait until there is also energy left to attack afterwards
+    spellsKeepAttackEnergy: true,
+    flavor: {}
+  },
+  aggressor: {
+    id: 'aggressor',
+    name: 'Aggressor',
+    description: 'Fields its hardest hitters and rarely holds back to defend.',
+    deployment: { attack: 2, magic: 0, defense: 0, cheap: 0 },
+    counter: { offense: 1.5, defense: 0.5 },
+    defense: { scale: 0.5, threshold: 90 },
+    spellsKeepAttackEnergy: true,
+    flavor: {
+      deploy: ['The enemy roars: "Into the fight, all of you!"', 'The enemy sends its fiercest creature forward.'],
+      attack: ['The enemy shouts: "No mercy!"', 'The enemy presses the attack without a second thought.'],
+      defend: ['The enemy grumbles about having to defend.']
+    }
+  },
+  turtle: {
+    id: 'turtle',
+    name: 'Turtle',
+    description: 'Deploys sturdy creatures and defends early and often.',
+    deployment: { attack: 0, magic: 0, defense: 1.5, cheap: 0 },
+    counter: { offense: 0.5, defense: 1.5 },
+    defense: { scale: 1.8, threshold: 35 },
+    spellsKeepAttackEnergy: true,
+    flavor: {
+      deploy: ['The enemy digs in behind its toughest creature.'],
+      defend: ['The enemy mutters: "Patience wins battles."', 'The enemy raises its guard again.'],
+      attack: ['The enemy strikes only when it feels safe.']
+    }
+  },
+  spellslinger: {
+    id: 'spellslinger',
+    name: 'Spellslinger',
+    description: 'Favors magical creatures and casts spells whenever it can.',
+    deployment: { attack: 0, magic: 2, defense: 0, cheap: 0 },
+    counter: { offense: 1, defense: 1 },
+    defense: { scale: 0.8, threshold: 60 },
+    spellsKeepAttackEnergy: false,
+    flavor: {
+      deploy: ['The enemy\'s creature crackles with arcane energy.'],
+      spell: ['The enemy chants: "Magic solves everything."', 'Sparks fly as the enemy reaches for another spell.'],
+      ability: ['The enemy traces a glowing sigil in the air.']
+    }
+  },
+  swarm: {
+    id: 'swarm',
+    name: 'Swarm',
+    description: 'Floods the field with cheap creatures.',
+    deployment: { attack: 0, magic: 0, defense: 0, cheap: 30 },
+    counter: { offense: 1, defense: 1 },
+    defense: { scale: 0.6, threshold: 70 },
+    spellsKeepAttackEnergy: true,
+    flavor: {
+      deploy: ['The enemy cackles: "There are always more!"', 'Another small creature scurries onto the field.'],
+      attack: ['The enemy\'s creatures pile on together.']
+    }
+  }
+};
+
+export const PERSONALITY_IDS = Object.keys(AI_PERSONALITIES);
+
+/**
+ * Get a personality by id
+ * @param {string} [personalityId] - Personality id (unknown ids fall back to Balanced)
+ * @returns {Object} - Personality profile
+ */
+export const getPersonality = (personalityId) => {
+  return AI_PERSONALITIES[personalityId] || AI_PERSONALITIES[DEFAULT_PERSONALITY];
+};
+
+/**
+ * Pick a flavor line for an enemy action, now and then
+ * @param {string} personalityId - The enemy's personality
+ * @param {string} actionType - Engine action type (deploy, attack, useSpell, ...)
+ * @param {Function} rng - Battle random source
+ * @returns {string|null} - Line for the battle log, or null
+ */
+export const getFlavorLine = (personalityId, actionType, rng) => {
+  const flavorKey = {
+    useSpell: 'spell',
+    useAbility: 'ability'
+  }[actionType] || actionType;
+  const lines = getPersonality(personalityId).flavor[flavorKey];
+  if (!lines || lines.length === 0) return null;
+
+  // Only roll when there is something to say, so other personalities' rolls are untouched
+  if (rng() >= FLAVOR_CHANCE) return null;
+  return lines[Math.floor(rng() * lines.length)];
+};
+
+export default {
+  DEFAULT_PERSONALITY,
+  RANDOM_PERSONALITY,
+  FLAVOR_CHANCE,
+  AI_PERSONALITIES,
+  PERSONALITY_IDS,
+  getPersonality,
+  getFlavorLine
+};
@@ -1,4 +1,10 @@
 // src/utils/battleAI.js
+import { ATTACK_ENERGY_COST, DEFEND_ENERGY_COST, SPELL_ENERGY_COST } from './battleCore';
+import { getToolEffect, getSpellEffect } from './itemEffects';
+import { getCreatureAbility, getAbilityAvailability } from './speciesAbilities';
+import { getEffectivenessMultiplier } from './statAffinities';
+import { getPersonality } from './aiPersonalities';
+import { getFormationScore, getAttackableTargets, getAbilityReachableTargets } from './formation';
 
 // Get max enemy field size based on difficulty
 const getMaxEnemyFieldSize = (difficulty) => {
@@ -19,131 +25,240 @@ export const determineAIAction = (
   playerField, 
   enemyTools = [], 
   enemySpells = [], 
-  enemyEnergy = 10
+  enemyEnergy = 10,
+  rng = Math.random,
+  turn = 1,
+  personalityId = null
 ) => {
-  // Log available resources for debugging
-  console.log(`AI Turn - Difficulty: ${difficulty}`);
-  console.log(`Energy: ${enemyEnergy}, Hand: ${enemyHand.length}, Field: ${enemyField.length}`);
-  
   // Get the max field size based on difficulty
   const maxFieldSize = getMaxEnemyFieldSize(difficulty);
   
-  // SAFEGUARD: Add safety checks to prevent infinite loops
-  // If no valid action is possible, return 'endTurn'
+  // The personality weights what each difficulty's scoring values (aiPersonalities.js)
+  const personality = getPersonality(personalityId);
+  
+  // SAFEGUARD: Only check truly impossible situations
   if (
-    // Check if battlefield is full
-    (enemyField.length >= maxFieldSize) ||
-    // Check if no energy
-    enemyEnergy <= 0 ||
-    // Check if no cards in hand or no creatures on field
-    (enemyHand.length === 0 && enemyField.length === 0)
+    // No energy and no creatures on field = can't do anything
+    (enemyEnergy <= 0 && enemyField.length === 0) ||
+    // No cards in hand AND no creatures on field = can't do anything
+    (enemyHand.length === 0 && enemyField.length === 0) ||
+    // No enemy energy, no creatures in hand, and no player creatures to attack = can't do anything
+    (enemyEnergy <= 0 && enemyHand.length === 0 && playerField.length === 0)
   ) {
-    console.log("AI SAFEGUARD triggered: Ending turn");
     return { type: 'endTurn' };
   }
   
   // Normal AI logic based on difficulty
   switch (difficulty) {
     case 'easy':
-      return determineEasyAIAction(enemyHand, enemyField, playerField, enemyEnergy, maxFieldSize);
+      return determineEasyAIAction(enemyHand, enemyField, playerField, enemyEnergy, maxFieldSize, rng, turn, personality);
     case 'medium':
-      return determineMediumAIAction(enemyHand, enemyField, playerField, enemyEnergy, maxFieldSize);
+      return determineMediumAIAction(enemyHand, enemyField, playerField, enemyTools, enemySpells, enemyEnergy, maxFieldSize, rng, turn, personality);
     case 'hard':
-      return determineHardAIAction(enemyHand, enemyField, playerField, enemyTools, enemySpells, enemyEnergy, maxFieldSize);
+      return determineHardAIAction(enemyHand, enemyField, playerField, enemyTools, enemySpells, enemyEnergy, maxFieldSize, turn, personality);
     case 'expert':
-      return determineExpertAIAction(enemyHand, enemyField, playerField, enemyTools, enemySpells, enemyEnergy, maxFieldSize);
+      return determineExpertAIAction(enemyHand, enemyField, playerField, enemyTools, enemySpells, enemyEnergy, maxFieldSize, turn, personality);
     default:
-      return determineEasyAIAction(enemyHand, enemyField, playerField, enemyEnergy, maxFieldSize);
+      return determineEasyAIAction(enemyHand, enemyField, playerField, enemyEnergy, maxFieldSize, rng, turn, personality);
   }
 };
 
-// Easy AI (Random actions with basic logic)
-const determineEasyAIAction = (enemyHand, enemyField, playerField, enemyEnergy, maxFieldSize) => {
-  // If no creatures on field and have cards in hand, deploy one
+// Easy AI (Random deployment, mostly attacks the most vulnerable target)
+const determineEasyAIAction = (enemyHand, enemyField, playerField, enemyEnergy, maxFieldSize, rng = Math.random, turn = 1, personality = getPersonality()) => {
+  // ========== DEPLOYMENT LOGIC ==========
   if (enemyField.length < maxFieldSize && enemyHand.length > 0) {
-    // Just pick a random creature
-    const randomCreature = enemyHand[Math.floor(Math.random() * enemyHand.length)];
+    // Only consider creatures we can afford
+    const affordableCreatures = enemyHand.filter(creature => {
+      const energyCost = creature.battleStats?.energyCost || 3;
+      return energyCost <= enemyEnergy;
+    });
     
-    // Check if we have enough energy
-    const energyCost = randomCreature.battleStats?.energyCost || 3;
-    if (enemyEnergy < energyCost) {
-      console.log(`Not enough energy to deploy creature (need ${energyCost}, have ${enemyEnergy})`);
-      return { type: 'endTurn' };
+    // If we have any affordable creatures, deploy a random one the personality likes
+    if (affordableCreatures.length > 0) {
+      const candidates = getPreferredCreatures(affordableCreatures, personality);
+      const randomCreature = candidates[Math.floor(rng() * candidates.length)];
+      
+      return {
+        type: 'deploy',
+        creature: randomCreature,
+        energyCost: randomCreature.battleStats?.energyCost || 3
+      };
     }
-    
-    return {
-      type: 'deploy',
-      creature: randomCreature,
-      energyCost: energyCost // Include the energy cost for proper deduction
-    };
   }
   
-  // If creatures on field and player has creatures, attack randomly
-  if (enemyField.length > 0 && playerField.length > 0) {
-    const randomAttacker = enemyField[Math.floor(Math.random() * enemyField.length)];
-    const randomTarget = playerField[Math.floor(Math.random() * playerField.length)];
-    
-    // 30% chance to defend instead of attack
-    if (Math.random() < 0.3 && !randomAttacker.isDefending) {
-      return {
-        type: 'defend',
-        creature: randomAttacker
-      };
+  // ========== ABILITY LOGIC ==========
+  // Now and then fire off whatever ability is ready, without much thought
+  const readyAbilities = getReadyAbilities(enemyField, enemyEnergy, turn);
+  if (readyAbilities.length > 0 && playerField.length > 0 && rng() < 0.2) {
+    const { creature, ability } = readyAbilities[Math.floor(rng() * readyAbilities.length)];
+    const targets = getAbilityReachableTargets(creature, ability, playerField);
+    const target = ability.target === 'enemy'
+      ? targets[Math.floor(rng() * targets.length)]
+      : null;
+    if (ability.target !== 'enemy' || target) {
+      return { type: 'useAbility', creature, target, energyCost: ability.energyCost };
     }
-    
-    return {
-      type: 'attack',
-      attacker: randomAttacker,
-      target: randomTarget
-    };
   }
   
-  // If creatures on field but player has none, just defend
-  if (enemyField.length > 0 && playerField.length === 0) {
-    const randomCreature = enemyField[Math.floor(Math.random() * enemyField.length)];
-    
-    // Only defend if not already defending
-    if (!randomCreature.isDefending) {
+  // ========== ATTACK LOGIC ==========
+  if (enemyField.length > 0 && playerField.length > 0) {
+    if (enemyEnergy >= ATTACK_ENERGY_COST) {
+      // Prefer attackers that aren't defending, but use anyone if all are
+      const nonDefendingCreatures = enemyField.filter(c => !c.isDefending);
+      const attackerPool = nonDefendingCreatures.length > 0 ? nonDefendingCreatures : enemyField;
+      
+      // Find the strongest attacker in the available pool
+      const bestAttacker = attackerPool.reduce((best, current) => {
+        if (!best) return current;
+        
+        const currentAttack = Math.max(
+          current.battleStats?.physicalAttack || 0,
+          current.battleStats?.magicalAttack || 0
+        );
+        
+        const bestAttack = Math.max(
+          best.battleStats?.physicalAttack || 0,
+          best.battleStats?.magicalAttack || 0
+        );
+        
+        return currentAttack > bestAttack ? current : best;
+      }, null);
+      
+      // Find the most vulnerable target the attacker can reach
+      const weakestTarget = getAttackableTargets(bestAttacker, playerField).reduce((weakest, current) => {
+        if (!weakest) return current;
+        
+        // Consider both health and defense when determining vulnerability
+        const currentDefense = Math.min(
+          current.battleStats?.physicalDefense || 0,
+          current.battleStats?.magicalDefense || 0
+        );
+        
+        const weakestDefense = Math.min(
+          weakest.battleStats?.physicalDefense || 0,
+          weakest.battleStats?.magicalDefense || 0
+        );
+        
+        // Weight health more heavily than defense
+        const currentVulnerability = (current.currentHealth * 2) + currentDefense;
+        const weakestVulnerability = (weakest.currentHealth * 2) + weakestDefense;
+        
+        return currentVulnerability < weakestVulnerability ? current : weakest;
+      }, null);
+      
+      // 80% chance to attack in easy mode
+      if (rng() < 0.8) {
+        return {
+          type: 'attack',
+          attacker: bestAttacker,
+          target: weakestTarget,
+          energyCost: ATTACK_ENERGY_COST
+        };
+      }
+      
+      // Only defend if needed (low health or player has high attack)
+      const needsDefending = enemyField.find(creature => {
+        const isLowHealth = creature.currentHealth < (creature.battleStats.maxHealth * getDefendHealthRatio(0.3, personality));
+        
+        const playerHasHighAttack = playerField.some(playerCreature => {
+          const playerAttack = Math.max(
+            playerCreature.battleStats?.physicalAttack || 0,
+            playerCreature.battleStats?.magicalAttack || 0
+          );
+          
+          return playerAttack > (creature.battleStats?.physicalDefense || 0);
+        });
+        
+        return (isLowHealth || playerHasHighAttack) && !creature.isDefending;
+      });
+      
+      if (needsDefending && enemyEnergy >= DEFEND_ENERGY_COST) {
+        return {
+          type: 'defend',
+          creature: needsDefending,
+          energyCost: DEFEND_ENERGY_COST
+        };
+      }
+      
+      // Default to attack if we got this far
       return {
-        type: 'defend',
-        creature: randomCreature
+        type: 'attack',
+        attacker: bestAttacker,
+        target: weakestTarget,
+        energyCost: ATTACK_ENERGY_COST
       };
     }
+    
+    // Not enough energy to attack, see if we can defend
+    if (enemyEnergy >= DEFEND_ENERGY_COST) {
+      const randomCreature = enemyField[Math.floor(rng() * enemyField.length)];
+      if (!randomCreature.isDefending) {
+        return {
+          type: 'defend',
+          creature: randomCreature,
+          energyCost: DEFEND_ENERGY_COST
+        };
+      }
+    }
   }
   
   // If no valid action, end turn
   return { type: 'endTurn' };
 };
 
-// Medium AI (Smarter targeting but not optimal)
-const determineMediumAIAction = (enemyHand, enemyField, playerField, enemyEnergy, maxFieldSize) => {
-  // Deploy strongest creature from hand if field isn't full
+// Medium AI (Deploys strongest affordable creature, focuses the weakest target)
+const determineMediumAIAction = (enemyHand, enemyField, playerField, enemyTools, enemySpells, enemyEnergy, maxFieldSize, rng = Math.random, turn = 1, personality = getPersonality()) => {
+  // Deploy strongest affordable creature from hand if field isn't full
   if (enemyField.length < maxFieldSize && enemyHand.length > 0) {
-    // Find creature with highest combined stats
-    const bestCreature = enemyHand.reduce((best, current) => {
-      if (!current.stats) return best;
-      if (!best) return current;
-      
-      const currentTotal = Object.values(current.stats).reduce((sum, val) => sum + val, 0);
-      const bestTotal = Object.values(best.stats).reduce((sum, val) => sum + val, 0);
-      return currentTotal > bestTotal ? current : best;
-    }, null);
+    const affordableCreatures = enemyHand.filter(creature => {
+      const energyCost = creature.battleStats?.energyCost || 3;
+      return energyCost <= enemyEnergy;
+    });
     
-    if (bestCreature) {
-      // Check if we have enough energy
-      const energyCost = bestCreature.battleStats?.energyCost || 3;
-      if (enemyEnergy >= energyCost) {
+    if (affordableCreatures.length > 0) {
+      // Find creature with highest combined stats (plus what the personality values
+      // and how it fits the formation)
+      const bestCreature = affordableCreatures.reduce((best, current) => {
+        if (!current.stats) return best;
+        if (!best) return current;
+        
+        const currentTotal = Object.values(current.stats).reduce((sum, val) => sum + val, 0) +
+          getPersonalityDeployBonus(current, personality) + getFormationScore(current, enemyField);
+        const bestTotal = best.stats
+          ? Object.values(best.stats).reduce((sum, val) => sum + val, 0) + getPersonalityDeployBonus(best, personality) +
+            getFormationScore(best, enemyField)
+          : 0;
+        return currentTotal > bestTotal ? current : best;
+      }, null);
+      
+      if (bestCreature) {
         return {
           type: 'deploy',
           creature: bestCreature,
-          energyCost: energyCost
+          energyCost: bestCreature.battleStats?.energyCost || 3
         };
       }
     }
   }
   
-  // Attack targeting lowest health enemy if we have creatures on field
-  if (enemyField.length > 0 && playerField.length > 0) {
+  // Often use a species ability when it fits the situation
+  if (rng() < 0.5) {
+    const abilityMove = findAbilityMove(enemyField, playerField, enemyEnergy, turn);
+    if (abilityMove) {
+      return abilityMove;
+    }
+  }
+  
+  // Sometimes use a tool or spell instead of attacking
+  if (rng() < 0.3) {
+    const itemMove = findItemMove(enemyField, playerField, enemyTools, enemySpells, enemyEnergy, personality);
+    if (itemMove) {
+      return itemMove;
+    }
+  }
+  
+  // Attack if we have the energy and there are valid targets
+  if (enemyField.length > 0 && playerField.length > 0 && enemyEnergy >= ATTACK_ENERGY_COST) {
     // Find attacker with highest attack stat
     const bestAttacker = enemyField.reduce((best, current) => {
       if (!current.battleStats) return best;
@@ -160,34 +275,52 @@ const determineMediumAIAction = (enemyHand, enemyField, playerField, enemyEnergy
       return currentAttack > bestAttack ? current : best;
     }, null);
     
-    // Find target with lowest health
-    const weakestTarget = playerField.reduce((weakest, current) => {
+    // Find the target with the lowest health that the attacker can reach
+    const weakestTarget = (bestAttacker ? getAttackableTargets(bestAttacker, playerField) : []).reduce((weakest, current) => {
       if (!weakest) return current;
       return current.currentHealth < weakest.currentHealth ? current : weakest;
     }, null);
     
-    // 25% chance to defend if creature is below 30% health or if player has no creatures
-    if (bestAttacker && !bestAttacker.isDefending && 
-        (playerField.length === 0 || 
-         (bestAttacker.currentHealth < bestAttacker.battleStats.maxHealth * 0.3 && Math.random() < 0.25))) {
+    // Check if any creature needs defending (health below 40%, adjusted by personality)
+    const creatureNeedsDefending = enemyField.find(creature => 
+      !creature.isDefending && 
+      creature.currentHealth < (creature.battleStats.maxHealth * getDefendHealthRatio(0.4, personality))
+    );
+    
+    // 90% chance to attack in medium mode, unless a creature needs defending
+    const willAttack = !creatureNeedsDefending || rng() < 0.9;
+    
+    if (willAttack && bestAttacker && weakestTarget) {
+      return {
+        type: 'attack',
+        attacker: bestAttacker,
+        target: weakestTarget,
+        energyCost: ATTACK_ENERGY_COST
+      };
+    }
+    
+    // If creature needs defending and we have energy, defend
+    if (creatureNeedsDefending && enemyEnergy >= DEFEND_ENERGY_COST) {
       return {
         type: 'defend',
-        creature: bestAttacker
+        creature: creatureNeedsDefending,
+        energyCost: DEFEND_ENERGY_COST
       };
     }
     
-    // Attack with best attacker against weakest target
+    // Default to attack if we have attackers and targets
     if (bestAttacker && weakestTarget) {
       return {
         type: 'attack',
         attacker: bestAttacker,
-        target: weakestTarget
+        target: weakestTarget,
+        energyCost: ATTACK_ENERGY_COST
       };
     }
   }
   
-  // Defend with low health creatures
-  if (enemyField.length > 0 && (playerField.length === 0 || Math.random() < 0.4)) {
+  // Defend with low health creatures if we have energy
+  if (enemyField.length > 0 && enemyEnergy >= DEFEND_ENERGY_COST) {
     // Find creature with lowest health percentage
     const lowestHealthCreature = enemyField.reduce((lowest, current) => {
       if (!current.battleStats || current.isDefending) return lowest;
@@ -201,7 +334,8 @@ const determineMediumAIAction = (enemyHand, enemyField, playerField, enemyEnergy
     if (lowestHealthCreature && lowestHealthCreature.currentHealth / lowestHealthCreature.battleStats.maxHealth < 0.5) {
       return {
         type: 'defend',
-        creature: lowestHealthCreature
+        creature: lowestHealthCreature,
+        energyCost: DEFEND_ENERGY_COST
       };
     }
   }
@@ -211,7 +345,7 @@ const determineMediumAIAction = (enemyHand, enemyField, playerField, enemyEnergy
 };
 
 // Hard AI implementation (Optimal targeting and tool/spell usage)
-const determineHardAIAction = (enemyHand, enemyField, playerField, enemyTools, enemySpells, enemyEnergy, maxFieldSize) => {
+const determineHardAIAction = (enemyHand, enemyField, playerField, enemyTools, enemySpells, enemyEnergy, maxFieldSize, turn = 1, personality = getPersonality()) => {
   // Prioritize deployment of creatures first to establish battlefield presence
   if (enemyField.length < maxFieldSize && enemyHand.length > 0) {
     // Find best creature to deploy based on current battlefield state
@@ -239,24 +373,10 @@ const determineHardAIAction = (enemyHand, enemyField, playerField, enemyTools, e
       
       // Counter scoring based on player's field
       if (playerField.length > 0) {
-        // Check if this creature counters any player creatures
+        // Favor creatures whose affinity counters the player's creatures
         for (const playerCreature of playerField) {
           if (!playerCreature.stats) continue;
-          
-          // If player has high strength, value high magic
-          if (playerCreature.stats.strength > 7) {
-            score += creature.stats.magic * 3;
-          }
-          
-          // If player has high magic, value high speed
-          if (playerCreature.stats.magic > 7) {
-            score += creature.stats.speed * 3;
-          }
-          
-          // If player has high speed, value high stamina
-          if (playerCreature.stats.speed > 7) {
-            score += creature.stats.stamina * 3;
-          }
+          score += calculateCounterScore(creature, playerCreature, personality) * 3;
         }
       }
       
@@ -271,6 +391,12 @@ const determineHardAIAction = (enemyHand, enemyField, playerField, enemyTools, e
       // Higher score for higher form
       score *= (1 + creature.form * 0.2);
       
+      // What the personality looks for
+      score += getPersonalityDeployBonus(creature, personality);
+      
+      // Sturdy creatures for an empty front row, back row attackers behind a held one
+      score += getFormationScore(creature, enemyField) * 2;
+      
       // If this creature has better score than current best, update best
       if (score > bestScore) {
         bestScore = score;
@@ -289,8 +415,23 @@ const determineHardAIAction = (enemyHand, enemyField, playerField, enemyTools, e
     }
   }
   
+  // Use a species ability when one fits the situation
+  const abilityMove = findAbilityMove(enemyField, playerField, enemyEnergy, turn);
+  if (abilityMove) {
+    return abilityMove;
+  }
+  
+  // Use a tool or spell when one fits the situation
+  const itemMove = findItemMove(enemyField, playerField, enemyTools, enemySpells, enemyEnergy, personality);
+  if (itemMove) {
+    return itemMove;
+  }
+  
   // If we have creatures on field and player has creatures, consider attacking
   if (enemyField.length > 0 && playerField.length > 0) {
+    const canAttack = enemyEnergy >= ATTACK_ENERGY_COST;
+    const canDefend = enemyEnergy >= DEFEND_ENERGY_COST;
+    
     // Find best attack combination
     let bestAttackScore = -1;
     let bestAttacker = null;
@@ -298,21 +439,18 @@ const determineHardAIAction = (enemyHand, enemyField, playerField, enemyTools, e
     
     // Check all possible attack combinations
     for (const attacker of enemyField) {
-      // Skip creatures that are defending
-      if (attacker.isDefending) continue;
+      // Skip creatures that are defending, or everyone if we can't afford to attack
+      if (!canAttack || attacker.isDefending) continue;
       
       for (const target of playerField) {
         // Calculate potential damage and effectiveness
         let attackerStat, defenderStat;
-        let attackType;
         
         // Determine attack type based on attacker's stats
         if ((attacker.battleStats?.physicalAttack || 0) >= (attacker.battleStats?.magicalAttack || 0)) {
-          attackType = 'physical';
           attackerStat = attacker.battleStats?.physicalAttack || 0;
           defenderStat = target.battleStats?.physicalDefense || 0;
         } else {
-          attackType = 'magical';
           attackerStat = attacker.battleStats?.magicalAttack || 0;
           defenderStat = target.battleStats?.magicalDefense || 0;
         }
@@ -321,7 +459,7 @@ const determineHardAIAction = (enemyHand, enemyField, playerField, enemyTools, e
         let damage = Math.max(1, attackerStat - defenderStat);
         
         // Apply effectiveness multiplier based on stat relationships
-        const effectiveness = calculateEffectiveness(attackType, attacker.stats, target.stats);
+        const effectiveness = getEffectivenessMultiplier(attacker, target);
         damage = Math.round(damage * effectiveness);
         
         // Calculate score for this attack
@@ -351,8 +489,8 @@ const determineHardAIAction = (enemyHand, enemyField, playerField, enemyTools, e
     
     // Check all creatures on field for defending
     for (const creature of enemyField) {
-      // Skip creatures that are already defending
-      if (creature.isDefending) continue;
+      // Skip creatures that are already defending, or everyone if we can't afford to defend
+      if (!canDefend || creature.isDefending) continue;
       
       // Calculate defend score based on creature's health and stats
       let defendScore = 0;
@@ -367,6 +505,9 @@ const determineHardAIAction = (enemyHand, enemyField, playerField, enemyTools, e
       // Lower defend score for creatures with high attack stats
       defendScore -= (creature.battleStats.physicalAttack + creature.battleStats.magicalAttack) * 0.2;
       
+      // Cautious personalities defend more readily
+      defendScore *= personality.defense.scale;
+      
       // If this creature has better defend score than current best, update best
       if (defendScore > bestDefendScore) {
         bestDefendScore = defendScore;
@@ -380,7 +521,8 @@ const determineHardAIAction = (enemyHand, enemyField, playerField, enemyTools, e
       if (bestDefender && bestDefender.currentHealth / bestDefender.battleStats.maxHealth < 0.25 && bestDefendScore > 50) {
         return {
           type: 'defend',
-          creature: bestDefender
+          creature: bestDefender,
+          energyCost: DEFEND_ENERGY_COST
         };
       }
       
@@ -389,12 +531,14 @@ const determineHardAIAction = (enemyHand, enemyField, playerField, enemyTools, e
         return {
           type: 'attack',
           attacker: bestAttacker,
-          target: bestTarget
+          target: bestTarget,
+          energyCost: ATTACK_ENERGY_COST
         };
       } else if (bestDefender) {
         return {
           type: 'defend',
-          creature: bestDefender
+          creature: bestDefender,
+          energyCost: DEFEND_ENERGY_COST
         };
       }
     } else if (bestAttackScore > 0) {
@@ -402,13 +546,15 @@ const determineHardAIAction = (enemyHand, enemyField, playerField, enemyTools, e
       return {
         type: 'attack',
         attacker: bestAttacker,
-        target: bestTarget
+        target: bestTarget,
+        energyCost: ATTACK_ENERGY_COST
       };
     } else if (bestDefendScore > 0) {
       // Only defend option is viable
       return {
         type: 'defend',
-        creature: bestDefender
+        creature: bestDefender,
+        energyCost: DEFEND_ENERGY_COST
       };
     }
   }
@@ -418,37 +564,51 @@ const determineHardAIAction = (enemyHand, enemyField, playerField, enemyTools, e
 };
 
 // Expert AI implementation (Perfect decision making with look-ahead)
-const determineExpertAIAction = (enemyHand, enemyField, playerField, enemyTools, enemySpells, enemyEnergy, maxFieldSize) => {
+const determineExpertAIAction = (enemyHand, enemyField, playerField, enemyTools, enemySpells, enemyEnergy, maxFieldSize, turn = 1, personality = getPersonality()) => {
   // The expert AI uses the same logic as the hard AI but with improved parameters
   // and simulation-based decision making (looking ahead to see best outcome)
   
+  const canAttack = enemyEnergy >= ATTACK_ENERGY_COST;
+  
   // First, check if there's an opportunity to end the game this turn
-  const gameEndingMove = findGameEndingMove(enemyField, playerField);
+  const gameEndingMove = canAttack && findGameEndingMove(enemyField, playerField);
   if (gameEndingMove) {
-    return gameEndingMove;
+    return { ...gameEndingMove, energyCost: ATTACK_ENERGY_COST };
   }
   
   // Next, prioritize optimal deployment to counter player field
   if (enemyField.length < maxFieldSize && enemyHand.length > 0) {
-    const deployMove = findOptimalDeployment(enemyHand, enemyField, playerField, enemyEnergy);
+    const deployMove = findOptimalDeployment(enemyHand, enemyField, playerField, enemyEnergy, personality);
     if (deployMove) {
       return deployMove;
     }
   }
   
+  // Use a species ability when one fits the situation
+  const abilityMove = findAbilityMove(enemyField, playerField, enemyEnergy, turn);
+  if (abilityMove) {
+    return abilityMove;
+  }
+  
+  // Use a tool or spell when one fits the situation
+  const itemMove = findItemMove(enemyField, playerField, enemyTools, enemySpells, enemyEnergy, personality);
+  if (itemMove) {
+    return itemMove;
+  }
+  
   // Find the most optimal attack sequence (may involve multiple attacks)
-  if (enemyField.length > 0 && playerField.length > 0) {
+  if (canAttack && enemyField.length > 0 && playerField.length > 0) {
     const attackMove = findOptimalAttackSequence(enemyField, playerField);
     if (attackMove) {
-      return attackMove;
+      return { ...attackMove, energyCost: ATTACK_ENERGY_COST };
     }
   }
   
   // Consider defensive moves if attacks aren't optimal
-  if (enemyField.length > 0) {
-    const defendMove = findOptimalDefenseMove(enemyField, playerField);
+  if (enemyEnergy >= DEFEND_ENERGY_COST && enemyField.length > 0) {
+    const defendMove = findOptimalDefenseMove(enemyField, playerField, personality);
     if (defendMove) {
-      return defendMove;
+      return { ...defendMove, energyCost: DEFEND_ENERGY_COST };
     }
   }
   
@@ -470,37 +630,6 @@ function calculateStatVariance(stats) {
   return variance;
 }
 
-// Calculate effectiveness multiplier based on stats for AI decision making
-function calculateEffectiveness(attackType, attackerStats, defenderStats) {
-  if (!attackerStats || !defenderStats) return 1.0;
-  
-  // Rock-Paper-Scissors relationships:
-  // Strength > Stamina > Speed > Magic > Energy > Strength
-  
-  if (attackType === 'physical') {
-    // Physical attacks are based on Strength
-    if (defenderStats.stamina > defenderStats.energy) {
-      // Strong against stamina-focused defenders
-      return 1.5;
-    } else if (defenderStats.magic > defenderStats.stamina) {
-      // Weak against magic-focused defenders
-      return 0.75;
-    }
-  } else {
-    // Magical attacks are based on Magic
-    if (defenderStats.speed > defenderStats.strength) {
-      // Strong against speed-focused defenders
-      return 1.5;
-    } else if (defenderStats.energy > defenderStats.magic) {
-      // Weak against energy-focused defenders
-      return 0.75;
-    }
-  }
-  
-  // Default: normal effectiveness
-  return 1.0;
-}
-
 // Calculate threat level of a creature (for AI targeting decision)
 function calculateThreat(creature) {
   if (!creature.battleStats || !creature.stats) return 0;
@@ -575,7 +704,34 @@ function findGameEndingMove(enemyField, playerField) {
   return null;
 }
 
-function findOptimalDeployment(enemyHand, enemyField, playerField, enemyEnergy) {
+// Highest deployment cost a creature can have (see calculateDerivedStats)
+const MAX_CREATURE_ENERGY_COST = 10;
+
+// Extra deployment score for the stats a personality looks for (0 for Balanced)
+function getPersonalityDeployBonus(creature, personality) {
+  const weights = personality.deployment;
+  const stats = creature.battleStats || {};
+  const energyCost = stats.energyCost || 3;
+  
+  return Math.max(stats.physicalAttack || 0, stats.magicalAttack || 0) * weights.attack +
+    (stats.magicalAttack || 0) * weights.magic +
+    ((stats.physicalDefense || 0) + (stats.magicalDefense || 0)) / 2 * weights.defense +
+    Math.max(0, MAX_CREATURE_ENERGY_COST - energyCost) * weights.cheap;
+}
+
+// The creatures a personality rates at least average (all of them when it has no preference)
+function getPreferredCreatures(creatures, personality) {
+  const bonuses = creatures.map(creature => getPersonalityDeployBonus(creature, personality));
+  const average = bonuses.reduce((sum, bonus) => sum + bonus, 0) / bonuses.length;
+  return creatures.filter((creature, index) => bonuses[index] >= average);
+}
+
+// Health share below which a creature wants to defend, moved by the personality's caution
+function getDefendHealthRatio(baseRatio, personality) {
+  return Math.min(0.9, baseRatio * personality.defense.scale);
+}
+
+function findOptimalDeployment(enemyHand, enemyField, playerField, enemyEnergy, personality = getPersonality()) {
   // Similar to hard AI but with improved parameters
   let bestCreature = null;
   let bestScore = -1;
@@ -605,7 +761,7 @@ function findOptimalDeployment(enemyHand, enemyField, playerField, enemyEnergy)
         if (!playerCreature.stats) continue;
         
         // Expert counter scoring
-        const counterScore = calculateCounterScore(creature.stats, playerCreature.stats);
+        const counterScore = calculateCounterScore(creature, playerCreature, personality);
         score += counterScore * 5;
       }
     }
@@ -620,6 +776,12 @@ function findOptimalDeployment(enemyHand, enemyField, playerField, enemyEnergy)
     
     score *= (1 + creature.form * 0.3);
     
+    // What the personality looks for
+    score += getPersonalityDeployBonus(creature, personality);
+    
+    // How the creature fits the formation
+    score += getFormationScore(creature, enemyField) * 3;
+    
     // Update best creature if this one is better
     if (score > bestScore) {
       bestScore = score;
@@ -639,36 +801,13 @@ function findOptimalDeployment(enemyHand, enemyField, playerField, enemyEnergy)
   return null;
 }
 
-function calculateCounterScore(attackerStats, defenderStats) {
-  // Calculate how well attacker counters defender
-  let score = 0;
-  
-  // Strength counters stamina
-  if (attackerStats.strength > 7 && defenderStats.stamina > 7) {
-    score += 10;
-  }
-  
-  // Stamina counters speed
-  if (attackerStats.stamina > 7 && defenderStats.speed > 7) {
-    score += 10;
-  }
-  
-  // Speed counters magic
-  if (attackerStats.speed > 7 && defenderStats.magic > 7) {
-    score += 10;
-  }
-  
-  // Magic counters energy
-  if (attackerStats.magic > 7 && defenderStats.energy > 7) {
-    score += 10;
-  }
-  
-  // Energy counters strength
-  if (attackerStats.energy > 7 && defenderStats.strength > 7) {
-    score += 10;
-  }
-  
-  return score;
+// How well a creature counters another: good when it hits super effectively and
+// resists the return hits. Personalities weigh the two sides differently.
+function calculateCounterScore(creature, opponent, personality = getPersonality()) {
+  const { offense, defense } = personality.counter;
+  const advantage = offense * getEffectivenessMultiplier(creature, opponent) -
+    defense * getEffectivenessMultiplier(opponent, creature);
+  return Math.round(advantage * 15);
 }
 
 function findOptimalAttackSequence(enemyField, playerField) {
@@ -683,19 +822,17 @@ function findOptimalAttackSequence(enemyField, playerField) {
     
     for (const target of playerField) {
       // Calculate expected damage
-      let attackType, attackValue, defenseValue, effectiveness;
+      let attackValue, defenseValue, effectiveness;
       
       if ((attacker.battleStats?.physicalAttack || 0) >= (attacker.battleStats?.magicalAttack || 0)) {
-        attackType = 'physical';
         attackValue = attacker.battleStats?.physicalAttack || 0;
         defenseValue = target.battleStats?.physicalDefense || 0;
       } else {
-        attackType = 'magical';
         attackValue = attacker.battleStats?.magicalAttack || 0;
         defenseValue = target.battleStats?.magicalDefense || 0;
       }
       
-      effectiveness = calculateEffectiveness(attackType, attacker.stats, target.stats);
+      effectiveness = getEffectivenessMultiplier(attacker, target);
       
       // Calculate raw damage
       let damage = Math.max(1, attackValue - defenseValue);
@@ -733,7 +870,7 @@ function findOptimalAttackSequence(enemyField, playerField) {
   return null;
 }
 
-function findOptimalDefenseMove(enemyField, playerField) {
+function findOptimalDefenseMove(enemyField, playerField, personality = getPersonality()) {
   // Calculate board threat from player field
   let totalPlayerThreat = 0;
   for (const creature of playerField) {
@@ -774,8 +911,8 @@ function findOptimalDefenseMove(enemyField, playerField) {
     
     defendScore *= (1 + creature.form * 0.2);
     
-    // Scale defend score by total player threat
-    defendScore *= (1 + totalPlayerThreat / 100);
+    // Scale defend score by total player threat and the personality's caution
+    defendScore *= (1 + totalPlayerThreat / 100) * personality.defense.scale;
     
     // Update best defender if this one is better
     if (defendScore > bestDefendScore) {
@@ -785,7 +922,7 @@ function findOptimalDefenseMove(enemyField, playerField) {
   }
   
   // Only defend if score is high enough
-  if (bestDefender && bestDefendScore > 50) {
+  if (bestDefender && bestDefendScore > personality.defense.threshold) {
     return {
       type: 'defend',
       creature: bestDefender
@@ -794,3 +931,137 @@ function findOptimalDefenseMove(enemyField, playerField) {
   
   return null;
 }
+
+// Find a tool or spell worth using (medium, hard and expert AI). Only items that are
+// ready this turn are passed in. Tools are free; spells must leave enough
+// energy for an attack afterwards, unless the personality doesn't care.
+function findItemMove(enemyField, playerField, enemyTools = [], enemySpells = [], enemyEnergy, personality = getPersonality()) {
+  if (enemyField.length === 0 || playerField.length === 0) return null;
+  
+  const healthRatio = (creature) => creature.currentHealth / creature.battleStats.maxHealth;
+  const mostWounded = enemyField.reduce((lowest, creature) =>
+    healthRatio(creature) < healthRatio(lowest) ? creature : lowest
+  );
+  const strongestAttacker = enemyField.reduce((best, creature) =>
+    calculateThreat(creature) > calculateThreat(best) ? creature : best
+  );
+  
+  const spellEnergyNeeded = personality.spellsKeepAttackEnergy
+    ? SPELL_ENERGY_COST + ATTACK_ENERGY_COST
+    : SPELL_ENERGY_COST;
+  if (enemyEnergy >= spellEnergyNeeded) {
+    // The creature with the most magic casts
+    const caster = enemyField.reduce((best, creature) =>
+      (creature.stats?.magic || 0) > (best.stats?.magic || 0) ? creature : best
+    );
+    
+    for (const spell of enemySpells) {
+      const spellEffect = getSpellEffect(spell, caster.stats?.magic);
+      const isOffensive = spellEffect.damage > 0 || spellEffect.prepareEffect || spellEffect.healthOverTime < 0;
+      
+      if (isOffensive) {
+        // Finish off the weakest player creature
+        const target = playerField.reduce((weakest, creature) =>
+          creature.currentHealth < weakest.currentHealth ? creature : weakest
+        );
+        return { type: 'useSpell', spell, caster, target, energyCost: SPELL_ENERGY_COST };
+      }
+      
+      // Support spells are saved for a creature in trouble
+      if (healthRatio(mostWounded) < 0.6) {
+        return { type: 'useSpell', spell, caster, target: mostWounded, energyCost: SPELL_ENERGY_COST };
+      }
+    }
+  }
+  
+  for (const tool of enemyTools) {
+    const toolEffect = getToolEffect(tool);
+    const isDefensive = toolEffect.healthChange > 0 || tool.tool_effect === 'Shield';
+    
+    if (isDefensive) {
+      if (healthRatio(mostWounded) < 0.6) {
+        return { type: 'useTool', tool, target: mostWounded, energyCost: 0 };
+      }
+      continue;
+    }
+    
+    // Boosts go to the biggest threat
+    return { type: 'useTool', tool, target: strongestAttacker, energyCost: 0 };
+  }
+  
+  return null;
+}
+
+// Abilities on the field that are off cooldown and affordable
+function getReadyAbilities(enemyField, enemyEnergy, turn) {
+  return enemyField
+    .map(creature => ({ creature, ability: getCreatureAbility(creature) }))
+    .filter(({ creature, ability }) =>
+      ability &&
+      ability.energyCost <= enemyEnergy &&
+      getAbilityAvailability(creature, turn).ready
+    );
+}
+
+// Pick the species ability that helps most right now (medium, hard and expert AI).
+// Attacks aim at the weakest player creature; heals, shields and taunts are saved
+// for when an ally is hurt; team boosts need at least two allies.
+function findAbilityMove(enemyField, playerField, enemyEnergy, turn) {
+  if (enemyField.length === 0 || playerField.length === 0) return null;
+  
+  const healthRatio = (creature) => creature.currentHealth / creature.battleStats.maxHealth;
+  // Physical abilities can only hit what their user reaches (see formation.js)
+  const getWeakestTarget = (creature, ability) => getAbilityReachableTargets(creature, ability, playerField)
+    .reduce((weakest, target) => (!weakest || target.currentHealth < weakest.currentHealth ? target : weakest), null);
+  
+  let bestMove = null;
+  let bestScore = 0;
+  
+  getReadyAbilities(enemyField, enemyEnergy, turn).forEach(({ creature, ability }) => {
+    const woundedAllies = enemyField.filter(ally => healthRatio(ally) < 0.6);
+    let score = 0;
+    
+    switch (ability.aiHint) {
+      case 'attack':
+        // Area attacks get better with more targets (physical ones only hit what they reach)
+        score = ability.target === 'enemy'
+          ? 60
+          : 30 + 20 * getAbilityReachableTargets(creature, ability, playerField).length;
+        break;
+      case 'heal':
+        score = woundedAllies.length * 40;
+        break;
+      case 'protect': {
+        const taunts = (ability.statuses || []).some(status => status.type === 'taunt');
+        if (taunts) {
+          // Step in front of a hurt ally, but only while healthy enough to take the hits
+          const othersHurt = woundedAllies.some(ally => ally.id !== creature.id);
+          score = othersHurt && healthRatio(creature) > 0.5 ? 70 : 0;
+        } else if (ability.target === 'self') {
+          score = healthRatio(creature) < 0.7 ? 55 : 0;
+        } else {
+          score = woundedAllies.length * 35;
+        }
+        break;
+      }
+      case 'boost':
+        score = enemyField.length >= 2 ? 25 * enemyField.length : 0;
+        break;
+      default:
+        break;
+    }
+    
+    const target = ability.target === 'enemy' ? getWeakestTarget(creature, ability) : null;
+    if (score > bestScore && (ability.target !== 'enemy' || target)) {
+      bestScore = score;
+      bestMove = {
+        type: 'useAbility',
+        creature,
+        target,
+        energyCost: ability.energyCost
+      };
+    }
+  });
+  
+  return bestMove;
+}
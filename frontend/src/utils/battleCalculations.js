@@ -1,4 +1,7 @@
 // src/utils/battleCalculations.js - Fixed to handle missing properties
+import { getEffectivenessMultiplier, getEffectivenessText } from './statAffinities';
+import { getLevelStatMultiplier } from './creatureExperience';
+
 // Calculate derived stats from base creature stats
 export const calculateDerivedStats = (creature) => {
   // Validate input
@@ -21,13 +24,14 @@ export const calculateDerivedStats = (creature) => {
   const rarity = getRarityMultiplier(creature.rarity);
   const form = getFormMultiplier(creature.form || 0);
   const combinationBonus = (creature.combination_level || 0) * 0.1 + 1; // +10% per combination level
+  const level = getLevelStatMultiplier(creature); // Off-chain battle level (creatureExperience.js)
   
   return {
-    physicalAttack: Math.round((10 + (strength * 2) + (speed * 0.5)) * form * combinationBonus),
-    magicalAttack: Math.round((10 + (magic * 2) + (energy * 0.5)) * form * combinationBonus),
-    physicalDefense: Math.round((5 + (stamina * 1.5) + (strength * 0.5)) * form * combinationBonus),
-    magicalDefense: Math.round((5 + (energy * 1.5) + (magic * 0.5)) * form * combinationBonus),
-    maxHealth: Math.round((50 + (stamina * 3) + (energy * 1)) * rarity * form),
+    physicalAttack: Math.round((10 + (strength * 2) + (speed * 0.5)) * form * combinationBonus * level),
+    magicalAttack: Math.round((10 + (magic * 2) + (energy * 0.5)) * form * combinationBonus * level),
+    physicalDefense: Math.round((5 + (stamina * 1.5) + (strength * 0.5)) * form * combinationBonus * level),
+    magicalDefense: Math.round((5 + (energy * 1.5) + (magic * 0.5)) * form * combinationBonus * level),
+    maxHealth: Math.round((50 + (stamina * 3) + (energy * 1)) * rarity * form * level),
     initiative: Math.round(10 + (speed * 2)),
     criticalChance: Math.min(5 + (speed * 0.5), 30), // Max 30%
     dodgeChance: Math.min(3 + (speed * 0.3), 20), // Max 20%
@@ -36,7 +40,8 @@ export const calculateDerivedStats = (creature) => {
 };
 
 // Calculate damage for an attack
-export const calculateDamage = (attacker, defender, attackType = 'physical') => {
+// rng is the battle's random source (see battleRandom.js); defaults to Math.random
+export const calculateDamage = (attacker, defender, attackType = 'physical', rng = Math.random) => {
   // Validate input
   if (!attacker || !defender || !attacker.battleStats || !defender.battleStats) {
     return {
@@ -60,23 +65,19 @@ export const calculateDamage = (attacker, defender, attackType = 'physical') =>
     ? defenderStats.physicalDefense 
     : defenderStats.magicalDefense;
   
-  // Calculate effectiveness multiplier based on stat relationships
-  const effectivenessMultiplier = getEffectivenessMultiplier(
-    attackType, 
-    attacker.stats || {}, 
-    defender.stats || {}
-  );
+  // Calculate effectiveness multiplier from the stat affinity cycle
+  const effectivenessMultiplier = getEffectivenessMultiplier(attacker, defender);
   
   // Calculate random variance (±10%)
-  const variance = 0.9 + (Math.random() * 0.2);
+  const variance = 0.9 + (rng() * 0.2);
   
   // Check for critical hit
-  const criticalRoll = Math.random() * 100;
+  const criticalRoll = rng() * 100;
   const isCritical = criticalRoll <= (attackerStats.criticalChance || 5);
   const criticalMultiplier = isCritical ? 1.5 : 1;
   
   // Check for dodge
-  const dodgeRoll = Math.random() * 100;
+  const dodgeRoll = rng() * 100;
   const isDodged = dodgeRoll <= (defenderStats.dodgeChance || 3);
   
   if (isDodged) {
@@ -100,47 +101,6 @@ export const calculateDamage = (attacker, defender, attackType = 'physical') =>
   };
 };
 
-// Calculate effectiveness multiplier based on stat relationships
-export const getEffectivenessMultiplier = (attackType, attackerStats, defenderStats) => {
-  // Check for missing stats
-  if (!attackerStats || !defenderStats) {
-    return 1.0; // Default normal effectiveness
-  }
-  
-  // Rock-Paper-Scissors relationships:
-  // Strength > Stamina > Speed > Magic > Energy > Strength
-  
-  if (attackType === 'physical') {
-    // Physical attacks are based on Strength
-    if (defenderStats.stamina > defenderStats.energy) {
-      // Strong against stamina-focused defenders
-      return 1.5;
-    } else if (defenderStats.magic > defenderStats.stamina) {
-      // Weak against magic-focused defenders
-      return 0.75;
-    }
-  } else {
-    // Magical attacks are based on Magic
-    if (defenderStats.speed > defenderStats.strength) {
-      // Strong against speed-focused defenders
-      return 1.5;
-    } else if (defenderStats.energy > defenderStats.magic) {
-      // Weak against energy-focused defenders
-      return 0.75;
-    }
-  }
-  
-  // Default: normal effectiveness
-  return 1.0;
-};
-
-// Get text description of effectiveness
-export const getEffectivenessText = (multiplier) => {
-  if (multiplier >= 1.5) return 'super effective';
-  if (multiplier <= 0.75) return 'not very effective';
-  return 'normal';
-};
-
 // Get multipliers based on rarity and form
 export const getRarityMultiplier = (rarity) => {
   if (!rarity) return 1.0; // Default if missing
@@ -1,18 +1,24 @@
 // src/utils/battleCore.js - Fixed to handle missing properties
 import { getToolEffect, getSpellEffect } from './itemEffects';
 import { calculateDamage } from './battleCalculations';
+import {
+  STATUS_TYPES,
+  splitStatChanges,
+  addStatusEffect,
+  removeStatusEffect,
+  growStatusEffect,
+  tickStatusEffects,
+  absorbDamage
+} from './statusEffects';
 
-// Get maximum energy based on creature stats
-const getMaxEnergy = (creatures) => {
-  const baseEnergy = 15;
-  return baseEnergy;
-};
-
-// Helper function to recalculate stats after modifications
-const recalculateDerivedStats = (creature) => {
-  // Return the current stats if no modification is needed
-  return creature.battleStats;
-};
+// Constants for battle mechanics (shared by the battle screen and the simulator)
+export const ATTACK_ENERGY_COST = 2; // Energy cost for attacks
+export const DEFEND_ENERGY_COST = 1; // Energy cost for defending
+export const BASE_ENERGY_REGEN = 4; // Base energy regeneration per turn
+export const ENERGY_STAT_MULTIPLIER = 0.1; // Reduced from 0.2 to 0.1 per energy point
+export const SPELL_ENERGY_COST = 4; // Base energy cost for casting a spell
+export const STARTING_ENERGY = 10; // Energy each side starts the battle with
+export const MAX_ENERGY = 15; // Energy cap for both sides
 
 // Get description for effect types
 const getEffectDescription = (effectType) => {
@@ -26,54 +32,16 @@ const getEffectDescription = (effectType) => {
   }
 };
 
-// Process a full turn of battle
-export const processTurn = (gameState) => {
-  const newState = {...gameState};
-  
-  // Regenerate energy
-  newState.playerEnergy = Math.min(
-    newState.playerEnergy + calculateEnergyRegen(newState.playerField),
-    getMaxEnergy(newState.playerField)
-  );
-  
-  newState.enemyEnergy = Math.min(
-    newState.enemyEnergy + calculateEnergyRegen(newState.enemyField),
-    getMaxEnergy(newState.enemyField)
-  );
-  
-  // Apply ongoing effects (buffs/debuffs)
-  newState.playerField = applyOngoingEffects(newState.playerField);
-  newState.enemyField = applyOngoingEffects(newState.enemyField);
-  
-  // Remove defeated creatures
-  newState.playerField = newState.playerField.filter(creature => creature.currentHealth > 0);
-  newState.enemyField = newState.enemyField.filter(creature => creature.currentHealth > 0);
-  
-  // Process draw phase
-  if (newState.playerHand.length < getMaxHandSize(newState.difficulty)) {
-    // Draw a card if possible
-    if (newState.playerDeck.length > 0) {
-      const drawnCard = newState.playerDeck[0];
-      newState.playerHand.push(drawnCard);
-      newState.playerDeck = newState.playerDeck.slice(1);
-    }
-  }
-  
-  return newState;
-};
-
 // Calculate energy regeneration based on creature energy stats
 export const calculateEnergyRegen = (creatures) => {
-  let baseRegen = 3; // Base regen per turn
-  
-  // Add energy contributions from creatures
-  const energyContribution = creatures.reduce((total, creature) => {
+  // Each creature on the field adds a small bonus from its energy stat
+  const energyBonus = creatures.reduce((total, creature) => {
     // Make sure stats exist
     if (!creature.stats || !creature.stats.energy) return total;
-    return total + (creature.stats.energy * 0.5);
+    return total + Math.floor(creature.stats.energy * ENERGY_STAT_MULTIPLIER);
   }, 0);
   
-  return Math.round(baseRegen + energyContribution);
+  return BASE_ENERGY_REGEN + energyBonus;
 };
 
 // Get max hand size based on difficulty
@@ -89,54 +57,83 @@ export const getMaxHandSize = (difficulty) => {
 
 // Apply creature effects and reduce their duration
 export const applyOngoingEffects = (creatures) => {
-  return creatures.map(creature => {
+  const messages = [];
+  
+  const updatedCreatures = creatures.map(creature => {
     // Skip creatures with missing properties
     if (!creature || !creature.battleStats) return creature;
     
-    const updatedCreature = {...creature};
-    let statsModified = false;
+    const { creature: updatedCreature, messages: effectLog } = tickStatusEffects(creature);
     
-    // Process active effects
-    updatedCreature.activeEffects = (updatedCreature.activeEffects || [])
-      .map(effect => {
-        // Skip effects with missing data
-        if (!effect) return null;
-        
-        // Apply effect to stats
-        if (effect.statEffect) {
-          Object.entries(effect.statEffect).forEach(([stat, value]) => {
-            updatedCreature.battleStats[stat] += value;
-            statsModified = true;
-          });
-        }
-        
-        // Apply health effects (healing or damage over time)
-        if (effect.healthEffect) {
-          updatedCreature.currentHealth = Math.min(
-            updatedCreature.currentHealth + effect.healthEffect,
-            updatedCreature.battleStats.maxHealth
-          );
-        }
-        
-        // Reduce duration
-        return {
-          ...effect,
-          duration: effect.duration - 1
-        };
-      })
-      .filter(effect => effect && effect.duration > 0); // Remove expired or invalid effects
+    // Defensive stance only lasts until the next tick
+    updatedCreature.isDefending = false;
     
-    // If stats were modified, recalculate derived stats
-    if (statsModified) {
-      updatedCreature.battleStats = recalculateDerivedStats(updatedCreature);
+    if (effectLog.length > 0) {
+      messages.push(effectLog.join('. '));
     }
     
     return updatedCreature;
   });
+  
+  return {
+    creatures: updatedCreatures,
+    messages
+  };
+};
+
+// Turn an item's effect into status effects on a creature: stat changes split into a
+// buff and a debuff, plus any healing/damage over time, shield, stun or taunt it grants
+const addItemStatusEffects = (creature, item, itemEffect, description) => {
+  const base = { key: item.name, name: item.name, description, duration: itemEffect.duration };
+  const { buffStats, debuffStats } = splitStatChanges(itemEffect.statChanges);
+  const effects = [];
+  
+  if (Object.keys(buffStats).length > 0 || itemEffect.chargeEffect) {
+    effects.push({
+      ...base,
+      type: 'buff',
+      icon: itemEffect.chargeEffect ? '🔋' : undefined,
+      stats: buffStats,
+      // Charge tools track how many times they have grown so they stop at maxTurns
+      chargeEffect: itemEffect.chargeEffect
+        ? { ...itemEffect.chargeEffect, turnsCharged: 0 }
+        : undefined
+    });
+  }
+  if (Object.keys(debuffStats).length > 0) {
+    effects.push({ ...base, type: 'debuff', stats: debuffStats });
+  }
+  if (itemEffect.healthOverTime) {
+    effects.push({
+      ...base,
+      type: itemEffect.healthOverTime > 0 ? 'hot' : 'dot',
+      amount: Math.abs(itemEffect.healthOverTime)
+    });
+  }
+  if (itemEffect.absorb) {
+    effects.push({ ...base, type: 'shield', amount: Math.round(itemEffect.absorb) });
+  }
+  if (itemEffect.taunt) {
+    effects.push({ ...base, type: 'taunt' });
+  }
+  if (itemEffect.stun) {
+    effects.push({ ...base, type: 'stun', duration: itemEffect.stun });
+  }
+  
+  const messages = [];
+  const updatedCreature = effects.reduce((current, effect) => {
+    const result = addStatusEffect(current, effect);
+    if (!result.applied) {
+      messages.push(`${current.species_name} is immune to ${STATUS_TYPES[effect.type].label.toLowerCase()} for now`);
+    }
+    return result.creature;
+  }, creature);
+  
+  return { creature: updatedCreature, messages };
 };
 
 // Process attack action
-export const processAttack = (attacker, defender, attackType = 'auto') => {
+export const processAttack = (attacker, defender, attackType = 'auto', rng = Math.random) => {
   // Validate input
   if (!attacker || !defender || !attacker.battleStats || !defender.battleStats) {
     return {
@@ -149,7 +146,7 @@ export const processAttack = (attacker, defender, attackType = 'auto') => {
   
   // Clone creatures to avoid mutating original objects
   const attackerClone = {...attacker};
-  const defenderClone = {...defender};
+  let defenderClone = {...defender};
   
   // Determine attack type if set to auto
   if (attackType === 'auto') {
@@ -159,11 +156,15 @@ export const processAttack = (attacker, defender, attackType = 'auto') => {
   }
   
   // Calculate damage
-  const damageResult = calculateDamage(attackerClone, defenderClone, attackType);
+  const damageResult = calculateDamage(attackerClone, defenderClone, attackType, rng);
   
-  // Apply damage to defender
+  // Apply damage to defender (a shield soaks up what it can first)
+  let absorbed = 0;
   if (!damageResult.isDodged) {
-    defenderClone.currentHealth = Math.max(0, defenderClone.currentHealth - damageResult.damage);
+    const shielded = absorbDamage(defenderClone, damageResult.damage);
+    defenderClone = { ...shielded.creature };
+    absorbed = shielded.absorbed;
+    defenderClone.currentHealth = Math.max(0, defenderClone.currentHealth - shielded.damage);
   }
   
   // Create battle log entry
@@ -182,7 +183,9 @@ export const processAttack = (attacker, defender, attackType = 'auto') => {
       logMessage += ` - ${damageResult.effectiveness}!`;
     }
     
-    logMessage += ` dealing ${damageResult.damage} damage.`;
+    logMessage += absorbed > 0
+      ? ` dealing ${damageResult.damage - absorbed} damage (${absorbed} absorbed by a shield).`
+      : ` dealing ${damageResult.damage} damage.`;
     
     if (defenderClone.currentHealth <= 0) {
       logMessage += ` ${defenderClone.species_name} was defeated!`;
@@ -215,38 +218,19 @@ export const applyTool = (creature, tool) => {
     };
   }
   
-  const creatureClone = {...creature};
-  
   // Different effects based on tool type and effect
   const toolEffect = getToolEffect(tool);
   
-  // Apply stat changes
-  if (toolEffect.statChanges) {
-    creatureClone.battleStats = {
-      ...creatureClone.battleStats,
-      ...Object.entries(toolEffect.statChanges).reduce((acc, [stat, value]) => {
-        acc[stat] = creatureClone.battleStats[stat] + value;
-        return acc;
-      }, {})
-    };
-  }
-  
-  // Add active effect if it has a duration
-  if (toolEffect.duration > 0) {
-    creatureClone.activeEffects = [
-      ...(creatureClone.activeEffects || []),
-      {
-        id: Date.now() + Math.random(),
-        name: tool.name,
-        icon: '🔧',
-        type: tool.tool_type,
-        description: getEffectDescription(tool.tool_effect),
-        duration: toolEffect.duration,
-        statEffect: toolEffect.statChanges,
-        healthEffect: toolEffect.healthChange || 0
-      }
-    ];
-  }
+  // Stat changes, and stamina tools' lingering heal, become status effects
+  const statusResult = toolEffect.duration > 0
+    ? addItemStatusEffects(
+      creature,
+      tool,
+      { ...toolEffect, healthOverTime: toolEffect.healthChange },
+      getEffectDescription(tool.tool_effect)
+    )
+    : { creature, messages: [] };
+  const creatureClone = { ...statusResult.creature };
   
   // Apply healing effect if applicable
   if (toolEffect.healthChange && toolEffect.healthChange > 0) {
@@ -256,14 +240,28 @@ export const applyTool = (creature, tool) => {
     );
   }
   
+  // Describe what the tool did for the battle log
+  const logParts = [];
+  if (toolEffect.chargeEffect && toolEffect.chargeEffect.targetStat) {
+    const { targetStat, perTurnBonus } = toolEffect.chargeEffect;
+    logParts.push(`${creatureClone.species_name} begins charging ${targetStat} (${perTurnBonus > 0 ? '+' : ''}${perTurnBonus} per turn)`);
+  }
+  if (toolEffect.taunt) {
+    logParts.push(`${creatureClone.species_name} draws the enemy's attacks`);
+  }
+  logParts.push(...statusResult.messages);
+  const logMessage = logParts.length > 0 ? `${logParts.join('. ')}.` : '';
+  
   return {
     updatedCreature: creatureClone,
-    toolEffect
+    toolEffect,
+    battleLog: logMessage
   };
 };
 
-// Apply spell effect to creature
-export const applySpell = (caster, target, spell) => {
+// Apply spell effect to creature. ticksPerTurn is how often effects tick in one
+// of the caster's turns (see the engine's turn modes), so charges last a turn in both
+export const applySpell = (caster, target, spell, ticksPerTurn = 2) => {
   // Validate input
   if (!caster || !target || !spell) {
     return {
@@ -282,46 +280,273 @@ export const applySpell = (caster, target, spell) => {
     };
   }
   
-  const targetClone = {...target};
-  const casterClone = {...caster};
+  // Self-cast spells update a single clone so caster and target changes don't overwrite each other
+  let targetClone = {...target};
+  let casterClone = caster.id === target.id ? targetClone : {...caster};
+  const isSelfCast = caster.id === target.id;
+  const logParts = [];
   
   // Different effects based on spell type and effect
   const spellEffect = getSpellEffect(spell, caster.stats.magic);
   
+  // Charged spells deal nothing now - the caster prepares and the hit lands next turn
+  if (spellEffect.prepareEffect) {
+    const { name, turns, damage } = spellEffect.prepareEffect;
+    const preparedDamage = Math.round(damage);
+    
+    casterClone = addStatusEffect(casterClone, {
+      type: 'charging',
+      key: spell.name,
+      name: name,
+      description: `Unleashes ${spell.name} on ${target.species_name} next turn`,
+      duration: turns * ticksPerTurn,
+      preparedSpell: {
+        spellName: spell.name,
+        damage: preparedDamage,
+        targetId: target.id
+      }
+    }).creature;
+    if (isSelfCast) targetClone = casterClone;
+    
+    logParts.push(`${casterClone.species_name} is charging ${spell.name} (${preparedDamage} damage next turn)`);
+  }
+  
   // Apply direct damage if applicable
   if (spellEffect.damage) {
-    targetClone.currentHealth = Math.max(0, targetClone.currentHealth - spellEffect.damage);
+    const shielded = absorbDamage(targetClone, Math.round(spellEffect.damage));
+    targetClone = { ...shielded.creature };
+    if (isSelfCast) casterClone = targetClone;
+    targetClone.currentHealth = Math.max(0, targetClone.currentHealth - shielded.damage);
+    logParts.push(shielded.absorbed > 0
+      ? `${targetClone.species_name} took ${shielded.damage} damage (${shielded.absorbed} absorbed by a shield)`
+      : `${targetClone.species_name} took ${shielded.damage} damage`);
   }
   
   // Apply healing if applicable
   if (spellEffect.healing) {
+    const previousHealth = targetClone.currentHealth;
     targetClone.currentHealth = Math.min(
-      targetClone.currentHealth + spellEffect.healing,
+      targetClone.currentHealth + Math.round(spellEffect.healing),
       targetClone.battleStats.maxHealth
     );
+    logParts.push(`${targetClone.species_name} healed for ${targetClone.currentHealth - previousHealth}`);
   }
   
-  // Add active effect if it has a duration
-  if (spellEffect.duration > 0) {
-    targetClone.activeEffects = [
-      ...(targetClone.activeEffects || []),
-      {
-        id: Date.now() + Math.random(),
-        name: spell.name,
-        icon: '✨',
-        type: spell.spell_type,
-        description: getEffectDescription(spell.spell_effect),
-        duration: spellEffect.duration,
-        statEffect: spellEffect.statChanges,
-        healthEffect: spellEffect.healthOverTime || 0
-      }
-    ];
+  // Drain spells heal the caster
+  if (spellEffect.selfHeal && casterClone.battleStats) {
+    const previousHealth = casterClone.currentHealth;
+    casterClone.currentHealth = Math.min(
+      casterClone.currentHealth + Math.round(spellEffect.selfHeal),
+      casterClone.battleStats.maxHealth
+    );
+    logParts.push(`${casterClone.species_name} drained ${casterClone.currentHealth - previousHealth} health`);
+  }
+  
+  // Energy spells refill the caster side's energy pool (applied by the caller)
+  const energyGained = spellEffect.energyGain || 0;
+  if (energyGained > 0) {
+    logParts.push(`${casterClone.species_name} restored ${energyGained} energy`);
+  }
+  
+  if (spellEffect.damage && targetClone.currentHealth <= 0) {
+    logParts.push(`${targetClone.species_name} was defeated`);
+  }
+  
+  // Add status effects if it lingers or stuns (charged spells use their own effect above)
+  if ((spellEffect.duration > 0 || spellEffect.stun) && !spellEffect.prepareEffect) {
+    const statusResult = addItemStatusEffects(
+      targetClone,
+      spell,
+      spellEffect,
+      getEffectDescription(spell.spell_effect)
+    );
+    targetClone = statusResult.creature;
+    if (isSelfCast) casterClone = targetClone;
+    if (spellEffect.absorb) {
+      logParts.push(`${targetClone.species_name} is shielded from ${Math.round(spellEffect.absorb)} damage`);
+    }
+    if (spellEffect.stun && statusResult.messages.length === 0) {
+      logParts.push(`${targetClone.species_name} is stunned`);
+    }
+    logParts.push(...statusResult.messages);
   }
   
   return {
     updatedCaster: casterClone,
     updatedTarget: targetClone,
-    spellEffect
+    spellEffect,
+    energyGained,
+    battleLog: logParts.length > 0 ? `${logParts.join(', ')}.` : ''
+  };
+};
+
+// Apply a species ability to one of its targets (see speciesAbilities.js).
+// Multi-target abilities call this once per target; side energy is handled by the caller.
+export const applyAbility = (user, target, ability, rng = Math.random) => {
+  if (!user || !target || !ability || !target.battleStats) {
+    return { updatedTarget: target, damageResult: null, battleLog: '' };
+  }
+  
+  let targetClone = {...target};
+  const logParts = [];
+  let damageResult = null;
+  
+  if (ability.damage) {
+    damageResult = calculateDamage(user, targetClone, ability.damage.type, rng);
+    
+    if (damageResult.isDodged) {
+      logParts.push(`${targetClone.species_name} dodged it`);
+    } else {
+      const damage = Math.max(1, Math.round(damageResult.damage * ability.damage.multiplier));
+      const shielded = absorbDamage(targetClone, damage);
+      targetClone = { ...shielded.creature };
+      targetClone.currentHealth = Math.max(0, targetClone.currentHealth - shielded.damage);
+      damageResult = { ...damageResult, damage: shielded.damage };
+      
+      let damageText = `${targetClone.species_name} took ${shielded.damage} damage`;
+      if (damageResult.isCritical) damageText += ' (Critical Hit!)';
+      if (shielded.absorbed > 0) damageText += ` (${shielded.absorbed} absorbed by a shield)`;
+      logParts.push(damageText);
+      
+      if (targetClone.currentHealth <= 0) {
+        logParts.push(`${targetClone.species_name} was defeated`);
+      }
+    }
+  }
+  
+  // A dodged hit carries no healing or lingering effects
+  const landed = !damageResult || !damageResult.isDodged;
+  
+  if (landed && ability.heal) {
+    const previousHealth = targetClone.currentHealth;
+    targetClone.currentHealth = Math.min(
+      targetClone.currentHealth + Math.round(targetClone.battleStats.maxHealth * ability.heal),
+      targetClone.battleStats.maxHealth
+    );
+    logParts.push(`${targetClone.species_name} healed for ${targetClone.currentHealth - previousHealth}`);
+  }
+  
+  if (landed && targetClone.currentHealth > 0) {
+    (ability.statuses || []).forEach(status => {
+      const result = addStatusEffect(targetClone, {
+        key: ability.name,
+        name: ability.name,
+        description: ability.description,
+        ...status
+      });
+      targetClone = result.creature;
+      logParts.push(result.applied
+        ? `${targetClone.species_name} gets ${STATUS_TYPES[status.type].label.toLowerCase()}`
+        : `${targetClone.species_name} is immune to ${STATUS_TYPES[status.type].label.toLowerCase()} for now`);
+    });
+  }
+  
+  return {
+    updatedTarget: targetClone,
+    damageResult,
+    battleLog: logParts.length > 0 ? `${logParts.join(', ')}.` : ''
+  };
+};
+
+// Grow Charge tool bonuses by one step. The built-up bonus is part of the effect's
+// stats, so it comes off with the effect when it expires.
+export const applyChargeEffects = (creatures) => {
+  const messages = [];
+  
+  const updatedCreatures = creatures.map(creature => {
+    if (!creature || !creature.battleStats) return creature;
+    
+    return (creature.activeEffects || []).reduce((updatedCreature, effect) => {
+      if (!effect || !effect.chargeEffect || !effect.chargeEffect.targetStat) return updatedCreature;
+      
+      const charge = effect.chargeEffect;
+      const stat = charge.targetStat;
+      const bonusApplied = (effect.appliedStats || {})[stat] || 0;
+      
+      if (effect.duration <= 1) {
+        // Expiring this tick - the charge is spent
+        if (bonusApplied !== 0) {
+          messages.push(`${updatedCreature.species_name}'s ${effect.name} charge was spent.`);
+        }
+        return updatedCreature;
+      }
+      if (charge.turnsCharged >= charge.maxTurns) return updatedCreature;
+      
+      const bonus = bonusApplied + charge.perTurnBonus;
+      messages.push(
+        `${updatedCreature.species_name}'s ${effect.name} charged up: ${stat} ${bonus > 0 ? '+' : ''}${bonus}.`
+      );
+      return growStatusEffect(
+        updatedCreature,
+        effect.id,
+        { [stat]: charge.perTurnBonus },
+        { chargeEffect: { ...charge, turnsCharged: charge.turnsCharged + 1 } }
+      );
+    }, creature);
+  });
+  
+  return { creatures: updatedCreatures, messages };
+};
+
+// Land charged spells whose preparation finishes this tick.
+// casterField holds the charging creatures; targets are looked up on the opposing field first.
+export const resolvePreparedSpells = (casterField, opposingField) => {
+  const messages = [];
+  let updatedCasterField = casterField;
+  let updatedOpposingField = opposingField;
+  
+  casterField.forEach(caster => {
+    const readyEffects = (caster.activeEffects || []).filter(effect => 
+      effect && effect.preparedSpell && effect.duration <= 1
+    );
+    
+    readyEffects.forEach(effect => {
+      const { spellName, damage, targetId } = effect.preparedSpell;
+      const onOpposingSide = updatedOpposingField.some(c => c.id === targetId);
+      const targetField = onOpposingSide ? updatedOpposingField : updatedCasterField;
+      const target = targetField.find(c => c.id === targetId);
+      
+      if (!target || target.currentHealth <= 0) {
+        messages.push(`${caster.species_name}'s ${spellName} fizzled - its target is gone.`);
+        return;
+      }
+      
+      const shielded = absorbDamage(target, damage);
+      const updatedTarget = {
+        ...shielded.creature,
+        currentHealth: Math.max(0, target.currentHealth - shielded.damage)
+      };
+      
+      let message = `${caster.species_name} unleashed ${spellName} on ${target.species_name} dealing ${shielded.damage} damage!`;
+      if (shielded.absorbed > 0) {
+        message += ` (${shielded.absorbed} absorbed by a shield)`;
+      }
+      if (updatedTarget.currentHealth <= 0) {
+        message += ` ${target.species_name} was defeated!`;
+      }
+      messages.push(message);
+      
+      const replaceTarget = field => field.map(c => c.id === targetId ? updatedTarget : c);
+      if (onOpposingSide) {
+        updatedOpposingField = replaceTarget(updatedOpposingField);
+      } else {
+        updatedCasterField = replaceTarget(updatedCasterField);
+      }
+    });
+    
+    // Remove the resolved preparations so they don't also show up as expired effects
+    if (readyEffects.length > 0) {
+      updatedCasterField = updatedCasterField.map(c => c.id === caster.id
+        ? readyEffects.reduce((current, effect) => removeStatusEffect(current, effect.id), c)
+        : c
+      );
+    }
+  });
+  
+  return {
+    casterField: updatedCasterField,
+    opposingField: updatedOpposingField,
+    messages
   };
 };
 
@@ -332,34 +557,20 @@ export const defendCreature = (creature) => {
     return creature;
   }
   
-  const creatureClone = {...creature};
-  
   // Add defensive bonus (50% more defense for one turn)
-  creatureClone.isDefending = true;
-  
-  // Apply defense boost to battle stats
-  creatureClone.battleStats = {
-    ...creatureClone.battleStats,
-    physicalDefense: Math.round(creatureClone.battleStats.physicalDefense * 1.5),
-    magicalDefense: Math.round(creatureClone.battleStats.magicalDefense * 1.5)
-  };
-  
-  // Add defensive effect
-  creatureClone.activeEffects = [
-    ...(creatureClone.activeEffects || []),
-    {
-      id: Date.now(),
-      name: 'Defending',
-      icon: '🛡️',
-      type: 'defense',
-      description: 'Increased defense until next turn',
-      duration: 1,
-      statEffect: {
-        physicalDefense: Math.round(creatureClone.battleStats.physicalDefense * 0.5), // This is the boost amount
-        magicalDefense: Math.round(creatureClone.battleStats.magicalDefense * 0.5)
-      }
+  const { creature: creatureClone } = addStatusEffect(creature, {
+    type: 'buff',
+    key: 'defend',
+    name: 'Defending',
+    icon: '🛡️',
+    description: 'Increased defense until next turn',
+    duration: 1,
+    stats: {
+      physicalDefense: Math.round(creature.battleStats.physicalDefense * 0.5),
+      magicalDefense: Math.round(creature.battleStats.magicalDefense * 0.5)
     }
-  ];
+  });
+  creatureClone.isDefending = true;
   
   return creatureClone;
 };
@@ -0,0 +1,1403 @@
+// src/utils/battleEngine.js
+/**
+ * Pure battle engine shared by the battle screen, the AI and the simulator.
+ * A battle is a plain serializable state object; every change goes through
+ * applyAction, so the same rules apply everywhere and a fight can be played
+ * without rendering anything.
+ *
+ * Turn structure (alternating mode): the player may act repeatedly until they
+ * end their turn, the enemy takes a single action and its turn ends
+ * automatically. Effects tick at the end of each side's turn; after the enemy's
+ * turn both sides draw and regenerate energy.
+ *
+ * Initiative mode: each round, every creature on the field acts once, fastest
+ * (highest initiative) first. A side with an empty field gets a deployment slot
+ * at the start of the round. Deploying never ends an activation; anything else
+ * does. Effects tick, cards are drawn and energy regenerates when the round ends.
+ *
+ * Status effects (statusEffects.js): a stunned creature can't attack, defend or
+ * cast, and loses its activation in initiative mode. While a side has taunting
+ * creatures on its field, attacks against that side must target one of them.
+ *
+ * Formation (formation.js): creatures deploy into a front or back row and can
+ * move between them. Physical attackers can't reach the back row while the
+ * front row is occupied, and neither can abilities that deal physical damage;
+ * taunting only applies to targets the attacker reaches.
+ *
+ * Species abilities (speciesAbilities.js) unlock by form. Using one costs energy
+ * and puts it on a per-creature cooldown tracked as abilityReadyOnTurn.
+ *
+ * Campaign stages (campaign.js) replace the generated enemies with a fixed
+ * line-up and may add modifiers. Bosses enter their phases as soon as their
+ * health drops below each phase's threshold.
+ *
+ * PvP battles (pvpBattles.js) put another player's saved defense deck on the
+ * enemy side: its creatures keep their own derived stats and deck limits, and
+ * the expert AI plays them.
+ *
+ * Daily challenges (dailyChallenge.js) derive the seed, difficulty, turn mode,
+ * modifiers and enemy line-up from the date, so every player gets the same fight.
+ *
+ * The enemy AI may have a personality (aiPersonalities.js) that shapes what it
+ * values; now and then its actions add a flavor line to the log that gives it away.
+ *
+ * On difficulties with showEnemyIntent, the enemy plans its move when the
+ * player's turn starts and telegraphs it (getEnemyIntentView); on its turn it
+ * carries that plan out unless it has become impossible, e.g. because the
+ * target was defeated. Intents are planned in alternating mode only.
+ *
+ * Arena battles can be fought against a named trainer (enemyTrainers.js) whose
+ * themed roster and personality replace the generated line-up; matchTrainer picks
+ * one from the player's creatures and the difficulty.
+ *
+ * Statistics (battleStatistics.js): every action updates state.statistics with
+ * the damage, healing, crits, dodges and kills of each creature and the energy
+ * each side spent. Effects that tick on their own aren't credited to anyone.
+ *
+ * Battles have a turn limit: if the player hasn't won by the end of turn
+ * MAX_TURNS, the battle ends as a defeat, so no fight can stall forever.
+ *
+ * The player can forfeit at any time, even during the enemy's turn; battleSaves.js
+ * forfeits battles that were left unfinished for too long or saved under older
+ * rules. The enemy never forfeits.
+ */
+import { calculateDerivedStats } from './battleCalculations';
+import {
+  processAttack,
+  applyTool,
+  applySpell,
+  defendCreature,
+  applyAbility,
+  applyOngoingEffects,
+  applyChargeEffects,
+  resolvePreparedSpells,
+  calculateEnergyRegen,
+  ATTACK_ENERGY_COST,
+  DEFEND_ENERGY_COST,
+  SPELL_ENERGY_COST,
+  STARTING_ENERGY,
+  MAX_ENERGY
+} from './battleCore';
+import { determineAIAction } from './battleAI';
+import { getItemUsage, getItemAvailability } from './itemEffects';
+import { isStunned, getTauntingCreatures } from './statusEffects';
+import { getCreatureAbility, getAbilityAvailability } from './speciesAbilities';
+import {
+  ROWS,
+  DEFAULT_ROW,
+  MOVE_ROW_ENERGY_COST,
+  getRow,
+  getOtherRow,
+  canAttackTarget,
+  getAttackableTargets,
+  canAbilityReachTarget,
+  getAbilityReachableTargets,
+  getRecommendedRow
+} from './formation';
+import {
+  generateEnemyCreatures,
+  generateEnemyItems,
+  getDifficultySettings,
+  prepareEnemyCreatures
+} from './difficultySettings';
+import {
+  getCampaignStage,
+  buildStageEnemies,
+  applyStageToEnemies,
+  getStageStartingEnergy,
+  getNextBossPhase,
+  enterBossPhase
+} from './campaign';
+import { getDailyChallenge, generateChallengeEnemies } from './dailyChallenge';
+import {
+  RANDOM_TRAINER,
+  MATCHED_TRAINER,
+  getTrainer,
+  pickTrainer,
+  matchTrainer,
+  generateTrainerEnemies
+} from './enemyTrainers';
+import { RANDOM_PERSONALITY, PERSONALITY_IDS, getFlavorLine } from './aiPersonalities';
+import { createRng, generateSeed, shuffle, randomPick } from './battleRandom';
+import { createBattleStatistics, getActorId, updateBattleStatistics } from './battleStatistics';
+
+export const SIDES = ['player', 'enemy'];
+export const PLAYER_MAX_FIELD_SIZE = 3;
+export const PLAYER_MAX_HAND_SIZE = 5;
+export const PLAYER_INITIAL_HAND_SIZE = 3;
+export const TURN_MODES = ['alternating', 'initiative'];
+// Rounds after which an unfinished battle is lost
+export const MAX_TURNS = 100;
+
+const DEFAULT_ENERGY_COST = 3;
+
+// State keys are flat (playerField, enemyEnergy, ...) so the UI can read them directly
+const sideKey = (side, name) => `${side}${name}`;
+
+export const getOpponent = (side) => {
+  return side === 'player' ? 'enemy' : 'player';
+};
+
+const getCreatureEnergyCost = (creature) => {
+  return creature.battleStats?.energyCost || DEFAULT_ENERGY_COST;
+};
+
+const findById = (items, id) => {
+  return items.find(item => item.id === id);
+};
+
+const findOnField = (state, creatureId) => {
+  return findById(state.playerField, creatureId) || findById(state.enemyField, creatureId);
+};
+
+const capitalize = (text) => {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+};
+
+/**
+ * Give a creature its battle stats, full health and a clean slate of effects
+ * @param {Object} creature - Creature with base stats
+ * @returns {Object} - Battle-ready creature
+ */
+export const prepareBattleCreature = (creature) => {
+  const derivedStats = calculateDerivedStats(creature);
+  return {
+    ...creature,
+    battleStats: derivedStats,
+    currentHealth: derivedStats.maxHealth,
+    activeEffects: [],
+    isDefending: false
+  };
+};
+
+/**
+ * Give a tool or spell its uses for this battle
+ * @param {Object} item - Tool or spell
+ * @returns {Object} - Item with usesLeft and readyOnTurn
+ */
+export const prepareBattleItem = (item) => {
+  return {
+    ...item,
+    usesLeft: getItemUsage(item).uses,
+    readyOnTurn: 1
+  };
+};
+
+// Spend one use of an item and start its cooldown
+const spendItemUse = (draft, itemsKey, itemId) => {
+  draft[itemsKey] = draft[itemsKey].map(item => item.id === itemId
+    ? { ...item, usesLeft: item.usesLeft - 1, readyOnTurn: draft.turn + getItemUsage(item).cooldown }
+    : item
+  );
+};
+
+// ========== DRAFT HELPERS ==========
+// These mutate a draft copy made inside applyAction, never the caller's state
+
+// kind marks entries the log shows differently (e.g. 'flavor')
+const pushLog = (draft, message, kind) => {
+  if (!message) return;
+  draft.battleLog = [
+    ...draft.battleLog,
+    kind
+      ? { id: draft.nextLogId, turn: draft.turn, message, kind }
+      : { id: draft.nextLogId, turn: draft.turn, message }
+  ];
+  draft.nextLogId += 1;
+};
+
+const pushEvent = (draft, event) => {
+  draft.lastEvents = [...draft.lastEvents, event];
+};
+
+// What statistics need from before a step to credit its damage and healing
+const snapshotStatistics = (draft) => ({
+  playerField: draft.playerField,
+  enemyField: draft.enemyField,
+  turn: draft.turn,
+  eventCount: draft.lastEvents.length
+});
+
+const recordStatistics = (draft, snapshot, actorId = null) => {
+  const events = draft.lastEvents.slice(snapshot.eventCount);
+  draft.statistics = updateBattleStatistics(draft.statistics, snapshot, draft, events, actorId);
+};
+
+const replaceCreature = (draft, creature) => {
+  SIDES.forEach(side => {
+    const fieldKey = sideKey(side, 'Field');
+    if (draft[fieldKey].some(c => c.id === creature.id)) {
+      draft[fieldKey] = draft[fieldKey].map(c => c.id === creature.id ? creature : c);
+    }
+  });
+};
+
+const removeDefeated = (draft) => {
+  SIDES.forEach(side => {
+    const fieldKey = sideKey(side, 'Field');
+    draft[fieldKey].forEach(creature => {
+      if (creature.currentHealth <= 0) {
+        pushEvent(draft, { type: 'defeated', side, creatureId: creature.id });
+      }
+    });
+    draft[fieldKey] = draft[fieldKey].filter(creature => creature.currentHealth > 0);
+  });
+};
+
+// Move bosses that dropped below a health threshold into their next phase
+const checkBossPhases = (draft) => {
+  SIDES.forEach(side => {
+    draft[sideKey(side, 'Field')].forEach(boss => {
+      let creature = boss;
+      let phase = getNextBossPhase(creature);
+      while (phase) {
+        const result = enterBossPhase(creature, phase);
+        creature = result.creature;
+        pushLog(draft, result.message);
+        pushEvent(draft, { type: 'bossPhase', side, creatureId: creature.id, phase: creature.bossPhase });
+        phase = getNextBossPhase(creature);
+      }
+      if (creature !== boss) replaceCreature(draft, creature);
+    });
+  });
+};
+
+const isSideDefeated = (state, side) => {
+  return state[sideKey(side, 'Field')].length === 0 &&
+    state[sideKey(side, 'Hand')].length === 0 &&
+    state[sideKey(side, 'Deck')].length === 0;
+};
+
+const checkOutcome = (draft) => {
+  if (isSideDefeated(draft, 'enemy')) {
+    draft.status = 'victory';
+    pushLog(draft, "Victory! You've defeated all enemy creatures!");
+  } else if (isSideDefeated(draft, 'player')) {
+    draft.status = 'defeat';
+    pushLog(draft, 'Defeat! All your creatures have been defeated!');
+  }
+};
+
+// Checked when a round ends; the player has to win within MAX_TURNS
+const checkTurnLimit = (draft) => {
+  if (isTerminal(draft) || draft.turn < MAX_TURNS) return;
+  draft.status = 'defeat';
+  pushLog(draft, `Defeat! The enemy held out for ${MAX_TURNS} turns.`);
+};
+
+const FORFEIT_MESSAGES = {
+  abandoned: 'Defeat! The battle was left unfinished for too long.',
+  outdated: 'Defeat! The battle was saved under older rules and can no longer be resumed.'
+};
+
+// Forfeiting ends the battle as a defeat with everything left where it was
+const performForfeit = (draft, { reason }) => {
+  draft.status = 'defeat';
+  pushEvent(draft, { type: 'forfeit', side: 'player' });
+  pushLog(draft, FORFEIT_MESSAGES[reason] || 'Defeat! You forfeited the battle.');
+};
+
+const drawCard = (draft, side) => {
+  const deckKey = sideKey(side, 'Deck');
+  const drawnCard = draft[deckKey][0];
+  draft[sideKey(side, 'Hand')] = [...draft[sideKey(side, 'Hand')], drawnCard];
+  draft[deckKey] = draft[deckKey].slice(1);
+  pushLog(draft, side === 'player' ? `You drew ${drawnCard.species_name}.` : 'Enemy drew a card.');
+};
+
+// Effects tick at the end of each side's turn, but only once per round in initiative mode
+const getTicksPerTurn = (state) => {
+  return state.turnMode === 'initiative' ? 1 : 2;
+};
+
+// Land charged spells, grow Charge tools, then tick the regular effects on both fields
+const tickEffects = (draft) => {
+  const playerPrepared = resolvePreparedSpells(draft.playerField, draft.enemyField);
+  const enemyPrepared = resolvePreparedSpells(playerPrepared.opposingField, playerPrepared.casterField);
+  const playerCharge = applyChargeEffects(enemyPrepared.opposingField);
+  const enemyCharge = applyChargeEffects(enemyPrepared.casterField);
+  const playerEffects = applyOngoingEffects(playerCharge.creatures);
+  const enemyEffects = applyOngoingEffects(enemyCharge.creatures);
+
+  draft.playerField = playerEffects.creatures;
+  draft.enemyField = enemyEffects.creatures;
+
+  [
+    ...playerPrepared.messages,
+    ...enemyPrepared.messages,
+    ...playerCharge.messages,
+    ...enemyCharge.messages,
+    ...playerEffects.messages,
+    ...enemyEffects.messages
+  ].forEach(message => pushLog(draft, message));
+
+  checkBossPhases(draft);
+};
+
+// Draw for both sides and regenerate energy at the end of a round
+const startNextRound = (draft) => {
+  draft.turn += 1;
+
+  if (draft.playerHand.length < PLAYER_MAX_HAND_SIZE && draft.playerDeck.length > 0) {
+    drawCard(draft, 'player');
+  }
+  const enemyHandLimit = draft.pvpOpponent
+    ? PLAYER_MAX_HAND_SIZE
+    : getDifficultySettings(draft.difficulty).initialHandSize;
+  if (draft.enemyHand.length < enemyHandLimit && draft.enemyDeck.length > 0) {
+    drawCard(draft, 'enemy');
+  }
+
+  const playerRegen = calculateEnergyRegen(draft.playerField);
+  draft.playerEnergy = Math.min(MAX_ENERGY, draft.playerEnergy + playerRegen);
+  draft.enemyEnergy = Math.min(MAX_ENERGY, draft.enemyEnergy + calculateEnergyRegen(draft.enemyField));
+
+  pushLog(draft, `You gained +${playerRegen} energy.`);
+};
+
+// ========== INITIATIVE ==========
+
+const getInitiative = (creature) => {
+  return creature.battleStats?.initiative || 0;
+};
+
+// Everything that acts this round: deployment slots for empty fields, then
+// creatures by initiative (ties go to the faster base speed, then the player)
+const buildTurnOrder = (draft) => {
+  const deploySlots = SIDES
+    .filter(side => draft[sideKey(side, 'Field')].length === 0 && draft[sideKey(side, 'Hand')].length > 0)
+    .map(side => ({ side, creatureId: null }));
+
+  const creatures = SIDES.flatMap(side =>
+    draft[sideKey(side, 'Field')].map((creature, index) => ({ side, creature, index }))
+  );
+  creatures.sort((a, b) =>
+    getInitiative(b.creature) - getInitiative(a.creature) ||
+    (b.creature.stats?.speed || 0) - (a.creature.stats?.speed || 0) ||
+    SIDES.indexOf(a.side) - SIDES.indexOf(b.side) ||
+    a.index - b.index
+  );
+
+  return [
+    ...deploySlots,
+    ...creatures.map(({ side, creature }) => ({ side, creatureId: creature.id }))
+  ];
+};
+
+// A creature's slot is skipped once it has been defeated
+const isEntryLive = (draft, entry) => {
+  if (entry.creatureId === null) return true;
+  return Boolean(findById(draft[sideKey(entry.side, 'Field')], entry.creatureId));
+};
+
+/**
+ * Get the creature whose activation it is in initiative mode
+ * @param {Object} state - Battle state
+ * @returns {string|null} - Creature id, or null for a deployment slot or in alternating mode
+ */
+export const getActiveCreatureId = (state) => {
+  if (state.turnMode !== 'initiative') return null;
+  return state.turnOrder[state.turnIndex]?.creatureId || null;
+};
+
+/**
+ * Describe this round's turn order for display
+ * @param {Object} state - Battle state
+ * @returns {Array} - [{ side, creatureId, name, initiative, status }] where status is
+ *   done, active or waiting; empty in alternating mode
+ */
+export const getTurnOrderView = (state) => {
+  if (state.turnMode !== 'initiative') return [];
+
+  return state.turnOrder
+    .map((entry, index) => {
+      const creature = entry.creatureId && findById(state[sideKey(entry.side, 'Field')], entry.creatureId);
+      if (entry.creatureId && !creature) return null;
+
+      let status = 'waiting';
+      if (index < state.turnIndex) status = 'done';
+      if (index === state.turnIndex) status = 'active';
+
+      return {
+        side: entry.side,
+        creatureId: entry.creatureId,
+        name: creature ? creature.species_name : 'Deploy',
+        initiative: creature ? getInitiative(creature) : null,
+        status
+      };
+    })
+    .filter(Boolean);
+};
+
+// Hand the turn to the next live slot, ending the round when everyone has acted
+const startActivation = (draft) => {
+  while (draft.turnIndex < draft.turnOrder.length && !isEntryLive(draft, draft.turnOrder[draft.turnIndex])) {
+    draft.turnIndex += 1;
+  }
+
+  if (draft.turnIndex >= draft.turnOrder.length) {
+    tickEffects(draft);
+    removeDefeated(draft);
+    checkOutcome(draft);
+    checkTurnLimit(draft);
+    if (isTerminal(draft)) return;
+
+    startNextRound(draft);
+    draft.turnOrder = buildTurnOrder(draft);
+    draft.turnIndex = 0;
+    if (draft.turnOrder.length === 0) return;
+  }
+
+  const { side, creatureId } = draft.turnOrder[draft.turnIndex];
+  draft.activePlayer = side;
+
+  const owner = side === 'player' ? 'Your' : "Enemy's";
+  if (creatureId === null) {
+    pushLog(draft, `Turn ${draft.turn} - ${owner} deployment.`);
+  } else {
+    const creature = findById(draft[sideKey(side, 'Field')], creatureId);
+    if (isStunned(creature)) {
+      pushLog(draft, `Turn ${draft.turn} - ${creature.species_name} is stunned and loses its turn.`);
+      endActivation(draft);
+      return;
+    }
+    pushLog(draft, `Turn ${draft.turn} - ${side === 'player' ? 'Your ' : ''}${creature.species_name} acts.`);
+  }
+};
+
+const endActivation = (draft) => {
+  draft.turnIndex += 1;
+  startActivation(draft);
+};
+
+// Creatures an ability hits: the chosen enemy, every enemy in reach, the user, or every ally
+const getAbilityTargets = (state, side, ability, user, targetId) => {
+  switch (ability.target) {
+    case 'enemy': {
+      const target = findById(state[sideKey(getOpponent(side), 'Field')], targetId);
+      return target ? [target] : [];
+    }
+    case 'allEnemies':
+      return getAbilityReachableTargets(user, ability, state[sideKey(getOpponent(side), 'Field')]);
+    case 'allAllies':
+      return state[sideKey(side, 'Field')];
+    default:
+      return [user];
+  }
+};
+
+// In initiative mode only the active creature can attack, defend, cast or use a tool
+const getInitiativeReason = (state, action) => {
+  const activeId = getActiveCreatureId(state);
+  const actorId = {
+    attack: action.attackerId,
+    useSpell: action.casterId,
+    defend: action.creatureId,
+    useAbility: action.creatureId,
+    moveRow: action.creatureId
+  }[action.type];
+
+  if (action.type === 'useTool' && activeId === null) {
+    return 'Deploy a creature or end your turn.';
+  }
+  if (actorId !== undefined && actorId !== activeId) {
+    if (activeId === null) return 'Deploy a creature or end your turn.';
+    const activeCreature = findById(state[sideKey(action.side, 'Field')], activeId);
+    return `It's ${activeCreature.species_name}'s turn to act.`;
+  }
+  return null;
+};
+
+// ========== RULES ==========
+
+/**
+ * Explain why an action can't be taken right now
+ * @param {Object} state - Battle state
+ * @param {Object} action - Action with a side
+ * @returns {string|null} - Reason the action is illegal, or null if it is legal
+ */
+export const getIllegalReason = (state, action) => {
+  if (!action) return 'Invalid action';
+  if (isTerminal(state)) return 'The battle is over.';
+
+  const side = action.side;
+  if (side !== state.activePlayer) return "It's not your turn.";
+
+  if (state.turnMode === 'initiative') {
+    const initiativeReason = getInitiativeReason(state, action);
+    if (initiativeReason) return initiativeReason;
+  }
+
+  const opponent = getOpponent(side);
+  const energy = state[sideKey(side, 'Energy')];
+  const field = state[sideKey(side, 'Field')];
+
+  const actor = findById(field, action.attackerId || action.casterId || action.creatureId);
+  if (action.type !== 'deploy' && actor && isStunned(actor)) {
+    return `${actor.species_name} is stunned.`;
+  }
+
+  switch (action.type) {
+    case 'deploy': {
+      const creature = findById(state[sideKey(side, 'Hand')], action.creatureId);
+      if (!creature) return 'That creature is not in your hand.';
+      if (action.row && !ROWS.includes(action.row)) return 'Invalid row.';
+      if (field.length >= state[sideKey(side, 'MaxFieldSize')]) {
+        return 'Your battlefield is full! Cannot deploy more creatures.';
+      }
+      const energyCost = getCreatureEnergyCost(creature);
+      if (energy < energyCost) {
+        return `Not enough energy to deploy ${creature.species_name}. Needs ${energyCost} energy.`;
+      }
+      return null;
+    }
+
+    case 'attack': {
+      const opposingField = state[sideKey(opponent, 'Field')];
+      const attacker = findById(field, action.attackerId);
+      const target = findById(opposingField, action.targetId);
+      if (!attacker || !target) {
+        return 'Invalid attack - missing attacker or defender';
+      }
+      if (!canAttackTarget(attacker, target, opposingField)) {
+        return `${target.species_name} is in the back row, out of ${attacker.species_name}'s reach.`;
+      }
+      const taunting = getTauntingCreatures(getAttackableTargets(attacker, opposingField));
+      if (taunting.length > 0 && !findById(taunting, action.targetId)) {
+        return `${taunting.map(creature => creature.species_name).join(' or ')} must be attacked first.`;
+      }
+      if (energy < ATTACK_ENERGY_COST) {
+        return `Not enough energy to attack. Needs ${ATTACK_ENERGY_COST} energy.`;
+      }
+      return null;
+    }
+
+    case 'useTool': {
+      const tool = findById(state[sideKey(side, 'Tools')], action.toolId);
+      if (!tool || !findById(field, action.targetId)) {
+        return 'Invalid tool use - missing tool or target';
+      }
+      const availability = getItemAvailability(tool, state.turn);
+      if (!availability.ready) return `${tool.name} can't be used: ${availability.label}.`;
+      return null;
+    }
+
+    case 'useSpell': {
+      const spell = findById(state[sideKey(side, 'Spells')], action.spellId);
+      const caster = findById(field, action.casterId);
+      if (!spell || !caster || !caster.stats) return 'Invalid spell cast - missing spell or caster';
+      if (action.targetId && !findOnField(state, action.targetId)) return 'Invalid spell cast - missing target';
+      const availability = getItemAvailability(spell, state.turn);
+      if (!availability.ready) return `${spell.name} can't be cast: ${availability.label}.`;
+      if (energy < SPELL_ENERGY_COST) {
+        return `Not enough energy to cast ${spell.name}. Needs ${SPELL_ENERGY_COST} energy.`;
+      }
+      return null;
+    }
+
+    case 'useAbility': {
+      const creature = findById(field, action.creatureId);
+      const ability = getCreatureAbility(creature);
+      if (!creature || !ability) return 'That creature has no ability to use.';
+      const availability = getAbilityAvailability(creature, state.turn);
+      if (!availability.ready) return `${ability.name} can't be used: ${availability.label}.`;
+      if (getAbilityTargets(state, side, ability, creature, action.targetId).length === 0) {
+        return `${ability.name} needs a target.`;
+      }
+      if (ability.target === 'enemy') {
+        const opposingField = state[sideKey(opponent, 'Field')];
+        const target = findById(opposingField, action.targetId);
+        if (!canAbilityReachTarget(creature, ability, target, opposingField)) {
+          return `${target.species_name} is in the back row, out of ${ability.name}'s reach.`;
+        }
+        const taunting = getTauntingCreatures(getAbilityReachableTargets(creature, ability, opposingField));
+        if (taunting.length > 0 && !findById(taunting, action.targetId)) {
+          return `${taunting.map(c => c.species_name).join(' or ')} must be attacked first.`;
+        }
+      }
+      if (energy < ability.energyCost) {
+        return `Not enough energy for ${ability.name}. Needs ${ability.energyCost} energy.`;
+      }
+      return null;
+    }
+
+    case 'defend': {
+      const creature = findById(field, action.creatureId);
+      if (!creature) return 'Invalid defend action - no creature selected';
+      if (creature.isDefending) return `${creature.species_name} is already defending.`;
+      if (energy < DEFEND_ENERGY_COST) {
+        return `Not enough energy to defend. Needs ${DEFEND_ENERGY_COST} energy.`;
+      }
+      return null;
+    }
+
+    case 'moveRow': {
+      const creature = findById(field, action.creatureId);
+      if (!creature) return 'Invalid move - no creature selected';
+      if (energy < MOVE_ROW_ENERGY_COST) {
+        return `Not enough energy to change rows. Needs ${MOVE_ROW_ENERGY_COST} energy.`;
+      }
+      return null;
+    }
+
+    case 'endTurn':
+    case 'aiAction':
+      return null;
+
+    default:
+      return 'Invalid action';
+  }
+};
+
+/**
+ * List every action a side can legally take right now
+ * @param {Object} state - Battle state
+ * @param {string} side - 'player' or 'enemy'
+ * @returns {Array} - Concrete actions accepted by applyAction
+ */
+export const legalActions = (state, side) => {
+  if (isTerminal(state) || state.activePlayer !== side) return [];
+
+  const hand = state[sideKey(side, 'Hand')];
+  const field = state[sideKey(side, 'Field')];
+  const opposingField = state[sideKey(getOpponent(side), 'Field')];
+
+  const candidates = [
+    ...hand.flatMap(creature => ROWS.map(row => ({ type: 'deploy', side, creatureId: creature.id, row }))),
+    ...field.flatMap(attacker => opposingField.map(target => ({
+      type: 'attack', side, attackerId: attacker.id, targetId: target.id
+    }))),
+    ...state[sideKey(side, 'Tools')].flatMap(tool => field.map(creature => ({
+      type: 'useTool', side, toolId: tool.id, targetId: creature.id
+    }))),
+    ...state[sideKey(side, 'Spells')].flatMap(spell => field.flatMap(caster =>
+      [caster, ...opposingField].map(target => ({
+        type: 'useSpell', side, spellId: spell.id, casterId: caster.id, targetId: target.id
+      }))
+    )),
+    ...field.flatMap(creature => {
+      const ability = getCreatureAbility(creature);
+      if (!ability) return [];
+      return ability.target === 'enemy'
+        ? opposingField.map(target => ({ type: 'useAbility', side, creatureId: creature.id, targetId: target.id }))
+        : [{ type: 'useAbility', side, creatureId: creature.id }];
+    }),
+    ...field.map(creature => ({ type: 'defend', side, creatureId: creature.id })),
+    ...field.map(creature => ({ type: 'moveRow', side, creatureId: creature.id })),
+    { type: 'endTurn', side }
+  ];
+
+  return candidates.filter(action => !getIllegalReason(state, action));
+};
+
+/**
+ * Whether the battle has finished
+ * @param {Object} state - Battle state
+ * @returns {boolean} - True once the battle is won or lost
+ */
+export const isTerminal = (state) => {
+  return state.status !== 'battle';
+};
+
+// The AI's targets may ignore rows: keep its target when the attacker (or its
+// ability, if given) reaches it, otherwise switch to the weakest creature it does reach
+const getReachableTargetId = (state, targetSide, attacker, target, ability = null) => {
+  if (!attacker || !target) return target?.id;
+
+  const targetField = state[sideKey(targetSide, 'Field')];
+  const reachable = ability
+    ? getAbilityReachableTargets(attacker, ability, targetField)
+    : getAttackableTargets(attacker, targetField);
+  if (findById(reachable, target.id)) return target.id;
+
+  const taunting = getTauntingCreatures(reachable);
+  const candidates = taunting.length > 0 ? taunting : reachable;
+  if (candidates.length === 0) return target.id;
+  return candidates.reduce((weakest, creature) => (
+    creature.currentHealth < weakest.currentHealth ? creature : weakest
+  )).id;
+};
+
+// Ask battleAI for a move and turn it into an engine action (illegal choices end the turn)
+const chooseAIAction = (state, side, aiDifficulty, rng) => {
+  const opponent = getOpponent(side);
+  // The AI only sees the items it can use this turn
+  const isReady = item => getItemAvailability(item, state.turn).ready;
+
+  // In initiative mode the AI acts with the active creature only, and is only
+  // offered its hand while there is room to deploy
+  let hand = state[sideKey(side, 'Hand')];
+  let field = state[sideKey(side, 'Field')];
+  if (state.turnMode === 'initiative') {
+    if (field.length >= state[sideKey(side, 'MaxFieldSize')]) hand = [];
+    field = field.filter(creature => creature.id === getActiveCreatureId(state));
+  }
+  // Stunned creatures can't act, and taunting creatures are the only valid attack targets
+  field = field.filter(creature => !isStunned(creature));
+  const opposingField = state[sideKey(opponent, 'Field')];
+  const taunting = getTauntingCreatures(opposingField);
+
+  const aiAction = determineAIAction(
+    aiDifficulty || state.difficulty,
+    hand,
+    field,
+    taunting.length > 0 ? taunting : opposingField,
+    state[sideKey(side, 'Tools')].filter(isReady),
+    state[sideKey(side, 'Spells')].filter(isReady),
+    state[sideKey(side, 'Energy')],
+    rng,
+    state.turn,
+    side === 'enemy' ? state.enemyPersonality : null
+  );
+
+  let action;
+  switch (aiAction.type) {
+    case 'deploy':
+      action = {
+        type: 'deploy',
+        side,
+        creatureId: aiAction.creature?.id,
+        row: aiAction.creature && getRecommendedRow(aiAction.creature, state[sideKey(side, 'Field')])
+      };
+      break;
+    case 'attack':
+      action = {
+        type: 'attack',
+        side,
+        attackerId: aiAction.attacker?.id,
+        targetId: getReachableTargetId(state, opponent, aiAction.attacker, aiAction.target)
+      };
+      break;
+    case 'useTool':
+      action = { type: 'useTool', side, toolId: aiAction.tool?.id, targetId: aiAction.target?.id };
+      break;
+    case 'useSpell':
+      action = {
+        type: 'useSpell',
+        side,
+        spellId: aiAction.spell?.id,
+        casterId: aiAction.caster?.id,
+        targetId: aiAction.target?.id
+      };
+      break;
+    case 'defend':
+      action = { type: 'defend', side, creatureId: aiAction.creature?.id };
+      break;
+    case 'useAbility':
+      action = {
+        type: 'useAbility',
+        side,
+        creatureId: aiAction.creature?.id,
+        targetId: getReachableTargetId(
+          state,
+          opponent,
+          aiAction.creature,
+          aiAction.target,
+          aiAction.creature && getCreatureAbility(aiAction.creature)
+        )
+      };
+      break;
+    default:
+      action = { type: 'endTurn', side };
+  }
+
+  return getIllegalReason(state, action) ? { type: 'endTurn', side } : action;
+};
+
+// ========== ENEMY INTENT ==========
+
+const INTENT_ICONS = {
+  deploy: '📥',
+  attack: '⚔️',
+  useTool: '🔧',
+  useSpell: '✨',
+  defend: '🛡️',
+  useAbility: '🌟',
+  endTurn: '💤'
+};
+
+// Plan the enemy's move for this turn, from its own stream so the battle's rolls are untouched
+const planEnemyIntent = (draft) => {
+  draft.enemyIntent = null;
+  if (draft.turnMode !== 'alternating' || !getDifficultySettings(draft.difficulty).showEnemyIntent) return;
+
+  const rng = createRng(`${draft.seed}-intent-${draft.turn}`);
+  draft.enemyIntent = chooseAIAction({ ...draft, activePlayer: 'enemy' }, 'enemy', null, rng);
+};
+
+// The planned move, if it can still be carried out (the player may have defeated its target)
+const getCommittedIntent = (state) => {
+  if (!state.enemyIntent) return null;
+  const enemyView = { ...state, activePlayer: 'enemy' };
+  return getIllegalReason(enemyView, state.enemyIntent) ? null : state.enemyIntent;
+};
+
+/**
+ * Describe the move the enemy has planned for its next turn
+ * @param {Object} state - Battle state
+ * @returns {Object|null} - { type, icon, label, actorId, targetId } where actorId is the
+ *   enemy creature that will act (null when deploying from the hand) and targetId the
+ *   player creature it aims at; null when there is no plan to show
+ */
+export const getEnemyIntentView = (state) => {
+  if (state.activePlayer !== 'player') return null;
+  const intent = getCommittedIntent(state);
+  if (!intent) return null;
+
+  const target = intent.targetId ? findById(state.playerField, intent.targetId) : null;
+  const targetText = target ? ` on ${target.species_name}` : '';
+  let actorId = intent.attackerId || intent.casterId || intent.creatureId || null;
+  let label;
+  switch (intent.type) {
+    case 'deploy':
+      // Which creature is coming stays hidden in the hand
+      actorId = null;
+      label = 'Deploying a creature';
+      break;
+    case 'attack':
+      label = `Attacking ${target.species_name}`;
+      break;
+    case 'useTool':
+      actorId = intent.targetId;
+      label = `Using ${findById(state.enemyTools, intent.toolId).name}`;
+      break;
+    case 'useSpell':
+      label = `Casting ${findById(state.enemySpells, intent.spellId).name}${targetText}`;
+      break;
+    case 'defend':
+      label = 'Defending';
+      break;
+    case 'useAbility':
+      label = `Using ${getCreatureAbility(findById(state.enemyField, intent.creatureId)).name}${targetText}`;
+      break;
+    default:
+      label = 'Passing';
+  }
+
+  return {
+    type: intent.type,
+    icon: INTENT_ICONS[intent.type] || INTENT_ICONS.endTurn,
+    label,
+    actorId,
+    targetId: target ? target.id : null
+  };
+};
+
+// ========== ACTIONS ==========
+
+const performDeploy = (draft, { side, creatureId, row }) => {
+  const handKey = sideKey(side, 'Hand');
+  const creature = findById(draft[handKey], creatureId);
+  const energyCost = getCreatureEnergyCost(creature);
+  // Without a chosen row the creature takes its place in the loadout's formation
+  const deployRow = row || creature.formation_row || DEFAULT_ROW;
+
+  draft[handKey] = draft[handKey].filter(c => c.id !== creatureId);
+  draft[sideKey(side, 'Field')] = [...draft[sideKey(side, 'Field')], { ...creature, row: deployRow }];
+  draft[sideKey(side, 'Energy')] -= energyCost;
+
+  pushLog(draft, `${side === 'player' ? 'You' : 'Enemy'} deployed ${creature.species_name} to the ${deployRow} row! (-${energyCost} energy)`);
+  pushEvent(draft, { type: 'deploy', side, creatureId, row: deployRow, energyCost });
+};
+
+const performAttack = (draft, { side, attackerId, targetId }, rng) => {
+  const attacker = findById(draft[sideKey(side, 'Field')], attackerId);
+  const target = findById(draft[sideKey(getOpponent(side), 'Field')], targetId);
+  const attackResult = processAttack(attacker, target, 'auto', rng);
+
+  replaceCreature(draft, attackResult.updatedAttacker);
+  replaceCreature(draft, attackResult.updatedDefender);
+  draft[sideKey(side, 'Energy')] -= ATTACK_ENERGY_COST;
+
+  pushLog(draft, `${attackResult.battleLog} (-${ATTACK_ENERGY_COST} energy)`);
+  pushEvent(draft, {
+    type: 'attack',
+    side,
+    attackerId,
+    targetId,
+    energyCost: ATTACK_ENERGY_COST,
+    damage: attackResult.damageResult.isDodged ? 0 : attackResult.damageResult.damage,
+    isCritical: attackResult.damageResult.isCritical,
+    isDodged: attackResult.damageResult.isDodged
+  });
+};
+
+const performUseTool = (draft, { side, toolId, targetId }) => {
+  const toolsKey = sideKey(side, 'Tools');
+  const tool = findById(draft[toolsKey], toolId);
+  const target = findOnField(draft, targetId);
+  const result = applyTool(target, tool);
+
+  replaceCreature(draft, result.updatedCreature);
+  spendItemUse(draft, toolsKey, toolId);
+
+  pushLog(draft, `${tool.name} was used on ${target.species_name}.`);
+  pushLog(draft, result.battleLog);
+  pushEvent(draft, { type: 'useTool', side, toolId, targetId });
+};
+
+const performUseSpell = (draft, { side, spellId, casterId, targetId }) => {
+  const spellsKey = sideKey(side, 'Spells');
+  const energyKey = sideKey(side, 'Energy');
+  const spell = findById(draft[spellsKey], spellId);
+  const caster = findOnField(draft, casterId);
+  const target = (targetId && findOnField(draft, targetId)) || caster;
+  const spellResult = applySpell(caster, target, spell, getTicksPerTurn(draft));
+
+  replaceCreature(draft, spellResult.updatedCaster);
+  replaceCreature(draft, spellResult.updatedTarget);
+  // Energy spells refill the caster's side (capped like regular regeneration)
+  draft[energyKey] = Math.min(
+    MAX_ENERGY,
+    draft[energyKey] - SPELL_ENERGY_COST + (spellResult.energyGained || 0)
+  );
+  spendItemUse(draft, spellsKey, spellId);
+
+  const targetText = target.id !== caster.id ? ` on ${target.species_name}` : '';
+  pushLog(draft, `${caster.species_name} cast ${spell.name}${targetText}. (-${SPELL_ENERGY_COST} energy)`);
+  pushLog(draft, spellResult.battleLog);
+  pushEvent(draft, { type: 'useSpell', side, spellId, casterId, targetId: target.id, energyCost: SPELL_ENERGY_COST });
+};
+
+const performUseAbility = (draft, { side, creatureId, targetId }, rng) => {
+  const energyKey = sideKey(side, 'Energy');
+  const user = findById(draft[sideKey(side, 'Field')], creatureId);
+  const ability = getCreatureAbility(user);
+  const targets = getAbilityTargets(draft, side, ability, user, targetId);
+
+  draft[energyKey] -= ability.energyCost;
+  const targetText = ability.target === 'enemy' ? ` on ${targets[0].species_name}` : '';
+  pushLog(draft, `${user.species_name} used ${ability.name}${targetText}! (-${ability.energyCost} energy)`);
+
+  targets.forEach(target => {
+    const result = applyAbility(user, findOnField(draft, target.id), ability, rng);
+    replaceCreature(draft, result.updatedTarget);
+    pushLog(draft, result.battleLog);
+    if (result.damageResult) {
+      pushEvent(draft, {
+        type: 'abilityHit',
+        side,
+        attackerId: creatureId,
+        targetId: target.id,
+        damage: result.damageResult.isDodged ? 0 : result.damageResult.damage,
+        isCritical: result.damageResult.isCritical,
+        isDodged: result.damageResult.isDodged
+      });
+    }
+  });
+
+  replaceCreature(draft, {
+    ...findOnField(draft, creatureId),
+    abilityReadyOnTurn: draft.turn + ability.cooldown
+  });
+  if (ability.energyGain) {
+    draft[energyKey] = Math.min(MAX_ENERGY, draft[energyKey] + ability.energyGain);
+    pushLog(draft, `${user.species_name} restored ${ability.energyGain} energy.`);
+  }
+  pushEvent(draft, { type: 'useAbility', side, creatureId, targetId, energyCost: ability.energyCost });
+};
+
+const performDefend = (draft, { side, creatureId }) => {
+  const creature = findById(draft[sideKey(side, 'Field')], creatureId);
+
+  replaceCreature(draft, defendCreature(creature));
+  draft[sideKey(side, 'Energy')] -= DEFEND_ENERGY_COST;
+
+  pushLog(draft, `${creature.species_name} took a defensive stance! (-${DEFEND_ENERGY_COST} energy)`);
+  pushEvent(draft, { type: 'defend', side, creatureId, energyCost: DEFEND_ENERGY_COST });
+};
+
+const performMoveRow = (draft, { side, creatureId }) => {
+  const creature = findById(draft[sideKey(side, 'Field')], creatureId);
+  const row = getOtherRow(getRow(creature));
+
+  replaceCreature(draft, { ...creature, row });
+  draft[sideKey(side, 'Energy')] -= MOVE_ROW_ENERGY_COST;
+
+  pushLog(draft, `${creature.species_name} moved to the ${row} row. (-${MOVE_ROW_ENERGY_COST} energy)`);
+  pushEvent(draft, { type: 'moveRow', side, creatureId, row, energyCost: MOVE_ROW_ENERGY_COST });
+};
+
+const performEndTurn = (draft, { side }) => {
+  pushEvent(draft, { type: 'endTurn', side });
+
+  if (draft.turnMode === 'initiative') {
+    endActivation(draft);
+    return;
+  }
+
+  tickEffects(draft);
+  removeDefeated(draft);
+  checkOutcome(draft);
+  if (isTerminal(draft)) return;
+
+  if (side === 'player') {
+    draft.activePlayer = 'enemy';
+    pushLog(draft, `Turn ${draft.turn} - Enemy's turn.`);
+    return;
+  }
+
+  // End of the round: next turn, draw phase and energy for both sides
+  checkTurnLimit(draft);
+  if (isTerminal(draft)) return;
+
+  draft.activePlayer = 'player';
+  startNextRound(draft);
+  pushLog(draft, `Turn ${draft.turn} - Your turn.`);
+  planEnemyIntent(draft);
+};
+
+const performAction = (draft, action, rng) => {
+  const snapshot = snapshotStatistics(draft);
+
+  switch (action.type) {
+    case 'deploy':
+      performDeploy(draft, action);
+      break;
+    case 'attack':
+      performAttack(draft, action, rng);
+      break;
+    case 'useTool':
+      performUseTool(draft, action);
+      break;
+    case 'useSpell':
+      performUseSpell(draft, action);
+      break;
+    case 'defend':
+      performDefend(draft, action);
+      break;
+    case 'useAbility':
+      performUseAbility(draft, action, rng);
+      break;
+    case 'moveRow':
+      performMoveRow(draft, action);
+      break;
+    case 'endTurn':
+      performEndTurn(draft, action);
+      recordStatistics(draft, snapshot);
+      return;
+    default:
+      return;
+  }
+
+  checkBossPhases(draft);
+  removeDefeated(draft);
+  checkOutcome(draft);
+  recordStatistics(draft, snapshot, getActorId(action));
+  if (isTerminal(draft)) return;
+
+  // Whatever ticks when the activation or turn ends isn't the actor's doing
+  const endSnapshot = snapshotStatistics(draft);
+
+  if (draft.turnMode === 'initiative') {
+    // Anything but a deployment uses up the active creature's action
+    if (action.type !== 'deploy') {
+      endActivation(draft);
+      recordStatistics(draft, endSnapshot);
+    }
+    return;
+  }
+
+  // The enemy gets a single action per turn
+  if (action.side === 'enemy') {
+    performEndTurn(draft, { side: 'enemy' });
+    recordStatistics(draft, endSnapshot);
+  }
+};
+
+/**
+ * Apply one action and return the next state (the given state is not modified).
+ * Actions reference creatures, tools and spells by id:
+ *   { type: 'deploy', side, creatureId, row } - row defaults to the creature's formation_row
+ *   { type: 'attack', side, attackerId, targetId }
+ *   { type: 'useTool', side, toolId, targetId }
+ *   { type: 'useSpell', side, spellId, casterId, targetId }
+ *   { type: 'defend', side, creatureId }
+ *   { type: 'useAbility', side, creatureId, targetId } - targetId only for single-enemy abilities
+ *   { type: 'moveRow', side, creatureId } - switch between the front and back row
+ *   { type: 'endTurn', side }
+ *   { type: 'aiAction', side, aiDifficulty } - let battleAI pick the move
+ *   { type: 'forfeit', side: 'player', reason } - give up on either side's turn; reason
+ *     'abandoned' marks a battle battleSaves timed out, 'outdated' one saved under older rules
+ * Illegal actions leave the battle unchanged apart from a log entry explaining why.
+ * @param {Object} state - Battle state
+ * @param {Object} action - Action to apply (side defaults to the active player)
+ * @returns {Object} - Next battle state; lastEvents lists what the action caused
+ */
+export const applyAction = (state, action) => {
+  if (!action || isTerminal(state)) return state;
+
+  const sidedAction = { ...action, side: action.side || state.activePlayer };
+  const draft = { ...state, lastEvents: [] };
+
+  if (sidedAction.type === 'forfeit') {
+    if (sidedAction.side !== 'player') return state;
+    performForfeit(draft, sidedAction);
+    return draft;
+  }
+
+  if (sidedAction.side !== state.activePlayer) return state;
+
+  const rng = createRng(state.seed, state.rngState);
+
+  const illegalReason = getIllegalReason(state, sidedAction);
+  if (illegalReason) {
+    pushLog(draft, illegalReason);
+    return draft;
+  }
+
+  let resolvedAction = sidedAction;
+  if (sidedAction.type === 'aiAction') {
+    // The enemy sticks to the move it telegraphed while it still can
+    const committedIntent = sidedAction.side === 'enemy' && !sidedAction.aiDifficulty
+      ? getCommittedIntent(state)
+      : null;
+    resolvedAction = committedIntent || chooseAIAction(state, sidedAction.side, sidedAction.aiDifficulty, rng);
+    if (resolvedAction.type === 'endTurn' && resolvedAction.side === 'enemy') {
+      pushLog(draft, state.turnMode === 'initiative' ? 'Enemy passed.' : 'Enemy ended their turn.');
+    }
+  }
+
+  if (resolvedAction.side === 'enemy') {
+    draft.enemyIntent = null;
+  }
+  performAction(draft, resolvedAction, rng);
+
+  // Now and then the enemy's personality shows in the log
+  if (resolvedAction.side === 'enemy' && state.enemyPersonality && !isTerminal(draft)) {
+    pushLog(draft, getFlavorLine(state.enemyPersonality, resolvedAction.type, rng), 'flavor');
+  }
+  draft.rngState = rng.getState();
+
+  return draft;
+};
+
+const getStartMessage = (difficulty, stage, pvpOpponent, challenge, trainer) => {
+  if (stage) return `Battle started! Campaign: ${stage.name}`;
+  if (challenge) return `Battle started! Daily challenge: ${challenge.date}`;
+  if (pvpOpponent) return `Battle started! PvP against ${pvpOpponent.name}'s defense deck`;
+  if (trainer) return `Battle started! ${trainer.name} of the ${trainer.team} challenges you! Difficulty: ${capitalize(difficulty)}`;
+  return `Battle started! Difficulty: ${capitalize(difficulty)}`;
+};
+
+/**
+ * Start a new battle
+ * @param {Object} config
+ * @param {string} config.difficulty - Enemy difficulty
+ * @param {Array} config.playerCreatures - Player creatures (battle stats are derived here)
+ * @param {Array} [config.playerTools] - Tools the player can use
+ * @param {Array} [config.playerSpells] - Spells the player can cast
+ * @param {number|string} [config.seed] - Battle seed (a fixed seed replays the same fight)
+ * @param {Array} [config.enemyCreatures] - Use these enemies instead of generating a deck
+ * @param {string} [config.enemySpecies] - Restrict generated enemies to one species template
+ * @param {Array} [config.enemyTools] - Use these enemy tools instead of generating them
+ * @param {Array} [config.enemySpells] - Use these enemy spells instead of generating them
+ * @param {string} [config.turnMode] - 'alternating' (sides take turns) or 'initiative'
+ *   (creatures act in initiative order each round)
+ * @param {boolean} [config.shuffleDeck] - Shuffle the player's creatures with the battle seed;
+ *   replays turn this off because they store the deck in the order it was dealt
+ * @param {string} [config.stageId] - Campaign stage to fight; its difficulty, enemies
+ *   and modifiers replace difficulty, enemyCreatures and enemySpecies
+ * @param {Object} [config.pvpOpponent] - { playerId, name } of the player whose defense
+ *   deck is passed as enemyCreatures; the deck is played with player rules and stats
+ * @param {string} [config.challengeDate] - Daily challenge to fight (YYYY-MM-DD); its seed,
+ *   difficulty, turn mode, modifiers, personality and enemies replace the matching options
+ * @param {string} [config.aiPersonality] - Enemy AI personality id, or 'random' to roll one
+ *   from the battle seed; stages and challenges bring their own
+ * @param {string} [config.trainerId] - Named enemy trainer, 'random' to roll one from the
+ *   battle seed, or 'matched' to let matchTrainer pick from the player's creatures and the
+ *   difficulty; the trainer's roster and personality replace enemySpecies and aiPersonality.
+ *   Stages, challenges and PvP ignore it
+ * @returns {Object} - Initial battle state
+ */
+export const createBattle = ({
+  difficulty = 'easy',
+  playerCreatures = [],
+  playerTools = [],
+  playerSpells = [],
+  seed = generateSeed(),
+  enemyCreatures = null,
+  enemySpecies = null,
+  enemyTools = null,
+  enemySpells = null,
+  turnMode = 'alternating',
+  shuffleDeck = true,
+  stageId = null,
+  pvpOpponent = null,
+  challengeDate = null,
+  aiPersonality = null,
+  trainerId = null
+} = {}) => {
+  const stage = stageId ? getCampaignStage(stageId) : null;
+  if (stage) {
+    difficulty = stage.difficulty;
+  }
+
+  const challenge = challengeDate ? getDailyChallenge(challengeDate) : null;
+  if (challenge) {
+    difficulty = challenge.difficulty;
+    seed = challenge.seed;
+    turnMode = challenge.turnMode;
+  }
+
+  // Stages and challenges both carry modifiers
+  const rules = stage || challenge;
+  if (rules) {
+    aiPersonality = rules.personality || null;
+  }
+
+  const rng = createRng(seed);
+  const settings = getDifficultySettings(difficulty);
+
+  // Trainers only run the arena
+  let trainer = null;
+  if (!rules && !pvpOpponent && trainerId) {
+    const trainerRng = createRng(`${rng.seed}-trainer`);
+    if (trainerId === RANDOM_TRAINER) {
+      trainer = pickTrainer(trainerRng);
+    } else if (trainerId === MATCHED_TRAINER) {
+      trainer = matchTrainer(playerCreatures, difficulty, trainerRng);
+    } else {
+      trainer = getTrainer(trainerId);
+    }
+  }
+  if (trainer) {
+    aiPersonality = trainer.personality;
+  }
+
+  // Enemies come from their own stream, so a battle started with a recorded enemy
+  // deck (e.g. from a replay) rolls exactly the same numbers as the original
+  const enemyRng = createRng(`${rng.seed}-enemies`);
+
+  // The player's deck is shuffled from its own stream for the same reason
+  const playerDeck = (shuffleDeck
+    ? shuffle(createRng(`${rng.seed}-player-deck`), playerCreatures)
+    : playerCreatures
+  ).map(prepareBattleCreature);
+  let enemyDeck;
+  if (stage) {
+    // Stage line-ups are dealt in the order they are written
+    enemyDeck = applyStageToEnemies(
+      prepareEnemyCreatures(buildStageEnemies(stage, enemyRng), difficulty),
+      stage
+    );
+  } else if (challenge) {
+    // Generated from the date alone, so the player's deck doesn't change the line-up
+    enemyDeck = applyStageToEnemies(
+      prepareEnemyCreatures(generateChallengeEnemies(challenge, enemyRng), difficulty),
+      challenge
+    );
+  } else if (pvpOpponent) {
+    // A real player's creatures: their own derived stats, shuffled like the player's deck
+    enemyDeck = (shuffleDeck
+      ? shuffle(createRng(`${rng.seed}-enemy-deck`), enemyCreatures)
+      : enemyCreatures
+    ).map(prepareBattleCreature);
+  } else if (trainer) {
+    enemyDeck = prepareEnemyCreatures(
+      enemyCreatures || generateTrainerEnemies(trainer, difficulty, enemyRng),
+      difficulty
+    );
+  } else {
+    enemyDeck = prepareEnemyCreatures(
+      enemyCreatures || generateEnemyCreatures(
+        difficulty,
+        settings.enemyDeckSize,
+        enemySpecies ? [{ species_id: enemySpecies }] : playerDeck,
+        enemyRng
+      ),
+      difficulty
+    );
+  }
+  let enemyItems;
+  if (enemyTools && enemySpells) {
+    enemyItems = { tools: enemyTools, spells: enemySpells };
+  } else if (stage?.enemyItems) {
+    enemyItems = stage.enemyItems;
+  } else {
+    enemyItems = generateEnemyItems(difficulty, createRng(`${rng.seed}-enemy-items`));
+  }
+
+  const enemyHandSize = pvpOpponent ? PLAYER_INITIAL_HAND_SIZE : settings.initialHandSize;
+
+  const enemyPersonality = aiPersonality === RANDOM_PERSONALITY
+    ? randomPick(createRng(`${rng.seed}-personality`), PERSONALITY_IDS)
+    : aiPersonality;
+
+  const battle = {
+    seed: rng.seed,
+    rngState: rng.getState(),
+    difficulty,
+    stageId: stage ? stage.id : null,
+    pvpOpponent,
+    challengeDate: challenge ? challenge.date : null,
+    trainerId: trainer ? trainer.id : null,
+    enemyPersonality,
+    // The enemy's planned move on difficulties that telegraph it
+    enemyIntent: null,
+    status: 'battle', // battle, victory, defeat
+    turn: 1,
+    activePlayer: 'player', // player or enemy
+    turnMode,
+
+    // Initiative mode: this round's slots ({ side, creatureId }) and whose turn it is
+    turnOrder: [],
+    turnIndex: 0,
+
+    // Player state
+    playerDeck: playerDeck.slice(PLAYER_INITIAL_HAND_SIZE),
+    playerHand: playerDeck.slice(0, PLAYER_INITIAL_HAND_SIZE),
+    playerField: [],
+    playerEnergy: rules ? getStageStartingEnergy(rules, 'player', STARTING_ENERGY) : STARTING_ENERGY,
+    playerTools: playerTools.map(prepareBattleItem),
+    playerSpells: playerSpells.map(prepareBattleItem),
+    playerMaxFieldSize: PLAYER_MAX_FIELD_SIZE,
+
+    // Enemy state (a PvP opponent's deck follows the player's hand and field limits)
+    enemyDeck: enemyDeck.slice(enemyHandSize),
+    enemyHand: enemyDeck.slice(0, enemyHandSize),
+    enemyField: [],
+    enemyEnergy: rules ? getStageStartingEnergy(rules, 'enemy', STARTING_ENERGY) : STARTING_ENERGY,
+    enemyTools: enemyItems.tools.map(prepareBattleItem),
+    enemySpells: enemyItems.spells.map(prepareBattleItem),
+    enemyMaxFieldSize: pvpOpponent ? PLAYER_MAX_FIELD_SIZE : settings.maxFieldSize,
+
+    // Battle log (ids are sequential so replays produce identical logs)
+    battleLog: [
+      {
+        id: 1,
+        turn: 1,
+        message: getStartMessage(difficulty, stage, pvpOpponent, challenge, trainer)
+      },
+      { id: 2, turn: 1, message: 'Your turn. Select a creature to deploy or take action!' }
+    ],
+    nextLogId: 3,
+
+    // What the most recent action caused (attacks, defeats, ...) for stats and animations
+    lastEvents: [],
+
+    // Running per-creature and per-side totals for the result screen
+    statistics: createBattleStatistics()
+  };
+
+  // The first round is just deployment: both fields start empty
+  if (turnMode === 'initiative') {
+    battle.turnOrder = buildTurnOrder(battle);
+  }
+  planEnemyIntent(battle);
+
+  return battle;
+};
+
+export default {
+  createBattle,
+  applyAction,
+  legalActions,
+  isTerminal,
+  getIllegalReason,
+  prepareBattleCreature,
+  prepareBattleItem,
+  getActiveCreatureId,
+  getTurnOrderView,
+  getEnemyIntentView
+};
@@ -0,0 +1,189 @@
+// src/utils/battleLoadouts.js
+/**
+ * Battle loadouts. A loadout is a named pick of creatures, tools and spells the
+ * player takes into battle, plus the formation: the row (formation.js) each
+ * creature deploys to. Loadouts are kept per account in localStorage and store
+ * only ids, so they always resolve against the player's current NFTs.
+ */
+import { getDifficultySettings } from './difficultySettings';
+import { DEFAULT_ROW } from './formation';
+
+const getStorageKey = (accountAddress) => `battle_loadouts_${accountAddress}`;
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+/**
+ * Read the saved loadouts for an account
+ * @param {string} accountAddress - Radix account address
+ * @returns {Object} - { loadouts, activeLoadoutId }
+ */
+export const loadLoadouts = (accountAddress) => {
+  const empty = { loadouts: [], activeLoadoutId: null };
+  if (!accountAddress) return empty;
+
+  try {
+    const stored = JSON.parse(localStorage.getItem(getStorageKey(accountAddress)));
+    if (!stored || !Array.isArray(stored.loadouts)) return empty;
+    return {
+      loadouts: stored.loadouts,
+      activeLoadoutId: stored.activeLoadoutId || null
+    };
+  } catch (error) {
+    console.error('Error reading battle loadouts:', error);
+    return empty;
+  }
+};
+
+/**
+ * Save the loadouts for an account
+ * @param {string} accountAddress - Radix account address
+ * @param {Object} data - { loadouts, activeLoadoutId }
+ */
+export const saveLoadouts = (accountAddress, { loadouts, activeLoadoutId }) => {
+  if (!accountAddress) return;
+  localStorage.setItem(getStorageKey(accountAddress), JSON.stringify({ loadouts, activeLoadoutId }));
+};
+
+/**
+ * Get the loadout the player picked for battle
+ * @param {string} accountAddress - Radix account address
+ * @returns {Object|null} - Active loadout, or null if none is set
+ */
+export const getActiveLoadout = (accountAddress) => {
+  const { loadouts, activeLoadoutId } = loadLoadouts(accountAddress);
+  return loadouts.find(loadout => loadout.id === activeLoadoutId) || null;
+};
+
+/**
+ * Create an empty loadout
+ * @param {string} name - Loadout name
+ * @param {string} difficulty - Difficulty whose limits the loadout is built for
+ * @returns {Object} - New loadout
+ */
+export const createLoadout = (name, difficulty = 'medium') => {
+  return {
+    id: `loadout-${Date.now()}`,
+    name,
+    difficulty,
+    creatureIds: [],
+    toolIds: [],
+    spellIds: [],
+    // Row by creature id; creatures without an entry deploy to the front row
+    formation: {}
+  };
+};
+
+/**
+ * Get the row a loadout deploys a creature to
+ * @param {Object} loadout - Loadout
+ * @param {string} creatureId - Creature NFT id
+ * @returns {string} - 'front' or 'back'
+ */
+export const getFormationRow = (loadout, creatureId) => {
+  return loadout.formation?.[creatureId] || DEFAULT_ROW;
+};
+
+/**
+ * Place a creature in a row of a loadout's formation
+ * @param {Object} loadout - Loadout
+ * @param {string} creatureId - Creature NFT id
+ * @param {string} row - 'front' or 'back'
+ * @returns {Object} - Updated loadout
+ */
+export const setFormationRow = (loadout, creatureId, row) => {
+  return {
+    ...loadout,
+    formation: { ...loadout.formation, [creatureId]: row }
+  };
+};
+
+/**
+ * Get the deck limits for a difficulty
+ * @param {string} difficulty - Battle difficulty
+ * @returns {Object} - { creatures, tools, spells }
+ */
+export const getLoadoutLimits = (difficulty) => {
+  const settings = getDifficultySettings(difficulty);
+  return {
+    creatures: settings.playerDeckSize,
+    tools: settings.playerToolLimit,
+    spells: settings.playerSpellLimit
+  };
+};
+
+/**
+ * Check a loadout against a difficulty's limits
+ * @param {Object} loadout - Loadout to check
+ * @param {string} difficulty - Battle difficulty
+ * @returns {Array} - Problems as readable messages (empty if the loadout is valid)
+ */
+export const getLoadoutErrors = (loadout, difficulty) => {
+  const limits = getLoadoutLimits(difficulty);
+  const errors = [];
+
+  if (loadout.creatureIds.length === 0) {
+    errors.push('Pick at least one creature.');
+  }
+  if (loadout.creatureIds.length > limits.creatures) {
+    errors.push(`${capitalize(difficulty)} battles allow at most ${limits.creatures} creatures.`);
+  }
+  if (loadout.toolIds.length > limits.tools) {
+    errors.push(`${capitalize(difficulty)} battles allow at most ${limits.tools} tools.`);
+  }
+  if (loadout.spellIds.length > limits.spells) {
+    errors.push(`${capitalize(difficulty)} battles allow at most ${limits.spells} spells.`);
+  }
+
+  return errors;
+};
+
+/**
+ * Turn a loadout's ids into the player's items. Items the player no longer
+ * owns are skipped.
+ * @param {Object} loadout - Loadout to resolve
+ * @param {Object} owned - { creatures, tools, spells } the player currently has
+ * @returns {Object} - { creatures, tools, spells }, creatures with their formation_row
+ */
+export const resolveLoadout = (loadout, { creatures = [], tools = [], spells = [] }) => {
+  const pick = (ids, items) => ids
+    .map(id => items.find(item => item.id === id))
+    .filter(Boolean);
+
+  return {
+    creatures: pick(loadout.creatureIds, creatures).map(creature => ({
+      ...creature,
+      formation_row: getFormationRow(loadout, creature.id)
+    })),
+    tools: pick(loadout.toolIds, tools),
+    spells: pick(loadout.spellIds, spells)
+  };
+};
+
+/**
+ * Deck used when the player has no active loadout: their first items, up to the
+ * difficulty's limits
+ * @param {string} difficulty - Battle difficulty
+ * @param {Object} owned - { creatures, tools, spells } the player currently has
+ * @returns {Object} - { creatures, tools, spells }
+ */
+export const getDefaultDeck = (difficulty, { creatures = [], tools = [], spells = [] }) => {
+  const limits = getLoadoutLimits(difficulty);
+  return {
+    creatures: creatures.slice(0, limits.creatures),
+    tools: tools.slice(0, limits.tools),
+    spells: spells.slice(0, limits.spells)
+  };
+};
+
+export default {
+  loadLoadouts,
+  saveLoadouts,
+  getActiveLoadout,
+  createLoadout,
+  getFormationRow,
+  setFormationRow,
+  getLoadoutLimits,
+  getLoadoutErrors,
+  resolveLoadout,
+  getDefaultDeck
+};
@@ -0,0 +1,107 @@
+// src/utils/battleRandom.js
+/**
+ * Seedable random source for battles. Every roll in a battle (damage variance,
+ * crits, dodges, enemy generation and AI choices) goes through one of these so
+ * a fight can be reproduced from its seed and the player's inputs.
+ */
+
+// Largest value a seed can take (seeds are unsigned 32-bit integers)
+const MAX_SEED = 0xFFFFFFFF;
+
+/**
+ * Normalize any seed value (number or string) to an unsigned 32-bit integer
+ * @param {number|string} seed - The seed to normalize
+ * @returns {number} - Unsigned 32-bit seed
+ */
+export const normalizeSeed = (seed) => {
+  if (typeof seed === 'number' && Number.isFinite(seed)) {
+    return Math.abs(Math.floor(seed)) >>> 0;
+  }
+
+  // Hash strings (e.g. "2026-10-19") with FNV-1a so any text can seed a battle
+  const text = String(seed ?? '');
+  let hash = 0x811C9DC5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * Generate a fresh seed for a new battle
+ * @returns {number} - Unsigned 32-bit seed
+ */
+export const generateSeed = () => {
+  return Math.floor(Math.random() * MAX_SEED) >>> 0;
+};
+
+/**
+ * Create a random source (mulberry32). The returned function is a drop-in
+ * replacement for Math.random, so anything that accepts `rng = Math.random`
+ * can be handed a seeded source instead.
+ * @param {number|string} seed - The battle seed
+ * @param {number} [state] - Internal state to resume from (see rng.getState)
+ * @returns {Function} - Function returning a float in [0, 1)
+ */
+export const createRng = (seed, state) => {
+  let current = state !== undefined ? state >>> 0 : normalizeSeed(seed);
+
+  const rng = () => {
+    current = (current + 0x6D2B79F5) >>> 0;
+    let t = current;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  rng.seed = normalizeSeed(seed);
+  rng.getState = () => current;
+
+  return rng;
+};
+
+/**
+ * Roll an integer in [0, max)
+ * @param {Function} rng - Random source
+ * @param {number} max - Exclusive upper bound
+ * @returns {number} - Random integer
+ */
+export const randomInt = (rng, max) => {
+  return Math.floor(rng() * max);
+};
+
+/**
+ * Pick a random element from an array
+ * @param {Function} rng - Random source
+ * @param {Array} items - Items to pick from
+ * @returns {*} - The picked item, or undefined for an empty array
+ */
+export const randomPick = (rng, items) => {
+  if (!items || items.length === 0) return undefined;
+  return items[randomInt(rng, items.length)];
+};
+
+/**
+ * Shuffle an array (Fisher-Yates) without modifying it
+ * @param {Function} rng - Random source
+ * @param {Array} items - Items to shuffle
+ * @returns {Array} - New array with the items in random order
+ */
+export const shuffle = (rng, items) => {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = randomInt(rng, i + 1);
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+};
+
+export default {
+  normalizeSeed,
+  generateSeed,
+  createRng,
+  randomInt,
+  randomPick,
+  shuffle
+};
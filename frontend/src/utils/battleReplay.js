@@ -0,0 +1,234 @@
+// src/utils/battleReplay.js
+/**
+ * Battle replays. A replay is the seed, the starting decks and the ordered list
+ * of actions sent to the battle engine. Because the engine is deterministic,
+ * replaying those actions rebuilds every intermediate state of the fight.
+ * Campaign battles also store their stage id; their enemies are rebuilt from
+ * the stage data rather than from the stored line-up. PvP battles store the
+ * opponent they were fought against, and daily challenges their date (the
+ * date rebuilds the challenge's enemies the same way). Arena battles store the
+ * trainer they were fought against; their stored line-up can be checked against
+ * the one the seed generates with rebuildEnemyLineUp.
+ */
+import { createBattle, applyAction } from './battleEngine';
+
+// Version 2: items have uses and cooldowns, and the enemy brings tools and spells
+// Version 3: typed status effects and species abilities change how fights play out
+// Version 4: damage effectiveness follows the stat affinity table
+// Version 5: generated enemies get species specialty stats and form bonuses
+// Version 6: easy and medium enemies carry out the move they telegraphed
+// Version 7: creatures stand in a front or back row that limits physical attacks
+// Version 8: Shield tools no longer taunt, speed Surge spells no longer stun and
+// Shield spells heal again instead of absorbing damage
+// Version 9: charged spells resolve after one round in initiative mode
+// Version 10: abilities that deal physical damage follow the front row's reach rules
+// Version 11: area abilities that deal physical damage only hit the enemies they reach
+// Version 12: battles the player hasn't won after MAX_TURNS turns end in defeat
+export const REPLAY_VERSION = 12;
+
+// Only the fields the engine and the battle cards need are stored
+export const CREATURE_FIELDS = [
+  'id',
+  'species_id',
+  'species_name',
+  'image_url',
+  'form',
+  'rarity',
+  'stats',
+  'specialty_stats',
+  'combination_level',
+  'battle_level',
+  'formation_row'
+];
+export const ITEM_FIELDS = ['id', 'name', 'image_url', 'tool_type', 'tool_effect', 'spell_type', 'spell_effect'];
+
+/**
+ * Copy only the listed fields of a creature or item
+ * @param {Object} source - Creature or item
+ * @param {Array} fields - Field names, e.g. CREATURE_FIELDS
+ * @returns {Object} - Object with the fields that are set on source
+ */
+export const pickFields = (source, fields) => {
+  return fields.reduce((picked, field) => {
+    if (source[field] !== undefined) {
+      picked[field] = source[field];
+    }
+    return picked;
+  }, {});
+};
+
+/**
+ * Start a replay for a freshly created battle
+ * @param {Object} battle - Initial state from createBattle
+ * @returns {Object} - Replay with no actions yet
+ */
+export const createReplay = (battle) => {
+  return {
+    version: REPLAY_VERSION,
+    seed: battle.seed,
+    difficulty: battle.difficulty,
+    turnMode: battle.turnMode,
+    stageId: battle.stageId || undefined,
+    pvpOpponent: battle.pvpOpponent || undefined,
+    challengeDate: battle.challengeDate || undefined,
+    trainerId: battle.trainerId || undefined,
+    enemyPersonality: battle.enemyPersonality || undefined,
+    recordedAt: new Date().toISOString(),
+    player: {
+      creatures: [...battle.playerHand, ...battle.playerDeck].map(c => pickFields(c, CREATURE_FIELDS)),
+      tools: battle.playerTools.map(t => pickFields(t, ITEM_FIELDS)),
+      spells: battle.playerSpells.map(s => pickFields(s, ITEM_FIELDS))
+    },
+    enemy: {
+      creatures: [...battle.enemyHand, ...battle.enemyDeck].map(c => pickFields(c, CREATURE_FIELDS)),
+      tools: battle.enemyTools.map(t => pickFields(t, ITEM_FIELDS)),
+      spells: battle.enemySpells.map(s => pickFields(s, ITEM_FIELDS))
+    },
+    actions: []
+  };
+};
+
+/**
+ * Append an action to a replay
+ * @param {Object} replay - Replay to extend
+ * @param {Object} action - Engine action (with side) as passed to applyAction
+ * @returns {Object} - New replay including the action
+ */
+export const recordAction = (replay, action) => {
+  // Drop unset fields so the stored action list stays compact
+  const compactAction = Object.fromEntries(
+    Object.entries(action).filter(([, value]) => value !== undefined && value !== null)
+  );
+
+  return {
+    ...replay,
+    actions: [...replay.actions, compactAction]
+  };
+};
+
+const getReplayBattleOptions = (replay) => ({
+  difficulty: replay.difficulty,
+  turnMode: replay.turnMode,
+  seed: replay.seed,
+  playerCreatures: replay.player.creatures,
+  playerTools: replay.player.tools,
+  playerSpells: replay.player.spells,
+  // Creatures are stored in the order they were dealt
+  shuffleDeck: false,
+  stageId: replay.stageId || null,
+  pvpOpponent: replay.pvpOpponent || null,
+  challengeDate: replay.challengeDate || null,
+  aiPersonality: replay.enemyPersonality || null,
+  trainerId: replay.trainerId || null
+});
+
+/**
+ * Rebuild the starting battle state of a replay
+ * @param {Object} replay - Replay
+ * @returns {Object} - Initial battle state
+ */
+export const createReplayBattle = (replay) => {
+  return createBattle({
+    ...getReplayBattleOptions(replay),
+    enemyCreatures: replay.enemy.creatures,
+    enemyTools: replay.enemy.tools,
+    enemySpells: replay.enemy.spells
+  });
+};
+
+/**
+ * Check whether a replay is of an arena battle (no stage, challenge or PvP opponent)
+ * @param {Object} replay - Replay
+ * @returns {boolean} - True for arena battles
+ */
+export const isArenaReplay = (replay) => {
+  return !replay.stageId && !replay.challengeDate && !replay.pvpOpponent;
+};
+
+/**
+ * Generate the enemy line-up a replay's battle should have had, ignoring the
+ * stored one: the seed, difficulty, trainer and player deck decide it
+ * @param {Object} replay - Replay
+ * @returns {Object} - { creatures, tools, spells } shaped like replay.enemy
+ */
+export const rebuildEnemyLineUp = (replay) => {
+  return createReplay(createBattle(getReplayBattleOptions(replay))).enemy;
+};
+
+/**
+ * Play a replay through the engine
+ * @param {Object} replay - Replay
+ * @returns {Array} - Battle states: the starting state, then one per recorded action
+ */
+export const getReplayStates = (replay) => {
+  const states = [createReplayBattle(replay)];
+  replay.actions.forEach(action => {
+    states.push(applyAction(states[states.length - 1], action));
+  });
+  return states;
+};
+
+/**
+ * Turn a replay into shareable text
+ * @param {Object} replay - Replay
+ * @returns {string} - JSON text
+ */
+export const serializeReplay = (replay) => {
+  return JSON.stringify(replay);
+};
+
+/**
+ * Read a replay from shared text
+ * @param {string} text - JSON text from serializeReplay
+ * @returns {Object} - Replay
+ * @throws {Error} - If the text is not a replay this version can play
+ */
+export const parseReplay = (text) => {
+  let replay;
+  try {
+    replay = JSON.parse(text);
+  } catch (error) {
+    throw new Error('Replay is not valid JSON');
+  }
+
+  if (!replay || typeof replay !== 'object') {
+    throw new Error('Replay is empty');
+  }
+  if (replay.version !== REPLAY_VERSION) {
+    throw new Error(`Unsupported replay version: ${replay.version}`);
+  }
+  if (replay.seed === undefined || !replay.difficulty ||
+    !Array.isArray(replay.player?.creatures) || !Array.isArray(replay.enemy?.creatures) ||
+    !Array.isArray(replay.actions)) {
+    throw new Error('Replay is missing battle data');
+  }
+
+  return {
+    ...replay,
+    player: {
+      creatures: replay.player.creatures,
+      tools: replay.player.tools || [],
+      spells: replay.player.spells || []
+    },
+    enemy: {
+      creatures: replay.enemy.creatures,
+      tools: replay.enemy.tools || [],
+      spells: replay.enemy.spells || []
+    }
+  };
+};
+
+export default {
+  REPLAY_VERSION,
+  CREATURE_FIELDS,
+  ITEM_FIELDS,
+  pickFields,
+  createReplay,
+  recordAction,
+  createReplayBattle,
+  isArenaReplay,
+  rebuildEnemyLineUp,
+  getReplayStates,
+  serializeReplay,
+  parseReplay
+};
@@ -0,0 +1,270 @@
+// src/utils/battleRewards.js
+/**
+ * Battle reward rules. The server credits rewards only after replaying the
+ * submitted battle, using these same formulas, so the numbers shown on the
+ * result screen match what gets granted (before daily caps). Creature
+ * experience (creatureExperience.js) and creature battle records
+ * (battleStatistics.js) are worked out from the replay the same way.
+ */
+import { getDifficultySettings } from './difficultySettings';
+import { getReplayStates, isArenaReplay, rebuildEnemyLineUp } from './battleReplay';
+import { calculateCreatureExperience } from './creatureExperience';
+import { getBattleRecordUpdates } from './battleStatistics';
+
+// Rewards for a standard win before any multipliers
+export const BASE_BATTLE_REWARDS = {
+  tcorvax: 40,
+  catNips: 20,
+  energy: 10
+};
+
+// Most a player can earn from battles per day, per resource
+export const DAILY_REWARD_CAPS = {
+  tcorvax: 400,
+  catNips: 200,
+  energy: 100
+};
+
+// Quick wins pay more: full rewards at 10 turns, sliding down to half by turn 30
+const getTurnFactor = (turns) => {
+  return Math.max(0.5, 1.25 - turns * 0.025);
+};
+
+// Each creature lost costs 15% of the reward, down to a quarter
+const getLossFactor = (creaturesLost) => {
+  return Math.max(0.25, 1 - creaturesLost * 0.15);
+};
+
+/**
+ * Calculate the rewards for winning a battle
+ * @param {Object} outcome
+ * @param {string} outcome.difficulty - Battle difficulty
+ * @param {number} outcome.turns - Turns the battle took
+ * @param {number} outcome.creaturesLost - Player creatures defeated during the battle
+ * @returns {Object} - Resource amounts { tcorvax, catNips, energy }
+ */
+export const calculateBattleRewards = ({ difficulty, turns, creaturesLost }) => {
+  const { rewardMultiplier } = getDifficultySettings(difficulty);
+  const factor = rewardMultiplier * getTurnFactor(turns) * getLossFactor(creaturesLost);
+
+  return Object.entries(BASE_BATTLE_REWARDS).reduce((rewards, [resource, amount]) => {
+    rewards[resource] = Math.round(amount * factor);
+    return rewards;
+  }, {});
+};
+
+/**
+ * Limit rewards to what is left of today's caps
+ * @param {Object} rewards - Rewards from calculateBattleRewards
+ * @param {Object} claimedToday - Amounts already granted today per resource
+ * @returns {Object} - { granted, capped } where capped is true if anything was cut
+ */
+export const applyDailyCaps = (rewards, claimedToday = {}) => {
+  let capped = false;
+  const granted = Object.entries(rewards).reduce((result, [resource, amount]) => {
+    const remaining = Math.max(0, DAILY_REWARD_CAPS[resource] - (claimedToday[resource] || 0));
+    result[resource] = Math.min(amount, remaining);
+    if (result[resource] < amount) capped = true;
+    return result;
+  }, {});
+
+  return { granted, capped };
+};
+
+// NFT fields a replay's copy of the player's creatures and items must match
+const OWNED_CREATURE_FIELDS = ['species_id', 'form', 'rarity', 'stats', 'specialty_stats', 'combination_level'];
+const OWNED_ITEM_FIELDS = ['tool_type', 'tool_effect', 'spell_type', 'spell_effect'];
+
+// Compare plain values regardless of key order
+const isSameValue = (a, b) => {
+  if (a === b) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+  const keys = Object.keys(a).filter(key => a[key] !== undefined);
+  const otherKeys = Object.keys(b).filter(key => b[key] !== undefined);
+  return keys.length === otherKeys.length && keys.every(key => isSameValue(a[key], b[key]));
+};
+
+// Why a list of replay entries isn't among the player's NFTs, if it isn't
+const findUnownedEntry = (entries, ownedEntries, fields, label) => {
+  const ids = new Set();
+  for (const entry of entries) {
+    if (ids.has(entry.id)) return `The ${label} ${entry.id} is used twice`;
+    ids.add(entry.id);
+
+    const owned = ownedEntries.find(candidate => candidate.id === entry.id);
+    if (!owned) return `The ${label} ${entry.id} is not owned by the player`;
+    if (fields.some(field => !isSameValue(entry[field], owned[field]))) {
+      return `The ${label} ${entry.id} does not match the player's NFT`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Check a replay's line-ups before trusting what it earned: the player's creatures,
+ * tools and spells must be NFTs they own, and an arena battle's enemies must be the
+ * ones its seed generates. Stages and challenges rebuild their enemies anyway.
+ * @param {Object} replay - Replay from battleReplay
+ * @param {Object} owned - The player's NFTs { creatures, tools, spells }
+ * @returns {string|null} - Why the replay can't be trusted, or null if it can
+ */
+export const findReplayLineUpIssue = (replay, owned) => {
+  const unowned = findUnownedEntry(replay.player.creatures, owned.creatures || [], OWNED_CREATURE_FIELDS, 'creature') ||
+    findUnownedEntry(replay.player.tools, owned.tools || [], OWNED_ITEM_FIELDS, 'tool') ||
+    findUnownedEntry(replay.player.spells, owned.spells || [], OWNED_ITEM_FIELDS, 'spell');
+  if (unowned) return unowned;
+
+  if (isArenaReplay(replay) && !isSameValue(replay.enemy, rebuildEnemyLineUp(replay))) {
+    return 'The enemy line-up does not match the battle seed';
+  }
+  return null;
+};
+
+/**
+ * Replay a battle and work out what it earned. Campaign stages rate the same
+ * outcome with campaign.calculateStageStars.
+ * @param {Object} replay - Replay from battleReplay
+ * @param {Object} owned - The player's NFTs { creatures, tools, spells } (see findReplayLineUpIssue)
+ * @returns {Object} - { valid, reason, outcome, rewards }
+ */
+export const verifyBattleReplay = (replay, owned) => {
+  let finalState;
+  try {
+    const lineUpIssue = findReplayLineUpIssue(replay, owned);
+    if (lineUpIssue) {
+      return { valid: false, reason: lineUpIssue };
+    }
+
+    const states = getReplayStates(replay);
+    finalState = states[states.length - 1];
+  } catch (error) {
+    return { valid: false, reason: `Replay could not be played: ${error.message}` };
+  }
+
+  if (finalState.status !== 'victory') {
+    return { valid: false, reason: 'Replay does not end in a victory' };
+  }
+
+  const creaturesLeft = finalState.playerHand.length + finalState.playerDeck.length + finalState.playerField.length;
+  const outcome = {
+    difficulty: finalState.difficulty,
+    stageId: finalState.stageId,
+    turns: finalState.turn,
+    creaturesLost: replay.player.creatures.length - creaturesLeft
+  };
+
+  return {
+    valid: true,
+    reason: null,
+    outcome,
+    rewards: calculateBattleRewards(outcome)
+  };
+};
+
+// The player creature whose action produced these events, if any
+const getActingCreatureId = (events) => {
+  const action = events.find(event => event.side === 'player' &&
+    ['attack', 'abilityHit', 'useSpell', 'useAbility'].includes(event.type));
+  if (!action) return null;
+  return action.attackerId || action.casterId || action.creatureId;
+};
+
+/**
+ * Replay a finished battle and work out the XP each of the player's creatures
+ * earned: creatures that were deployed get participation XP plus XP for every
+ * enemy their own actions finished off, scaled by difficulty. Won and lost
+ * battles both count; forfeited ones earn nothing.
+ * @param {Object} replay - Replay from battleReplay
+ * @param {Object} owned - The player's NFTs { creatures, tools, spells } (see findReplayLineUpIssue)
+ * @returns {Object} - { valid, reason, experience } where experience maps creature ids to XP
+ */
+export const calculateBattleExperience = (replay, owned) => {
+  let states;
+  try {
+    const lineUpIssue = findReplayLineUpIssue(replay, owned);
+    if (lineUpIssue) {
+      return { valid: false, reason: lineUpIssue, experience: {} };
+    }
+
+    states = getReplayStates(replay);
+  } catch (error) {
+    return { valid: false, reason: `Replay could not be played: ${error.message}`, experience: {} };
+  }
+
+  const finalState = states[states.length - 1];
+  if (finalState.status === 'battle') {
+    return { valid: false, reason: 'Replay does not finish the battle', experience: {} };
+  }
+  if (finalState.lastEvents.some(event => event.type === 'forfeit')) {
+    return { valid: false, reason: 'Forfeited battles earn no experience', experience: {} };
+  }
+
+  const participants = new Set();
+  const kills = {};
+  states.forEach(state => {
+    state.playerField.forEach(creature => participants.add(creature.id));
+
+    const defeatedEnemies = state.lastEvents.filter(event => event.type === 'defeated' && event.side === 'enemy').length;
+    const creatureId = getActingCreatureId(state.lastEvents);
+    if (defeatedEnemies > 0 && creatureId) {
+      kills[creatureId] = (kills[creatureId] || 0) + defeatedEnemies;
+    }
+  });
+
+  // Only the creatures findReplayLineUpIssue checked earn anything
+  const experience = replay.player.creatures.reduce((result, creature) => {
+    result[creature.id] = calculateCreatureExperience({
+      difficulty: finalState.difficulty,
+      participated: participants.has(creature.id),
+      kills: kills[creature.id] || 0
+    });
+    return result;
+  }, {});
+
+  return { valid: true, reason: null, experience };
+};
+
+/**
+ * Replay a finished battle and work out what it adds to the battle records of
+ * the player's creatures. Forfeited battles count as losses.
+ * @param {Object} replay - Replay from battleReplay
+ * @param {Object} owned - The player's NFTs { creatures, tools, spells } (see findReplayLineUpIssue)
+ * @returns {Object} - { valid, reason, records } where records maps creature ids to additions
+ */
+export const calculateBattleRecords = (replay, owned) => {
+  let states;
+  try {
+    const lineUpIssue = findReplayLineUpIssue(replay, owned);
+    if (lineUpIssue) {
+      return { valid: false, reason: lineUpIssue, records: {} };
+    }
+
+    states = getReplayStates(replay);
+  } catch (error) {
+    return { valid: false, reason: `Replay could not be played: ${error.message}`, records: {} };
+  }
+
+  const finalState = states[states.length - 1];
+  if (finalState.status === 'battle') {
+    return { valid: false, reason: 'Replay does not finish the battle', records: {} };
+  }
+
+  return {
+    valid: true,
+    reason: null,
+    records: getBattleRecordUpdates(finalState.statistics, finalState.status === 'victory')
+  };
+};
+
+export default {
+  BASE_BATTLE_REWARDS,
+  DAILY_REWARD_CAPS,
+  calculateBattleRewards,
+  applyDailyCaps,
+  findReplayLineUpIssue,
+  verifyBattleReplay,
+  calculateBattleExperience,
+  calculateBattleRecords
+};
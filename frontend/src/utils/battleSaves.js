@@ -0,0 +1,167 @@
+// src/utils/battleSaves.js
+/**
+ * Mid-battle saves. The battle screen saves the full engine state (decks, hands,
+ * fields, energy, effects, turn, seed and log) together with the replay recorded
+ * so far after every action. Closing the overlay or reloading the webview then
+ * loses nothing: the battle resumes from the exact saved state, and the replay
+ * keeps growing so rewards, PvP results and challenge scores still verify.
+ *
+ * Saves are kept per account in localStorage. The battle screen also mirrors
+ * them to the server (BattleService) when it can, so a battle can be resumed on
+ * another device; the local copy works without it.
+ *
+ * A battle left alone for longer than ABANDON_TIMEOUT counts as a loss. It is
+ * ended with a forfeit action, so the usual PvP and daily challenge reporting
+ * records the defeat. The timeout is checked when the battle screen next finds
+ * the save, so a battle nobody comes back to stays unreported until then.
+ *
+ * Saves recorded under older battle rules (an older REPLAY_VERSION) can't be
+ * resumed, since their replays would no longer verify. They are forfeited too
+ * rather than dropped, so updating the game is no way out of a losing battle.
+ */
+import { applyAction } from './battleEngine';
+import { createReplay, createReplayBattle, recordAction, REPLAY_VERSION } from './battleReplay';
+
+export const BATTLE_SAVE_VERSION = 1;
+
+// Milliseconds since the last action after which an unfinished battle is forfeited
+export const ABANDON_TIMEOUT = 24 * 60 * 60 * 1000;
+
+const getStorageKey = (accountAddress) => `battle_save_${accountAddress}`;
+
+/**
+ * Create a save for a battle in progress
+ * @param {Object} battle - Engine state
+ * @param {Object} replay - Replay recorded up to this state
+ * @param {number} [savedAt] - Timestamp in milliseconds (defaults to now)
+ * @returns {Object} - { version, savedAt, battle, replay }
+ */
+export const createBattleSave = (battle, replay, savedAt = Date.now()) => {
+  return {
+    version: BATTLE_SAVE_VERSION,
+    savedAt,
+    battle,
+    replay
+  };
+};
+
+/**
+ * Check that a save holds an unfinished battle. Saves recorded under older
+ * battle rules pass too; see isBattleSaveOutdated.
+ * @param {Object} save - Save from createBattleSave
+ * @returns {boolean} - True if the save can be resumed or forfeited
+ */
+export const isValidBattleSave = (save) => {
+  return Boolean(
+    save &&
+    save.version === BATTLE_SAVE_VERSION &&
+    typeof save.savedAt === 'number' &&
+    save.battle?.status === 'battle' &&
+    Array.isArray(save.replay?.actions)
+  );
+};
+
+/**
+ * Read the saved battle for an account
+ * @param {string} accountAddress - Radix account address
+ * @returns {Object|null} - Save, or null if there is none to resume
+ */
+export const loadBattleSave = (accountAddress) => {
+  if (!accountAddress) return null;
+
+  try {
+    const save = JSON.parse(localStorage.getItem(getStorageKey(accountAddress)));
+    return isValidBattleSave(save) ? save : null;
+  } catch (error) {
+    console.error('Error reading battle save:', error);
+    return null;
+  }
+};
+
+/**
+ * Save a battle for an account, replacing the previous save
+ * @param {string} accountAddress - Radix account address
+ * @param {Object} save - Save from createBattleSave
+ */
+export const storeBattleSave = (accountAddress, save) => {
+  if (!accountAddress) return;
+
+  try {
+    localStorage.setItem(getStorageKey(accountAddress), JSON.stringify(save));
+  } catch (error) {
+    // Storage can be full or disabled in some webviews; the battle itself goes on
+    console.error('Error saving battle:', error);
+  }
+};
+
+/**
+ * Remove the saved battle for an account
+ * @param {string} accountAddress - Radix account address
+ */
+export const clearBattleSave = (accountAddress) => {
+  if (!accountAddress) return;
+  localStorage.removeItem(getStorageKey(accountAddress));
+};
+
+/**
+ * Pick the most recent of several saves (e.g. the local and the server copy)
+ * @param {...Object} saves - Saves, possibly null or invalid
+ * @returns {Object|null} - The valid save with the latest savedAt, or null
+ */
+export const pickLatestSave = (...saves) => {
+  return saves
+    .filter(isValidBattleSave)
+    .reduce((latest, save) => (!latest || save.savedAt > latest.savedAt ? save : latest), null);
+};
+
+/**
+ * Check whether a saved battle was left alone for too long
+ * @param {Object} save - Save from createBattleSave
+ * @param {number} [now] - Timestamp in milliseconds (defaults to now)
+ * @returns {boolean} - True if the battle counts as abandoned
+ */
+export const isBattleSaveAbandoned = (save, now = Date.now()) => {
+  return now - save.savedAt > ABANDON_TIMEOUT;
+};
+
+/**
+ * Check whether a save was recorded under older battle rules
+ * @param {Object} save - Save from createBattleSave
+ * @returns {boolean} - True if the save can only be forfeited
+ */
+export const isBattleSaveOutdated = (save) => {
+  return save.replay.version !== REPLAY_VERSION;
+};
+
+/**
+ * End a saved battle as a loss. An outdated save's replay can't be played under
+ * the current rules, so its battle is set up again from the stored line-ups and
+ * forfeited before the first move.
+ * @param {Object} save - Save from createBattleSave
+ * @param {string} [reason] - 'abandoned' when the battle timed out, 'outdated'
+ *   when it was saved under older rules
+ * @returns {Object} - { battle, replay } with the forfeit applied and recorded
+ */
+export const forfeitBattleSave = (save, reason) => {
+  const action = { type: 'forfeit', side: 'player', reason };
+  const battle = isBattleSaveOutdated(save) ? createReplayBattle(save.replay) : save.battle;
+  const replay = isBattleSaveOutdated(save) ? createReplay(battle) : save.replay;
+  return {
+    battle: applyAction(battle, action),
+    replay: recordAction(replay, action)
+  };
+};
+
+export default {
+  BATTLE_SAVE_VERSION,
+  ABANDON_TIMEOUT,
+  createBattleSave,
+  isValidBattleSave,
+  loadBattleSave,
+  storeBattleSave,
+  clearBattleSave,
+  pickLatestSave,
+  isBattleSaveAbandoned,
+  isBattleSaveOutdated,
+  forfeitBattleSave
+};
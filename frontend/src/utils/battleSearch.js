@@ -0,0 +1,205 @@
+// src/utils/battleSearch.js
+/**
+ * Search-based AI (Monte Carlo tree search). Instead of following fixed
+ * heuristics, it tries candidate actions by playing them out through the pure
+ * battle engine and keeps the one that led to the best results.
+ *
+ * Each iteration:
+ *  1. Determinize: the opponent's hand and deck are hidden, so they are
+ *     reshuffled, and the damage rolls get a fresh seed from the search's own
+ *     random stream (the AI must not see the battle's upcoming rolls).
+ *  2. Select and expand: walk down the tree of tried actions (UCT), then try
+ *     one new action.
+ *  3. Roll out: both sides play on with the battleAI heuristics for a limited
+ *     number of actions.
+ *  4. Score the result (a win, a loss, or the share of health still standing)
+ *     and add it to every action on the path.
+ *
+ * The budget is a number of iterations and, optionally, a time limit. With no
+ * time limit the result only depends on the state and the options, so the same
+ * search can be run again to check a recorded move.
+ *
+ * battleSearchClient.js runs the search in a Web Worker so it never blocks
+ * the battle screen.
+ */
+import { applyAction, legalActions, isTerminal, getOpponent } from './battleEngine';
+import { createRng, shuffle } from './battleRandom';
+
+export const DEFAULT_SEARCH_OPTIONS = {
+  iterations: 400,
+  // Milliseconds; null searches until the iterations are used up
+  timeLimit: null,
+  // Actions played by the heuristics after the tree's last action
+  rolloutDepth: 24,
+  // AI tier used for the rollouts
+  rolloutPolicy: 'expert',
+  // UCT exploration constant: higher tries more alternatives
+  exploration: Math.SQRT2
+};
+
+// Tree nodes stop growing this far below the root; deeper moves come from rollouts
+const MAX_TREE_DEPTH = 12;
+
+// Actions are compared by their fields, so the same move found in different
+// iterations lands in the same tree node
+const getActionKey = (action) => {
+  return [
+    action.type,
+    action.side,
+    action.creatureId,
+    action.row,
+    action.attackerId,
+    action.toolId,
+    action.spellId,
+    action.casterId,
+    action.targetId
+  ].join('|');
+};
+
+const createNode = (action, side) => ({
+  action,
+  side, // Side that chose this node's action; its score is from that side's view
+  visits: 0,
+  score: 0,
+  children: new Map()
+});
+
+// Total health of every creature a side still has
+const getRemainingHealth = (state, side) => {
+  return ['Field', 'Hand', 'Deck']
+    .flatMap(zone => state[`${side}${zone}`])
+    .reduce((total, creature) => total + Math.max(0, creature.currentHealth), 0);
+};
+
+/**
+ * Score a battle state for one side
+ * @param {Object} state - Battle state
+ * @param {string} side - 'player' or 'enemy'
+ * @returns {number} - 1 for a win, 0 for a loss, otherwise the side's share of
+ *   the health left on both sides
+ */
+export const evaluateState = (state, side) => {
+  if (isTerminal(state)) {
+    const playerWon = state.status === 'victory';
+    return (side === 'player') === playerWon ? 1 : 0;
+  }
+
+  const own = getRemainingHealth(state, side);
+  const opposing = getRemainingHealth(state, getOpponent(side));
+  return own + opposing > 0 ? own / (own + opposing) : 0.5;
+};
+
+// Hide what the searching side can't know: the order of the opponent's cards
+// and the battle's upcoming random rolls
+const determinize = (state, side, rng) => {
+  const opponent = getOpponent(side);
+  const handKey = `${opponent}Hand`;
+  const deckKey = `${opponent}Deck`;
+  const cards = shuffle(rng, [...state[handKey], ...state[deckKey]]);
+
+  return {
+    ...state,
+    [handKey]: cards.slice(0, state[handKey].length),
+    [deckKey]: cards.slice(state[handKey].length),
+    rngState: Math.floor(rng() * 0x100000000) >>> 0
+  };
+};
+
+// Pick the child with the best upper confidence bound among the legal actions
+const selectChild = (node, legal, exploration) => {
+  const logVisits = Math.log(node.visits);
+  let best = null;
+  let bestValue = -Infinity;
+
+  legal.forEach(action => {
+    const child = node.children.get(getActionKey(action));
+    const value = child.score / child.visits + exploration * Math.sqrt(logVisits / child.visits);
+    if (value > bestValue) {
+      best = child;
+      bestValue = value;
+    }
+  });
+
+  return best;
+};
+
+const runIteration = (root, rootState, side, options, rng) => {
+  let state = determinize(rootState, side, rng);
+  let node = root;
+  const path = [root];
+
+  // Selection and expansion. Rolls differ between iterations, so the legal
+  // actions are worked out again at every node
+  while (!isTerminal(state) && path.length <= MAX_TREE_DEPTH) {
+    const legal = legalActions(state, state.activePlayer);
+    const untried = legal.filter(action => !node.children.has(getActionKey(action)));
+
+    if (untried.length > 0) {
+      const action = untried[Math.floor(rng() * untried.length)];
+      const child = createNode(action, state.activePlayer);
+      node.children.set(getActionKey(action), child);
+      state = applyAction(state, action);
+      path.push(child);
+      break;
+    }
+
+    node = selectChild(node, legal, options.exploration);
+    state = applyAction(state, node.action);
+    path.push(node);
+  }
+
+  // Rollout with the heuristics
+  for (let i = 0; i < options.rolloutDepth && !isTerminal(state); i++) {
+    state = applyAction(state, {
+      type: 'aiAction',
+      side: state.activePlayer,
+      aiDifficulty: options.rolloutPolicy
+    });
+  }
+
+  const score = evaluateState(state, side);
+  path.forEach(pathNode => {
+    pathNode.visits += 1;
+    pathNode.score += pathNode.side === side ? score : 1 - score;
+  });
+};
+
+/**
+ * Search for the best action for a side
+ * @param {Object} state - Battle state where it is the side's turn
+ * @param {string} [side] - Side to search for (defaults to the active player)
+ * @param {Object} [options] - Overrides for DEFAULT_SEARCH_OPTIONS, plus an
+ *   optional seed for the search's own random stream
+ * @returns {Object} - Engine action, e.g. { type: 'attack', side, attackerId, targetId }
+ */
+export const searchBestAction = (state, side = state.activePlayer, options = {}) => {
+  const settings = { ...DEFAULT_SEARCH_OPTIONS, ...options };
+  const legal = legalActions(state, side);
+
+  // Nothing to decide
+  if (legal.length <= 1) {
+    return legal[0] || { type: 'endTurn', side };
+  }
+
+  const rng = createRng(settings.seed ?? `${state.seed}-search-${state.rngState}`);
+  const root = createNode(null, getOpponent(side));
+  const deadline = settings.timeLimit ? Date.now() + settings.timeLimit : Infinity;
+
+  for (let i = 0; i < settings.iterations && Date.now() < deadline; i++) {
+    runIteration(root, state, side, settings, rng);
+  }
+
+  // The most visited action is the most reliable choice
+  let best = null;
+  root.children.forEach(child => {
+    if (!best || child.visits > best.visits) best = child;
+  });
+
+  return best ? best.action : legal[0];
+};
+
+export default {
+  DEFAULT_SEARCH_OPTIONS,
+  evaluateState,
+  searchBestAction
+};
@@ -0,0 +1,14 @@
+// src/utils/battleSearch.worker.js
+// Web Worker entry for battleSearch: answers { requestId, state, side, options }
+// with { requestId, action } so the battle screen stays responsive while searching,
+// or with { requestId, error } if the search throws.
+import { searchBestAction } from './battleSearch';
+
+self.onmessage = ({ data }) => {
+  const { requestId, state, side, options } = data;
+  try {
+    self.postMessage({ requestId, action: searchBestAction(state, side, options) });
+  } catch (error) {
+    self.postMessage({ requestId, error: error.message || String(error) });
+  }
+};
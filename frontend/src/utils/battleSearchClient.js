@@ -0,0 +1,93 @@
+// src/utils/battleSearchClient.js
+/**
+ * Runs battleSearch off the main thread. Requests are answered in order; a
+ * caller that no longer needs an answer simply ignores its promise.
+ *
+ * A search that fails rejects its promise: when the worker can't load or throws,
+ * when a message can't be read, or when no answer arrives in time. Callers fall
+ * back to the heuristic AI ({ type: 'aiAction', side }) in that case.
+ */
+
+// How long past its own time limit a search may take before it is given up on
+const SEARCH_TIMEOUT_GRACE = 3000;
+// Searches without a time limit are given up on after this long
+const DEFAULT_SEARCH_TIMEOUT = 10000;
+
+/**
+ * Start a search worker
+ * @returns {Object|null} - { search(state, side, options), terminate() }, or null
+ *   where Web Workers aren't available (callers fall back to the heuristic AI)
+ */
+export const createSearchClient = () => {
+  if (typeof Worker === 'undefined') return null;
+
+  const worker = new Worker(new URL('./battleSearch.worker.js', import.meta.url), { type: 'module' });
+  const pending = new Map();
+  let nextRequestId = 1;
+  // Set once the worker has failed for good; later searches reject straight away
+  let failure = null;
+
+  const settle = (requestId, error, action) => {
+    const request = pending.get(requestId);
+    if (!request) return;
+    pending.delete(requestId);
+    clearTimeout(request.timer);
+    if (error) {
+      request.reject(error);
+    } else {
+      request.resolve(action);
+    }
+  };
+
+  const rejectAll = (error) => {
+    [...pending.keys()].forEach(requestId => settle(requestId, error));
+  };
+
+  worker.onmessage = ({ data }) => {
+    settle(data.requestId, data.error ? new Error(data.error) : null, data.action);
+  };
+
+  // Loading or running the worker failed: no pending request will be answered
+  worker.onerror = (event) => {
+    event.preventDefault();
+    failure = new Error(`Search worker failed: ${event.message || 'could not be loaded'}`);
+    rejectAll(failure);
+  };
+
+  // An answer that can't be read can't be matched to its request either
+  worker.onmessageerror = () => {
+    rejectAll(new Error('Search worker sent a message that could not be read'));
+  };
+
+  return {
+    /**
+     * Search for a side's best action
+     * @param {Object} state - Battle state
+     * @param {string} side - Side to move
+     * @param {Object} [options] - battleSearch options (iterations, timeLimit, ...)
+     * @returns {Promise<Object>} - Engine action; rejects if the search fails or times out
+     */
+    search: (state, side, options = {}) => new Promise((resolve, reject) => {
+      if (failure) {
+        reject(failure);
+        return;
+      }
+
+      const requestId = nextRequestId++;
+      const timeout = options.timeLimit ? options.timeLimit + SEARCH_TIMEOUT_GRACE : DEFAULT_SEARCH_TIMEOUT;
+      const timer = setTimeout(() => settle(requestId, new Error('Search timed out')), timeout);
+      pending.set(requestId, { resolve, reject, timer });
+      worker.postMessage({ requestId, state, side, options });
+    }),
+
+    terminate: () => {
+      worker.terminate();
+      pending.forEach(request => clearTimeout(request.timer));
+      pending.clear();
+    }
+  };
+};
+
+export default {
+  createSearchClient
+};
@@ -0,0 +1,359 @@
+// src/utils/battleSimulator.js
+/**
+ * Headless battle simulator for balance tuning. Plays complete battles through
+ * the battle engine (no React) and aggregates win rate, battle length and
+ * damage per difficulty and per enemy species template.
+ *
+ * The engine applies the same rules as the battle screen; the simulator only
+ * decides the player's moves and caps how many actions a turn may take.
+ */
+import { generateEnemyCreatures, getDifficultySettings } from './difficultySettings';
+import { getCreatureTemplates } from './enemyCreatures';
+import { createRng, normalizeSeed } from './battleRandom';
+import { ATTACK_ENERGY_COST } from './battleCore';
+import { createBattle, applyAction, isTerminal, getActiveCreatureId } from './battleEngine';
+import { searchBestAction } from './battleSearch';
+import { getAttackableTargets } from './formation';
+
+export const DIFFICULTIES = ['easy', 'medium', 'hard', 'expert'];
+
+const MAX_ACTIONS_PER_TURN = 10; // Stops a player policy from looping forever
+const DEFAULT_MAX_TURNS = 50;
+
+/**
+ * Build a reference player deck: medium-strength creatures with no difficulty
+ * multiplier, standing in for a typical player collection
+ * @param {Function} rng - Random source
+ * @param {number} size - Number of creatures
+ * @returns {Array} - Raw creature objects (without battle stats)
+ */
+export const createReferencePlayerDeck = (rng, size = 4) => {
+  return generateEnemyCreatures('medium', size, [], rng).map((creature, index) => ({
+    ...creature,
+    id: `player-${index}-${creature.id}`,
+    species_name: creature.species_name.replace(/^Enemy /, '')
+  }));
+};
+
+// Scripted player: deploy the cheapest creature, then hit the weakest target with the strongest attacker
+const scriptedPlayerAction = (state) => {
+  const affordable = state.playerHand
+    .filter(c => (c.battleStats.energyCost || 3) <= state.playerEnergy)
+    .sort((a, b) => (a.battleStats.energyCost || 3) - (b.battleStats.energyCost || 3));
+
+  if (state.playerField.length < state.playerMaxFieldSize && affordable.length > 0) {
+    return { type: 'deploy', side: 'player', creatureId: affordable[0].id };
+  }
+
+  // In initiative mode only the creature whose turn it is can attack
+  const activeCreatureId = getActiveCreatureId(state);
+  const attackers = state.turnMode === 'initiative'
+    ? state.playerField.filter(c => c.id === activeCreatureId)
+    : state.playerField;
+
+  if (attackers.length > 0 && state.enemyField.length > 0 && state.playerEnergy >= ATTACK_ENERGY_COST) {
+    const attackPower = c => Math.max(c.battleStats.physicalAttack, c.battleStats.magicalAttack);
+    const attacker = attackers.reduce((best, c) => attackPower(c) > attackPower(best) ? c : best);
+    const target = getAttackableTargets(attacker, state.enemyField)
+      .reduce((weakest, c) => c.currentHealth < weakest.currentHealth ? c : weakest);
+    return { type: 'attack', side: 'player', attackerId: attacker.id, targetId: target.id };
+  }
+
+  return { type: 'endTurn', side: 'player' };
+};
+
+// Pick the next action for whichever side is active
+const chooseAction = (state, options, actionsThisTurn) => {
+  if (state.activePlayer === 'enemy') {
+    return options.enemySearch
+      ? searchBestAction(state, 'enemy', options.enemySearch)
+      : { type: 'aiAction', side: 'enemy' };
+  }
+
+  if (actionsThisTurn >= MAX_ACTIONS_PER_TURN) {
+    return { type: 'endTurn', side: 'player' };
+  }
+
+  if (options.policy === 'scripted') {
+    return scriptedPlayerAction(state);
+  }
+
+  return { type: 'aiAction', side: 'player', aiDifficulty: options.playerAI };
+};
+
+// Fold the engine's events for one action into the battle statistics
+const recordEvents = (result, events) => {
+  events.forEach(event => {
+    const sideResult = result[event.side];
+    sideResult.energySpent += event.energyCost || 0;
+
+    // Ability hits count as attacks (one per creature hit)
+    if (event.type === 'attack' || event.type === 'abilityHit') {
+      sideResult.attacks += 1;
+      if (event.isDodged) {
+        sideResult.dodged += 1;
+      } else {
+        sideResult.damage.push(event.damage);
+        if (event.isCritical) sideResult.crits += 1;
+      }
+    } else if (event.type === 'defeated') {
+      sideResult.creaturesLost += 1;
+    }
+  });
+};
+
+/**
+ * Play one complete battle
+ * @param {Object} options
+ * @param {string} options.difficulty - Enemy difficulty
+ * @param {number|string} options.seed - Battle seed
+ * @param {string} [options.policy] - 'ai' (player uses battleAI) or 'scripted'
+ * @param {string} [options.playerAI] - AI tier driving the player side in 'ai' policy
+ * @param {Array} [options.playerDeck] - Raw player creatures (defaults to a reference deck)
+ * @param {string} [options.enemySpecies] - Restrict enemies to one species template
+ * @param {number} [options.maxTurns] - Turn limit before the battle is called a draw
+ *   (the engine itself ends battles as a defeat after MAX_TURNS)
+ * @param {string} [options.turnMode] - 'alternating' or 'initiative' turn order
+ * @param {Object} [options.enemySearch] - battleSearch options; set to let the search
+ *   AI play the enemy instead of the difficulty's heuristics
+ * @returns {Object} - Battle result with winner, turns and per-side statistics
+ */
+export const simulateBattle = ({
+  difficulty = 'medium',
+  seed = 0,
+  policy = 'ai',
+  playerAI = 'medium',
+  playerDeck = null,
+  enemySpecies = null,
+  maxTurns = DEFAULT_MAX_TURNS,
+  turnMode = 'alternating',
+  enemySearch = null
+} = {}) => {
+  // The reference deck gets its own stream so it doesn't mirror the enemy deck
+  const playerCreatures = playerDeck || createReferencePlayerDeck(createRng(`${seed}-deck`));
+  let state = createBattle({ difficulty, seed, playerCreatures, enemySpecies, turnMode });
+
+  const newSideResult = () => ({
+    damage: [],
+    attacks: 0,
+    crits: 0,
+    dodged: 0,
+    energySpent: 0,
+    creaturesLost: 0
+  });
+  const result = {
+    seed: normalizeSeed(seed),
+    difficulty,
+    enemySpecies,
+    winner: 'draw',
+    turns: maxTurns,
+    player: newSideResult(),
+    enemy: newSideResult()
+  };
+
+  let actionsThisTurn = 0;
+  while (!isTerminal(state) && state.turn <= maxTurns) {
+    const activePlayer = state.activePlayer;
+    state = applyAction(state, chooseAction(state, { policy, playerAI, enemySearch }, actionsThisTurn));
+    recordEvents(result, state.lastEvents);
+    actionsThisTurn = state.activePlayer === activePlayer ? actionsThisTurn + 1 : 0;
+  }
+
+  if (isTerminal(state)) {
+    result.winner = state.status === 'victory' ? 'player' : 'enemy';
+    result.turns = state.turn;
+  }
+
+  return result;
+};
+
+// Distribution summary of a list of numbers
+const summarizeDistribution = (values) => {
+  if (values.length === 0) {
+    return { count: 0, mean: 0, min: 0, p25: 0, median: 0, p75: 0, max: 0 };
+  }
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const percentile = p => sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+
+  return {
+    count: sorted.length,
+    mean: sorted.reduce((sum, v) => sum + v, 0) / sorted.length,
+    min: sorted[0],
+    p25: percentile(0.25),
+    median: percentile(0.5),
+    p75: percentile(0.75),
+    max: sorted[sorted.length - 1]
+  };
+};
+
+/**
+ * Aggregate a list of battle results
+ * @param {Array} results - Results from simulateBattle
+ * @returns {Object} - Win/loss/draw rates, average turns and damage distributions
+ */
+export const summarizeResults = (results) => {
+  const count = results.length || 1;
+  const rate = predicate => results.filter(predicate).length / count;
+  const sideSummary = (sideName) => {
+    const attacks = results.reduce((sum, r) => sum + r[sideName].attacks, 0);
+    return {
+      damage: summarizeDistribution(results.flatMap(r => r[sideName].damage)),
+      critRate: attacks > 0 ? results.reduce((sum, r) => sum + r[sideName].crits, 0) / attacks : 0,
+      dodgedRate: attacks > 0 ? results.reduce((sum, r) => sum + r[sideName].dodged, 0) / attacks : 0,
+      averageEnergySpent: results.reduce((sum, r) => sum + r[sideName].energySpent, 0) / count,
+      averageCreaturesLost: results.reduce((sum, r) => sum + r[sideName].creaturesLost, 0) / count
+    };
+  };
+
+  return {
+    battles: results.length,
+    winRate: rate(r => r.winner === 'player'),
+    lossRate: rate(r => r.winner === 'enemy'),
+    drawRate: rate(r => r.winner === 'draw'),
+    averageTurns: results.reduce((sum, r) => sum + r.turns, 0) / count,
+    player: sideSummary('player'),
+    enemy: sideSummary('enemy')
+  };
+};
+
+/**
+ * Run a full balance report: `battles` games per difficulty against random
+ * enemies, plus `speciesBattles` games per species template per difficulty
+ * @param {Object} options - See simulateBattle, plus battles, speciesBattles and difficulties
+ * @returns {Object} - Report keyed by difficulty
+ */
+export const runBalanceReport = ({
+  battles = 1000,
+  speciesBattles = 200,
+  difficulties = DIFFICULTIES,
+  seed = 'balance',
+  policy = 'ai',
+  playerAI = 'medium',
+  playerDeck = null,
+  maxTurns = DEFAULT_MAX_TURNS,
+  turnMode = 'alternating',
+  enemySearch = null
+} = {}) => {
+  const report = {
+    config: { battles, speciesBattles, seed, policy, playerAI, maxTurns, turnMode, enemySearch },
+    difficulties: {}
+  };
+
+  const runSeries = (difficulty, count, enemySpecies) => {
+    const results = [];
+    for (let i = 0; i < count; i++) {
+      results.push(simulateBattle({
+        difficulty,
+        seed: `${seed}-${difficulty}-${enemySpecies || 'any'}-${i}`,
+        policy,
+        playerAI,
+        playerDeck,
+        enemySpecies,
+        maxTurns,
+        turnMode,
+        enemySearch
+      }));
+    }
+    return summarizeResults(results);
+  };
+
+  difficulties.forEach(difficulty => {
+    const settings = getDifficultySettings(difficulty);
+    const species = {};
+
+    if (speciesBattles > 0) {
+      getCreatureTemplates().forEach(template => {
+        species[template.id] = runSeries(difficulty, speciesBattles, template.id);
+      });
+    }
+
+    report.difficulties[difficulty] = {
+      settings: {
+        enemyStatsMultiplier: settings.enemyStatsMultiplier,
+        rewardMultiplier: settings.rewardMultiplier
+      },
+      overall: runSeries(difficulty, battles, null),
+      species
+    };
+  });
+
+  return report;
+};
+
+const percent = value => `${(value * 100).toFixed(1)}%`;
+const fixed = value => value.toFixed(1);
+
+/**
+ * Format a balance report as a plain-text table
+ * @param {Object} report - Report from runBalanceReport
+ * @returns {string} - Printable report
+ */
+export const formatBalanceReport = (report) => {
+  const lines = [];
+  const { config } = report;
+  const row = cells => cells.map((cell, i) => String(cell).padEnd(i === 0 ? 12 : 10)).join(' ');
+
+  lines.push(`Battle balance report - seed "${config.seed}", policy ${config.policy}` +
+    (config.policy === 'ai' ? ` (player AI: ${config.playerAI})` : '') +
+    `, ${config.turnMode} turns` +
+    (config.enemySearch ? `, search enemy (${config.enemySearch.iterations} iterations)` : ''));
+  lines.push('');
+
+  Object.entries(report.difficulties).forEach(([difficulty, data]) => {
+    const { settings, overall } = data;
+    lines.push(`== ${difficulty.toUpperCase()} ==  statsMultiplier ${settings.enemyStatsMultiplier}, ` +
+      `rewardMultiplier ${settings.rewardMultiplier}`);
+    lines.push(row(['', 'battles', 'win', 'loss', 'draw', 'turns', 'reward/b']));
+    lines.push(row([
+      'all',
+      overall.battles,
+      percent(overall.winRate),
+      percent(overall.lossRate),
+      percent(overall.drawRate),
+      fixed(overall.averageTurns),
+      (overall.winRate * settings.rewardMultiplier).toFixed(2)
+    ]));
+
+    Object.entries(data.species).forEach(([speciesId, summary]) => {
+      lines.push(row([
+        speciesId,
+        summary.battles,
+        percent(summary.winRate),
+        percent(summary.lossRate),
+        percent(summary.drawRate),
+        fixed(summary.averageTurns),
+        (summary.winRate * settings.rewardMultiplier).toFixed(2)
+      ]));
+    });
+
+    lines.push('');
+    lines.push(row(['damage', 'mean', 'min', 'p25', 'median', 'p75', 'max', 'crit', 'dodged']));
+    ['player', 'enemy'].forEach(sideName => {
+      const side = overall[sideName];
+      lines.push(row([
+        sideName,
+        fixed(side.damage.mean),
+        side.damage.min,
+        side.damage.p25,
+        side.damage.median,
+        side.damage.p75,
+        side.damage.max,
+        percent(side.critRate),
+        percent(side.dodgedRate)
+      ]));
+    });
+    lines.push('');
+  });
+
+  return lines.join('\n');
+};
+
+export default {
+  DIFFICULTIES,
+  createReferencePlayerDeck,
+  simulateBattle,
+  summarizeResults,
+  runBalanceReport,
+  formatBalanceReport
+};
@@ -0,0 +1,236 @@
+// src/utils/battleStatistics.js
+/**
+ * Battle statistics. The engine keeps a running tally in state.statistics:
+ * per creature damage dealt and taken, healing, critical hits, dodges, kills
+ * and turns survived, and the energy each side spent. Damage and healing come
+ * from the health every creature gained or lost during an action, so spells,
+ * abilities and effects that tick on their own all count. They are credited to
+ * the creature that acted; effects ticking at the end of a turn have no actor.
+ *
+ * Since the statistics are part of the engine state, a replay rebuilds them
+ * exactly. The server uses that to keep each creature's lifetime battle record
+ * (see getBattleRecordUpdates and BattleService.recordBattleStatistics).
+ */
+
+// How much each statistic is worth when picking a battle's MVP
+export const MVP_WEIGHTS = {
+  damageDealt: 1,
+  healing: 1,
+  kills: 25,
+  dodges: 5,
+  turnsSurvived: 3
+};
+
+export const STATISTIC_LABELS = {
+  damageDealt: 'Damage',
+  damageTaken: 'Taken',
+  healing: 'Healing',
+  crits: 'Crits',
+  dodges: 'Dodges',
+  kills: 'Kills',
+  turnsSurvived: 'Turns'
+};
+
+export const EMPTY_BATTLE_RECORD = {
+  battles: 0,
+  wins: 0,
+  mvps: 0,
+  damageDealt: 0,
+  damageTaken: 0,
+  healing: 0,
+  crits: 0,
+  dodges: 0,
+  kills: 0
+};
+
+const createCreatureEntry = (creature, side) => ({
+  id: creature.id,
+  side,
+  name: creature.species_name,
+  damageDealt: 0,
+  damageTaken: 0,
+  healing: 0,
+  crits: 0,
+  dodges: 0,
+  kills: 0,
+  turnsSurvived: 0
+});
+
+/**
+ * Start the statistics of a new battle
+ * @returns {Object} - { creatures, sides } with creatures keyed by id
+ */
+export const createBattleStatistics = () => {
+  return {
+    creatures: {},
+    sides: {
+      player: { energySpent: 0 },
+      enemy: { energySpent: 0 }
+    }
+  };
+};
+
+/**
+ * Get the creature an action credits damage, healing and kills to
+ * @param {Object} action - Engine action
+ * @returns {string|null} - Creature id, or null when no creature acts
+ */
+export const getActorId = (action) => {
+  if (!action) return null;
+  if (action.type === 'attack') return action.attackerId;
+  if (action.type === 'useSpell') return action.casterId;
+  if (action.type === 'useAbility') return action.creatureId;
+  return null;
+};
+
+/**
+ * Fold one step of a battle into its statistics
+ * @param {Object} statistics - Statistics so far (from createBattleStatistics)
+ * @param {Object} before - { playerField, enemyField, turn } before the step
+ * @param {Object} after - Battle state after the step
+ * @param {Array} events - Events the step caused
+ * @param {string|null} actorId - Creature credited with the step (see getActorId)
+ * @returns {Object} - Updated statistics
+ */
+export const updateBattleStatistics = (statistics = createBattleStatistics(), before, after, events, actorId = null) => {
+  const creatures = Object.fromEntries(
+    Object.entries(statistics.creatures).map(([id, entry]) => [id, { ...entry }])
+  );
+  const sides = {
+    player: { ...statistics.sides.player },
+    enemy: { ...statistics.sides.enemy }
+  };
+
+  events.forEach(event => {
+    if (event.type === 'deploy') {
+      const creature = after[`${event.side}Field`].find(c => c.id === event.creatureId);
+      if (creature && !creatures[creature.id]) {
+        creatures[creature.id] = createCreatureEntry(creature, event.side);
+      }
+    }
+    if (event.energyCost) {
+      sides[event.side].energySpent += event.energyCost;
+    }
+  });
+
+  const actor = actorId ? creatures[actorId] : null;
+
+  // Health lost is damage, health gained is healing. Defeated creatures have left the field.
+  ['player', 'enemy'].forEach(side => {
+    before[`${side}Field`].forEach(previous => {
+      const entry = creatures[previous.id];
+      if (!entry) return;
+
+      const current = after[`${side}Field`].find(c => c.id === previous.id);
+      const change = Math.max(0, current ? current.currentHealth : 0) - previous.currentHealth;
+      if (change < 0) {
+        entry.damageTaken -= change;
+        if (actor && actor.side !== side) actor.damageDealt -= change;
+      } else if (change > 0) {
+        const healer = actor && actor.side === side ? actor : entry;
+        healer.healing += change;
+      }
+    });
+  });
+
+  events.forEach(event => {
+    if (event.type === 'attack' || event.type === 'abilityHit') {
+      if (event.isDodged && creatures[event.targetId]) creatures[event.targetId].dodges += 1;
+      if (event.isCritical && !event.isDodged && creatures[event.attackerId]) creatures[event.attackerId].crits += 1;
+    }
+    if (event.type === 'defeated' && actor && actor.side !== event.side) {
+      actor.kills += 1;
+    }
+  });
+
+  // A new turn counts for everyone still standing
+  const turnsPassed = after.turn - before.turn;
+  if (turnsPassed > 0) {
+    [...after.playerField, ...after.enemyField].forEach(creature => {
+      if (creatures[creature.id]) creatures[creature.id].turnsSurvived += turnsPassed;
+    });
+  }
+
+  return { creatures, sides };
+};
+
+/**
+ * List the statistics of one side's creatures
+ * @param {Object} statistics - Battle statistics
+ * @param {string} [side] - 'player' or 'enemy'; both sides when omitted
+ * @returns {Array} - Creature entries in deployment order
+ */
+export const getCreatureStatistics = (statistics, side) => {
+  if (!statistics) return [];
+  return Object.values(statistics.creatures).filter(entry => !side || entry.side === side);
+};
+
+/**
+ * Score a creature's battle for the MVP pick
+ * @param {Object} entry - Creature entry
+ * @returns {number} - Weighted sum of MVP_WEIGHTS
+ */
+export const getMvpScore = (entry) => {
+  return Object.entries(MVP_WEIGHTS).reduce((score, [key, weight]) => score + entry[key] * weight, 0);
+};
+
+/**
+ * Pick the battle's most valuable creature
+ * @param {Object} statistics - Battle statistics
+ * @param {string} [side] - Side to pick from (defaults to the player's)
+ * @returns {Object|null} - Creature entry with the highest MVP score, or null if none fought
+ */
+export const pickMvp = (statistics, side = 'player') => {
+  return getCreatureStatistics(statistics, side).reduce((best, entry) => (
+    !best || getMvpScore(entry) > getMvpScore(best) ? entry : best
+  ), null);
+};
+
+/**
+ * Turn a finished battle into additions to the player's creature records
+ * @param {Object} statistics - Statistics of the finished battle
+ * @param {boolean} won - Whether the player won
+ * @returns {Object} - Additions by creature NFT id, shaped like EMPTY_BATTLE_RECORD
+ */
+export const getBattleRecordUpdates = (statistics, won) => {
+  const mvp = pickMvp(statistics, 'player');
+
+  return Object.fromEntries(getCreatureStatistics(statistics, 'player').map(entry => [entry.id, {
+    battles: 1,
+    wins: won ? 1 : 0,
+    mvps: mvp && mvp.id === entry.id ? 1 : 0,
+    damageDealt: entry.damageDealt,
+    damageTaken: entry.damageTaken,
+    healing: entry.healing,
+    crits: entry.crits,
+    dodges: entry.dodges,
+    kills: entry.kills
+  }]));
+};
+
+/**
+ * Add one battle to a creature's lifetime record
+ * @param {Object} [record] - Record so far
+ * @param {Object} update - Additions from getBattleRecordUpdates
+ * @returns {Object} - New record
+ */
+export const addToBattleRecord = (record = EMPTY_BATTLE_RECORD, update) => {
+  return Object.fromEntries(Object.keys(EMPTY_BATTLE_RECORD).map(key => [
+    key,
+    (record[key] || 0) + (update[key] || 0)
+  ]));
+};
+
+export default {
+  MVP_WEIGHTS,
+  STATISTIC_LABELS,
+  EMPTY_BATTLE_RECORD,
+  createBattleStatistics,
+  getActorId,
+  updateBattleStatistics,
+  getCreatureStatistics,
+  getMvpScore,
+  pickMvp,
+  getBattleRecordUpdates,
+  addToBattleRecord
+};
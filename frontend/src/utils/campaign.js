@@ -0,0 +1,527 @@
+// src/utils/campaign.js
+/**
+ * Single-player campaign. Chapters hold hand-authored stages: every stage has
+ * a fixed enemy line-up (dealt in the order listed), the difficulty whose AI
+ * and field limits it uses, and optional modifiers and AI personality
+ * (aiPersonalities.js). The last stage of each chapter is a boss fight.
+ *
+ * Bosses get their own battle stats on top of the usual derived ones and fight
+ * in phases: when a boss drops below a phase's health threshold it enters that
+ * phase (stat changes, healing, status effects). The battle engine checks the
+ * thresholds after every action and effect tick.
+ *
+ * Progress is the star rating of every cleared stage, stored server-side (see
+ * CampaignService). Clearing every stage of a chapter unlocks the next chapter
+ * and the chapter's cosmetic reward; three-starring all of them unlocks its
+ * mastery reward.
+ */
+import { createEnemyCreature } from './enemyCreatures';
+import { addStatusEffect } from './statusEffects';
+
+// Stars: one for the win, one for losing no creatures, one for winning by the par turn
+export const MAX_STAGE_STARS = 3;
+
+// Modifiers a stage can add to the fight
+export const STAGE_MODIFIERS = {
+  fortified: {
+    name: 'Fortified',
+    description: 'Enemy creatures have 25% more health.',
+    enemyStatMultipliers: { maxHealth: 1.25 }
+  },
+  frenzied: {
+    name: 'Frenzied',
+    description: 'Enemy attacks hit 20% harder.',
+    enemyStatMultipliers: { physicalAttack: 1.2, magicalAttack: 1.2 }
+  },
+  swift: {
+    name: 'Swift',
+    description: 'Enemy creatures have 30% more initiative.',
+    enemyStatMultipliers: { initiative: 1.3 }
+  },
+  headStart: {
+    name: 'Head Start',
+    description: 'The enemy starts with 4 extra energy.',
+    enemyEnergy: 4
+  },
+  powerShortage: {
+    name: 'Power Shortage',
+    description: 'You start with 3 less energy.',
+    playerEnergy: -3
+  }
+};
+
+export const CAMPAIGN_CHAPTERS = [
+  {
+    id: 'meadow',
+    name: 'Meadow Outskirts',
+    description: 'The herds at the edge of the meadow are restless.',
+    reward: { id: 'title-meadow-warden', type: 'title', name: 'Meadow Warden' },
+    masteryReward: { id: 'frame-meadow', type: 'cardFrame', name: 'Meadow Card Frame' },
+    stages: [
+      {
+        id: 'meadow-1',
+        name: 'First Steps',
+        difficulty: 'easy',
+        parTurns: 8,
+        modifiers: [],
+        enemies: [
+          { species: 'cvxling', form: 0, rarity: 'Common', stats: { energy: 5, strength: 4, magic: 3, stamina: 4, speed: 5 } },
+          { species: 'hugbloom', form: 0, rarity: 'Common', stats: { energy: 4, strength: 3, magic: 4, stamina: 5, speed: 3 } }
+        ]
+      },
+      {
+        id: 'meadow-2',
+        name: 'Hungry Pack',
+        difficulty: 'easy',
+        parTurns: 10,
+        modifiers: [],
+        personality: 'swarm',
+        enemies: [
+          { species: 'cudoge', form: 0, rarity: 'Common', stats: { energy: 4, strength: 5, magic: 3, stamina: 5, speed: 4 } },
+          { species: 'cudoge', form: 1, rarity: 'Common', stats: { energy: 4, strength: 5, magic: 3, stamina: 6, speed: 4 } },
+          { species: 'bullx', form: 0, rarity: 'Common', stats: { energy: 4, strength: 6, magic: 3, stamina: 5, speed: 3 } }
+        ]
+      },
+      {
+        id: 'meadow-boss',
+        name: 'Old Horn',
+        difficulty: 'easy',
+        parTurns: 12,
+        modifiers: ['headStart'],
+        personality: 'aggressor',
+        enemies: [
+          { species: 'cudoge', form: 1, rarity: 'Common', stats: { energy: 5, strength: 5, magic: 3, stamina: 6, speed: 4 } },
+          { species: 'hugbloom', form: 1, rarity: 'Common', stats: { energy: 5, strength: 3, magic: 5, stamina: 6, speed: 3 } },
+          {
+            species: 'bullx',
+            form: 2,
+            rarity: 'Rare',
+            stats: { energy: 5, strength: 8, magic: 3, stamina: 7, speed: 4 },
+            boss: {
+              name: 'Old Horn',
+              battleStats: { maxHealth: 180, energyCost: 6 },
+              phases: [
+                {
+                  healthBelow: 0.5,
+                  name: 'Stampede Rage',
+                  message: 'Old Horn paws the ground and charges harder.',
+                  statMultipliers: { physicalAttack: 1.3, initiative: 1.2 }
+                }
+              ]
+            }
+          }
+        ]
+      }
+    ]
+  },
+  {
+    id: 'caverns',
+    name: 'Crystal Caverns',
+    description: 'Miners and crystal creatures guard the tunnels under the meadow.',
+    reward: { id: 'title-crystal-delver', type: 'title', name: 'Crystal Delver' },
+    masteryReward: { id: 'frame-crystal', type: 'cardFrame', name: 'Crystal Card Frame' },
+    stages: [
+      {
+        id: 'caverns-1',
+        name: 'Glittering Tunnels',
+        difficulty: 'medium',
+        parTurns: 10,
+        modifiers: ['fortified'],
+        personality: 'turtle',
+        enemies: [
+          { species: 'xerdian', form: 1, rarity: 'Common', stats: { energy: 6, strength: 4, magic: 5, stamina: 7, speed: 4 } },
+          { species: 'minermole', form: 1, rarity: 'Common', stats: { energy: 4, strength: 7, magic: 3, stamina: 6, speed: 5 } },
+          { species: 'cvxling', form: 1, rarity: 'Rare', stats: { energy: 7, strength: 5, magic: 4, stamina: 5, speed: 7 } }
+        ]
+      },
+      {
+        id: 'caverns-2',
+        name: 'The Deep Dig',
+        difficulty: 'medium',
+        parTurns: 12,
+        modifiers: ['headStart'],
+        personality: 'spellslinger',
+        enemies: [
+          { species: 'minermole', form: 1, rarity: 'Rare', stats: { energy: 5, strength: 8, magic: 3, stamina: 7, speed: 5 } },
+          { species: 'xerdian', form: 1, rarity: 'Rare', stats: { energy: 7, strength: 4, magic: 6, stamina: 8, speed: 4 } },
+          { species: 'corvax', form: 1, rarity: 'Common', stats: { energy: 6, strength: 3, magic: 7, stamina: 5, speed: 5 } },
+          { species: 'minermole', form: 2, rarity: 'Rare', stats: { energy: 5, strength: 8, magic: 4, stamina: 8, speed: 5 } }
+        ],
+        enemyItems: {
+          tools: [{ id: 'campaign-tool-1', name: 'Shield Plating', tool_type: 'stamina', tool_effect: 'Shield' }],
+          spells: [{ id: 'campaign-spell-1', name: 'Drain Arcane Bolt', spell_type: 'magic', spell_effect: 'Drain' }]
+        }
+      },
+      {
+        id: 'caverns-boss',
+        name: 'The Prism Warden',
+        difficulty: 'medium',
+        parTurns: 14,
+        modifiers: ['fortified'],
+        personality: 'turtle',
+        enemies: [
+          { species: 'minermole', form: 2, rarity: 'Rare', stats: { energy: 5, strength: 8, magic: 4, stamina: 7, speed: 5 } },
+          { species: 'corvax', form: 2, rarity: 'Rare', stats: { energy: 7, strength: 3, magic: 8, stamina: 5, speed: 6 } },
+          { species: 'xerdian', form: 1, rarity: 'Rare', stats: { energy: 7, strength: 4, magic: 6, stamina: 8, speed: 4 } },
+          {
+            species: 'xerdian',
+            form: 3,
+            rarity: 'Epic',
+            stats: { energy: 9, strength: 5, magic: 8, stamina: 10, speed: 5 },
+            boss: {
+              name: 'Prism Warden',
+              battleStats: { maxHealth: 260, magicalDefense: 40, energyCost: 7 },
+              phases: [
+                {
+                  healthBelow: 0.6,
+                  name: 'Refraction',
+                  message: 'The Prism Warden wraps itself in crystal.',
+                  statuses: [{ type: 'shield', amount: 40, duration: 6 }]
+                },
+                {
+                  healthBelow: 0.25,
+                  name: 'Shatter',
+                  message: 'The Prism Warden cracks open and lashes out.',
+                  statMultipliers: { magicalAttack: 1.5, physicalDefense: 0.8, magicalDefense: 0.8 }
+                }
+              ]
+            }
+          }
+        ]
+      }
+    ]
+  },
+  {
+    id: 'vault',
+    name: 'The Genesis Vault',
+    description: 'The oldest creatures of the chain wait behind the vault doors.',
+    reward: { id: 'title-vault-breaker', type: 'title', name: 'Vault Breaker' },
+    masteryReward: { id: 'frame-genesis', type: 'cardFrame', name: 'Genesis Card Frame' },
+    stages: [
+      {
+        id: 'vault-1',
+        name: 'Hype Cycle',
+        difficulty: 'hard',
+        parTurns: 12,
+        modifiers: ['frenzied'],
+        personality: 'aggressor',
+        enemies: [
+          { species: 'fomotron', form: 2, rarity: 'Rare', stats: { energy: 8, strength: 8, magic: 5, stamina: 6, speed: 6 } },
+          { species: 'etherion', form: 2, rarity: 'Rare', stats: { energy: 8, strength: 4, magic: 9, stamina: 6, speed: 6 } },
+          { species: 'cvxling', form: 2, rarity: 'Epic', stats: { energy: 9, strength: 6, magic: 5, stamina: 6, speed: 9 } },
+          { species: 'fomotron', form: 3, rarity: 'Epic', stats: { energy: 9, strength: 9, magic: 6, stamina: 7, speed: 7 } }
+        ]
+      },
+      {
+        id: 'vault-2',
+        name: 'Night Market',
+        difficulty: 'hard',
+        parTurns: 14,
+        modifiers: ['swift', 'powerShortage'],
+        personality: 'spellslinger',
+        enemies: [
+          { species: 'corvax', form: 2, rarity: 'Epic', stats: { energy: 8, strength: 4, magic: 10, stamina: 6, speed: 7 } },
+          { species: 'hugbloom', form: 2, rarity: 'Rare', stats: { energy: 7, strength: 4, magic: 7, stamina: 9, speed: 5 } },
+          { species: 'etherion', form: 3, rarity: 'Epic', stats: { energy: 9, strength: 5, magic: 10, stamina: 7, speed: 7 } },
+          { species: 'corvax', form: 3, rarity: 'Epic', stats: { energy: 9, strength: 5, magic: 10, stamina: 7, speed: 8 } }
+        ],
+        enemyItems: {
+          tools: [{ id: 'campaign-tool-1', name: 'Echo Focus Crystal', tool_type: 'magic', tool_effect: 'Echo' }],
+          spells: [
+            { id: 'campaign-spell-1', name: 'Surge Haste', spell_type: 'speed', spell_effect: 'Surge' },
+            { id: 'campaign-spell-2', name: 'Shield Mend', spell_type: 'stamina', spell_effect: 'Shield' }
+          ]
+        }
+      },
+      {
+        id: 'vault-boss',
+        name: 'The Genesis Block',
+        difficulty: 'hard',
+        parTurns: 16,
+        modifiers: ['frenzied', 'headStart'],
+        personality: 'aggressor',
+        enemies: [
+          { species: 'satoshium', form: 2, rarity: 'Epic', stats: { energy: 8, strength: 10, magic: 5, stamina: 8, speed: 6 } },
+          { species: 'hugbloom', form: 3, rarity: 'Epic', stats: { energy: 8, strength: 5, magic: 8, stamina: 10, speed: 5 } },
+          { species: 'etherion', form: 3, rarity: 'Epic', stats: { energy: 9, strength: 5, magic: 10, stamina: 7, speed: 7 } },
+          { species: 'cudoge', form: 3, rarity: 'Epic', stats: { energy: 7, strength: 9, magic: 4, stamina: 10, speed: 6 } },
+          {
+            species: 'satoshium',
+            form: 3,
+            rarity: 'Legendary',
+            stats: { energy: 10, strength: 12, magic: 8, stamina: 11, speed: 8 },
+            boss: {
+              name: 'Genesis Satoshium',
+              battleStats: { maxHealth: 380, physicalAttack: 70, energyCost: 9 },
+              phases: [
+                {
+                  healthBelow: 0.66,
+                  name: 'Halving',
+                  message: 'Genesis Satoshium halves the power of its foes... and doubles its guard.',
+                  statuses: [{ type: 'buff', stats: { physicalDefense: 15, magicalDefense: 15 }, duration: 6 }]
+                },
+                {
+                  healthBelow: 0.33,
+                  name: 'Hard Fork',
+                  message: 'Genesis Satoshium splits its chain and recovers.',
+                  heal: 0.2,
+                  statMultipliers: { physicalAttack: 1.2, initiative: 1.25 }
+                },
+                {
+                  healthBelow: 0.1,
+                  name: 'Final Block',
+                  message: 'Genesis Satoshium makes a desperate last stand.',
+                  statMultipliers: { physicalAttack: 1.3 },
+                  statuses: [{ type: 'shield', amount: 50, duration: 4 }]
+                }
+              ]
+            }
+          }
+        ]
+      }
+    ]
+  }
+];
+
+/**
+ * Find a campaign stage
+ * @param {string} stageId - Stage id
+ * @returns {Object|null} - Stage (with its chapterId), or null if there is no such stage
+ */
+export const getCampaignStage = (stageId) => {
+  for (const chapter of CAMPAIGN_CHAPTERS) {
+    const stage = chapter.stages.find(s => s.id === stageId);
+    if (stage) return { ...stage, chapterId: chapter.id };
+  }
+  return null;
+};
+
+/**
+ * Build a stage's enemy line-up. Bosses keep their species (and its ability)
+ * but carry their own name, stats and phases.
+ * @param {Object} stage - Campaign stage
+ * @param {Function} [rng] - Random source for the creature ids
+ * @returns {Array} - Enemy creatures in the order they are dealt
+ */
+export const buildStageEnemies = (stage, rng = Math.random) => {
+  return stage.enemies.map(enemy => {
+    const creature = createEnemyCreature(enemy.species, enemy.form, enemy.rarity, enemy.stats, rng);
+    if (!enemy.boss) return creature;
+
+    return {
+      ...creature,
+      species_name: enemy.boss.name,
+      isBoss: true,
+      bossStats: enemy.boss.battleStats || {},
+      bossPhases: enemy.boss.phases || [],
+      bossPhase: 0
+    };
+  });
+};
+
+/**
+ * Apply boss stats and stage modifiers to prepared enemies
+ * @param {Array} creatures - Enemies from prepareEnemyCreatures
+ * @param {Object} stage - Campaign stage
+ * @returns {Array} - Enemies ready for the stage, at full health
+ */
+export const applyStageToEnemies = (creatures, stage) => {
+  const multipliers = getStageModifiers(stage)
+    .map(modifier => modifier.enemyStatMultipliers || {});
+
+  return creatures.map(creature => {
+    const battleStats = { ...creature.battleStats, ...(creature.bossStats || {}) };
+    multipliers.forEach(statMultipliers => {
+      Object.entries(statMultipliers).forEach(([stat, multiplier]) => {
+        battleStats[stat] = Math.round(battleStats[stat] * multiplier);
+      });
+    });
+
+    return {
+      ...creature,
+      battleStats,
+      currentHealth: battleStats.maxHealth
+    };
+  });
+};
+
+/**
+ * Get the modifiers a stage uses
+ * @param {Object} stage - Campaign stage
+ * @returns {Array} - Modifier definitions (with their ids)
+ */
+export const getStageModifiers = (stage) => {
+  return (stage.modifiers || [])
+    .filter(id => STAGE_MODIFIERS[id])
+    .map(id => ({ id, ...STAGE_MODIFIERS[id] }));
+};
+
+/**
+ * Starting energy for one side of a stage
+ * @param {Object} stage - Campaign stage
+ * @param {string} side - 'player' or 'enemy'
+ * @param {number} baseEnergy - Energy a side normally starts with
+ * @returns {number} - Starting energy (never below 0)
+ */
+export const getStageStartingEnergy = (stage, side, baseEnergy) => {
+  const bonus = getStageModifiers(stage)
+    .reduce((total, modifier) => total + (modifier[`${side}Energy`] || 0), 0);
+  return Math.max(0, baseEnergy + bonus);
+};
+
+/**
+ * Get the boss phase a creature should enter now, if any
+ * @param {Object} creature - Battle creature
+ * @returns {Object|null} - Next phase once the creature's health is below its threshold
+ */
+export const getNextBossPhase = (creature) => {
+  if (!creature.bossPhases || creature.currentHealth <= 0) return null;
+
+  const phase = creature.bossPhases[creature.bossPhase || 0];
+  if (!phase) return null;
+
+  return creature.currentHealth < creature.battleStats.maxHealth * phase.healthBelow ? phase : null;
+};
+
+/**
+ * Move a boss into its next phase
+ * @param {Object} creature - Boss creature
+ * @param {Object} phase - Phase from getNextBossPhase
+ * @returns {Object} - { creature, message }
+ */
+export const enterBossPhase = (creature, phase) => {
+  const battleStats = { ...creature.battleStats };
+  Object.entries(phase.statMultipliers || {}).forEach(([stat, multiplier]) => {
+    battleStats[stat] = Math.round(battleStats[stat] * multiplier);
+  });
+
+  let updated = {
+    ...creature,
+    battleStats,
+    bossPhase: (creature.bossPhase || 0) + 1
+  };
+
+  if (phase.heal) {
+    updated.currentHealth = Math.min(
+      battleStats.maxHealth,
+      updated.currentHealth + Math.round(battleStats.maxHealth * phase.heal)
+    );
+  }
+
+  (phase.statuses || []).forEach(status => {
+    updated = addStatusEffect(updated, { ...status, name: phase.name }).creature;
+  });
+
+  return {
+    creature: updated,
+    message: `${creature.species_name} enters ${phase.name}! ${phase.message}`
+  };
+};
+
+/**
+ * Star rating for a won stage
+ * @param {Object} stage - Campaign stage
+ * @param {Object} outcome - { turns, creaturesLost } as from verifyBattleReplay
+ * @returns {number} - 1 to MAX_STAGE_STARS
+ */
+export const calculateStageStars = (stage, { turns, creaturesLost }) => {
+  let stars = 1;
+  if (creaturesLost === 0) stars += 1;
+  if (turns <= stage.parTurns) stars += 1;
+  return stars;
+};
+
+/**
+ * Describe how a stage's stars are earned
+ * @param {Object} stage - Campaign stage
+ * @returns {Array} - Criteria labels, one per star
+ */
+export const getStarCriteria = (stage) => {
+  return ['Win the battle', 'Lose no creatures', `Win by turn ${stage.parTurns}`];
+};
+
+/**
+ * Stars earned on a stage
+ * @param {Object} progress - Campaign progress { stars: { [stageId]: number } }
+ * @param {string} stageId - Stage id
+ * @returns {number} - Best star rating, 0 if not cleared
+ */
+export const getStageStars = (progress, stageId) => {
+  return progress?.stars?.[stageId] || 0;
+};
+
+/**
+ * Whether every stage of a chapter has been cleared
+ * @param {Object} chapter - Campaign chapter
+ * @param {Object} progress - Campaign progress
+ * @returns {boolean} - True once every stage has at least one star
+ */
+export const isChapterComplete = (chapter, progress) => {
+  return chapter.stages.every(stage => getStageStars(progress, stage.id) > 0);
+};
+
+/**
+ * Whether a chapter can be played: the first always can, later ones once the
+ * chapter before them is complete
+ * @param {string} chapterId - Chapter id
+ * @param {Object} progress - Campaign progress
+ * @returns {boolean} - True if the chapter is unlocked
+ */
+export const isChapterUnlocked = (chapterId, progress) => {
+  const index = CAMPAIGN_CHAPTERS.findIndex(chapter => chapter.id === chapterId);
+  if (index <= 0) return index === 0;
+  return isChapterComplete(CAMPAIGN_CHAPTERS[index - 1], progress);
+};
+
+/**
+ * Whether a stage can be played: its chapter is unlocked and the stage before
+ * it in the chapter has been cleared
+ * @param {string} stageId - Stage id
+ * @param {Object} progress - Campaign progress
+ * @returns {boolean} - True if the stage is unlocked
+ */
+export const isStageUnlocked = (stageId, progress) => {
+  const chapter = CAMPAIGN_CHAPTERS.find(c => c.stages.some(stage => stage.id === stageId));
+  if (!chapter || !isChapterUnlocked(chapter.id, progress)) return false;
+
+  const index = chapter.stages.findIndex(stage => stage.id === stageId);
+  return index === 0 || getStageStars(progress, chapter.stages[index - 1].id) > 0;
+};
+
+/**
+ * Cosmetic rewards unlocked by campaign progress
+ * @param {Object} progress - Campaign progress
+ * @returns {Array} - Unlocked rewards { id, type, name, chapterId }
+ */
+export const getUnlockedRewards = (progress) => {
+  return CAMPAIGN_CHAPTERS.flatMap(chapter => {
+    const rewards = [];
+    if (isChapterComplete(chapter, progress)) {
+      rewards.push({ ...chapter.reward, chapterId: chapter.id });
+    }
+    if (chapter.stages.every(stage => getStageStars(progress, stage.id) === MAX_STAGE_STARS)) {
+      rewards.push({ ...chapter.masteryReward, chapterId: chapter.id });
+    }
+    return rewards;
+  });
+};
+
+export default {
+  MAX_STAGE_STARS,
+  STAGE_MODIFIERS,
+  CAMPAIGN_CHAPTERS,
+  getCampaignStage,
+  buildStageEnemies,
+  applyStageToEnemies,
+  getStageModifiers,
+  getStageStartingEnergy,
+  getNextBossPhase,
+  enterBossPhase,
+  calculateStageStars,
+  getStarCriteria,
+  getStageStars,
+  isChapterComplete,
+  isChapterUnlocked,
+  isStageUnlocked,
+  getUnlockedRewards
+};
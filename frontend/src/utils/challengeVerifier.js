@@ -0,0 +1,75 @@
+// src/utils/challengeVerifier.js
+/**
+ * Works out a daily challenge score from the attempt's replay instead of
+ * trusting a score sent by the client. The server runs the same check when an
+ * attempt is submitted (see ChallengeService); the battle screen uses it to
+ * show the score it will submit.
+ */
+import { getReplayStates } from './battleReplay';
+import { calculateChallengeScore } from './dailyChallenge';
+import { findReplayLineUpIssue } from './battleRewards';
+
+/**
+ * Replay a challenge attempt and score it
+ * @param {Object} replay - Replay of a daily challenge battle
+ * @returns {Object} - { status, won, turns, remainingHealth, energySpent, score, breakdown }
+ */
+export const scoreChallengeReplay = (replay) => {
+  const states = getReplayStates(replay);
+  const finalState = states[states.length - 1];
+
+  // Each state's events describe the action that produced it
+  const energySpent = states.reduce((total, state) => total + state.lastEvents
+    .filter(event => event.side === 'player')
+    .reduce((sum, event) => sum + (event.energyCost || 0), 0), 0);
+
+  const remainingHealth = [...finalState.playerField, ...finalState.playerHand, ...finalState.playerDeck]
+    .reduce((total, creature) => total + Math.max(0, creature.currentHealth), 0);
+
+  const result = {
+    won: finalState.status === 'victory',
+    turns: finalState.turn,
+    remainingHealth,
+    energySpent
+  };
+
+  return { status: finalState.status, ...result, ...calculateChallengeScore(result) };
+};
+
+/**
+ * Check a submitted challenge attempt
+ * @param {Object} replay - Replay of the attempt
+ * @param {string} challengeDate - Date the attempt is submitted for (YYYY-MM-DD)
+ * @param {Object} owned - The player's NFTs { creatures, tools, spells }; the attempt's
+ *   deck must match them (see battleRewards.findReplayLineUpIssue)
+ * @returns {Object} - { valid, reason, result } where result is from scoreChallengeReplay
+ */
+export const verifyChallengeReplay = (replay, challengeDate, owned) => {
+  if (replay.challengeDate !== challengeDate) {
+    return { valid: false, reason: `Replay is not for the ${challengeDate} challenge` };
+  }
+
+  let result;
+  try {
+    const lineUpIssue = findReplayLineUpIssue(replay, owned);
+    if (lineUpIssue) {
+      return { valid: false, reason: lineUpIssue };
+    }
+
+    result = scoreChallengeReplay(replay);
+  } catch (error) {
+    return { valid: false, reason: `Replay could not be played: ${error.message}` };
+  }
+
+  // An attempt only counts once the battle is over
+  if (result.status === 'battle') {
+    return { valid: false, reason: 'Replay does not finish the battle' };
+  }
+
+  return { valid: true, reason: null, result };
+};
+
+export default {
+  scoreChallengeReplay,
+  verifyChallengeReplay
+};
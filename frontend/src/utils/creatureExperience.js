@@ -0,0 +1,126 @@
+// src/utils/creatureExperience.js
+/**
+ * Creature battle experience. Experience is kept off-chain: the server stores
+ * each creature's XP by NFT id and awards it after replaying a finished battle
+ * (see battleRewards.calculateBattleExperience). A creature's level comes from
+ * its XP and is carried into battle as battle_level, where it adds a small
+ * bonus to the derived stats on top of the on-chain stats.
+ */
+
+export const MAX_LEVEL = 20;
+
+// XP for taking part in a battle and for each enemy a creature finishes off
+export const EXPERIENCE_REWARDS = {
+  participation: 20,
+  perKill: 15
+};
+
+// Harder battles teach more
+export const DIFFICULTY_EXPERIENCE_MULTIPLIERS = {
+  easy: 1,
+  medium: 1.5,
+  hard: 2,
+  expert: 3
+};
+
+// Each level above 1 adds 1% to attack, defense and health
+export const LEVEL_STAT_BONUS = 0.01;
+
+/**
+ * Total XP needed to reach a level: 100 for level 2, then 200 more for level 3,
+ * 300 more for level 4 and so on
+ * @param {number} level - Level (1 to MAX_LEVEL)
+ * @returns {number} - Total XP
+ */
+export const getExperienceForLevel = (level) => {
+  const clamped = Math.min(Math.max(level, 1), MAX_LEVEL);
+  return 50 * (clamped - 1) * clamped;
+};
+
+/**
+ * Get the level a creature has reached
+ * @param {number} experience - Total XP
+ * @returns {number} - Level (1 to MAX_LEVEL)
+ */
+export const getLevelFromExperience = (experience = 0) => {
+  let level = 1;
+  while (level < MAX_LEVEL && experience >= getExperienceForLevel(level + 1)) {
+    level += 1;
+  }
+  return level;
+};
+
+/**
+ * Describe a creature's progress towards its next level
+ * @param {number} experience - Total XP
+ * @returns {Object} - { level, experience, current, needed, progress, isMaxLevel } where current
+ *   and needed are the XP into and for the current level, and progress is in [0, 1]
+ */
+export const getLevelProgress = (experience = 0) => {
+  const level = getLevelFromExperience(experience);
+  const isMaxLevel = level >= MAX_LEVEL;
+  const levelStart = getExperienceForLevel(level);
+  const needed = isMaxLevel ? 0 : getExperienceForLevel(level + 1) - levelStart;
+  const current = experience - levelStart;
+
+  return {
+    level,
+    experience,
+    current,
+    needed,
+    progress: isMaxLevel ? 1 : current / needed,
+    isMaxLevel
+  };
+};
+
+/**
+ * Get the stat multiplier for a creature's battle level
+ * @param {Object} creature - Creature, optionally with battle_level
+ * @returns {number} - 1 at level 1, growing by LEVEL_STAT_BONUS per level
+ */
+export const getLevelStatMultiplier = (creature) => {
+  const level = Math.min(Math.max(creature.battle_level || 1, 1), MAX_LEVEL);
+  return 1 + (level - 1) * LEVEL_STAT_BONUS;
+};
+
+/**
+ * Calculate the XP one creature earns from a battle
+ * @param {Object} result
+ * @param {string} result.difficulty - Battle difficulty
+ * @param {boolean} result.participated - Whether the creature was deployed
+ * @param {number} result.kills - Enemies the creature defeated
+ * @returns {number} - XP earned
+ */
+export const calculateCreatureExperience = ({ difficulty, participated, kills }) => {
+  if (!participated) return 0;
+
+  const multiplier = DIFFICULTY_EXPERIENCE_MULTIPLIERS[difficulty] || 1;
+  const base = EXPERIENCE_REWARDS.participation + kills * EXPERIENCE_REWARDS.perKill;
+  return Math.round(base * multiplier);
+};
+
+/**
+ * Give creatures the battle levels their XP has earned
+ * @param {Array} creatures - Creatures from the player's collection
+ * @param {Object} experience - XP by creature NFT id
+ * @returns {Array} - Creatures with battle_level set
+ */
+export const applyBattleLevels = (creatures, experience = {}) => {
+  return creatures.map(creature => ({
+    ...creature,
+    battle_level: getLevelFromExperience(experience[creature.id] || 0)
+  }));
+};
+
+export default {
+  MAX_LEVEL,
+  EXPERIENCE_REWARDS,
+  DIFFICULTY_EXPERIENCE_MULTIPLIERS,
+  LEVEL_STAT_BONUS,
+  getExperienceForLevel,
+  getLevelFromExperience,
+  getLevelProgress,
+  getLevelStatMultiplier,
+  calculateCreatureExperience,
+  applyBattleLevels
+};
@@ -0,0 +1,106 @@
+// src/utils/dailyChallenge.js
+/**
+ * Daily challenge. Every player fights the same battle each day: the date
+ * (UTC) seeds the difficulty, the modifiers, the turn mode, the enemy AI's
+ * personality and the enemy line-up from generateEnemyCreatures, and the
+ * battle itself uses the same seed. Each player gets one scored attempt per day; the score rewards fast
+ * wins with healthy creatures and little energy spent. Health only counts after a
+ * win, so a forfeited attempt keeps no points for the creatures it never risked.
+ *
+ * challengeVerifier.js replays submitted attempts to work out their score, so
+ * the server never has to trust a score sent by the client.
+ */
+import { generateEnemyCreatures, getDifficultySettings } from './difficultySettings';
+import { STAGE_MODIFIERS } from './campaign';
+import { PERSONALITY_IDS } from './aiPersonalities';
+import { createRng, randomPick, shuffle } from './battleRandom';
+
+const CHALLENGE_DIFFICULTIES = ['medium', 'hard', 'hard', 'expert'];
+
+// Chance that the day's challenge uses initiative turn order
+const INITIATIVE_CHANCE = 0.3;
+
+// Score: a flat bonus for winning, plus points for speed and health kept
+// (wins only), minus points for energy spent
+export const CHALLENGE_SCORING = {
+  victoryBonus: 1000,
+  parTurns: 30,
+  pointsPerTurnUnderPar: 25,
+  pointsPerHealth: 1,
+  pointsPerEnergy: -1
+};
+
+/**
+ * Get the challenge date for a moment in time
+ * @param {Date} [date] - Date (defaults to now)
+ * @returns {string} - UTC date as YYYY-MM-DD
+ */
+export const getChallengeDate = (date = new Date()) => {
+  return date.toISOString().slice(0, 10);
+};
+
+/**
+ * Get a day's challenge
+ * @param {string} [challengeDate] - YYYY-MM-DD (defaults to today)
+ * @returns {Object} - { id, date, seed, difficulty, turnMode, modifiers, personality }
+ */
+export const getDailyChallenge = (challengeDate = getChallengeDate()) => {
+  const seed = `daily-${challengeDate}`;
+  const rng = createRng(`${seed}-rules`);
+
+  const difficulty = randomPick(rng, CHALLENGE_DIFFICULTIES);
+  const turnMode = rng() < INITIATIVE_CHANCE ? 'initiative' : 'alternating';
+  const modifiers = shuffle(rng, Object.keys(STAGE_MODIFIERS)).slice(0, rng() < 0.5 ? 1 : 2);
+  const personality = randomPick(rng, PERSONALITY_IDS);
+
+  return {
+    id: seed,
+    date: challengeDate,
+    seed,
+    difficulty,
+    turnMode,
+    modifiers,
+    personality
+  };
+};
+
+/**
+ * Generate a challenge's enemy line-up. Player creatures don't influence it,
+ * so everyone faces the same enemies.
+ * @param {Object} challenge - Challenge from getDailyChallenge
+ * @param {Function} rng - The battle's enemy random stream
+ * @returns {Array} - Enemy creatures
+ */
+export const generateChallengeEnemies = (challenge, rng) => {
+  const { enemyDeckSize } = getDifficultySettings(challenge.difficulty);
+  return generateEnemyCreatures(challenge.difficulty, enemyDeckSize, [], rng);
+};
+
+/**
+ * Score a finished challenge attempt
+ * @param {Object} result
+ * @param {boolean} result.won - Whether the player won
+ * @param {number} result.turns - Turns the battle took
+ * @param {number} result.remainingHealth - Total health of the player's surviving creatures
+ * @param {number} result.energySpent - Energy the player spent during the battle
+ * @returns {Object} - { score, breakdown: { victory, speed, health, energy } }
+ */
+export const calculateChallengeScore = ({ won, turns, remainingHealth, energySpent }) => {
+  const breakdown = {
+    victory: won ? CHALLENGE_SCORING.victoryBonus : 0,
+    speed: won ? Math.max(0, CHALLENGE_SCORING.parTurns - turns) * CHALLENGE_SCORING.pointsPerTurnUnderPar : 0,
+    health: won ? Math.round(remainingHealth * CHALLENGE_SCORING.pointsPerHealth) : 0,
+    energy: energySpent * CHALLENGE_SCORING.pointsPerEnergy
+  };
+  const total = Object.values(breakdown).reduce((sum, points) => sum + points, 0);
+
+  return { score: Math.max(0, total), breakdown };
+};
+
+export default {
+  CHALLENGE_SCORING,
+  getChallengeDate,
+  getDailyChallenge,
+  generateChallengeEnemies,
+  calculateChallengeScore
+};
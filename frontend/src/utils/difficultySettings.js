@@ -1,8 +1,10 @@
 // src/utils/difficultySettings.js - Fixed import paths and updated enemy counts
 import { 
   getRandomCreatureTemplate, 
+  getCreatureTemplate,
   createEnemyCreature 
 } from './enemyCreatures';
+import { calculateDerivedStats } from './battleCalculations';
 
 // Define settings for each difficulty level
 export const getDifficultySettings = (difficulty) => {
@@ -23,8 +25,14 @@ export const getDifficultySettings = (difficulty) => {
       enemyDeckSize: 3, // Total number of creatures the AI will have
       maxFieldSize: 3,  // Maximum number of creatures on the field
       enemyAILevel: 1,  // Basic decision making
+      showEnemyIntent: true, // Telegraph the enemy's next move during the player's turn
       enemyEnergyRegen: 2, // 2 energy per turn
-      rewardMultiplier: 0.5
+      enemyToolCount: 0,  // Tools the AI brings into battle (easy AI doesn't use items)
+      enemySpellCount: 0, // Spells the AI brings into battle
+      rewardMultiplier: 0.5,
+      playerDeckSize: 4,  // Most creatures a player's loadout can bring
+      playerToolLimit: 2, // Most tools a loadout can bring
+      playerSpellLimit: 2 // Most spells a loadout can bring
     },
     
     medium: {
@@ -43,8 +51,14 @@ export const getDifficultySettings = (difficulty) => {
       enemyDeckSize: 4, // Total number of creatures the AI will have
       maxFieldSize: 4,  // Maximum number of creatures on the field 
       enemyAILevel: 2,  // Better decisions
+      showEnemyIntent: true, // Telegraph the enemy's next move during the player's turn
       enemyEnergyRegen: 3,
-      rewardMultiplier: 1.0
+      enemyToolCount: 1,  // Tools the AI brings into battle
+      enemySpellCount: 1, // Spells the AI brings into battle
+      rewardMultiplier: 1.0,
+      playerDeckSize: 5,  // Most creatures a player's loadout can bring
+      playerToolLimit: 3, // Most tools a loadout can bring
+      playerSpellLimit: 3 // Most spells a loadout can bring
     },
     
     hard: {
@@ -63,8 +77,14 @@ export const getDifficultySettings = (difficulty) => {
       enemyDeckSize: 5, // Total number of creatures the AI will have 
       maxFieldSize: 5,  // Maximum number of creatures on the field
       enemyAILevel: 3,  // Advanced decision making
+      showEnemyIntent: false, // The enemy keeps its plans to itself
       enemyEnergyRegen: 4,
-      rewardMultiplier: 1.5
+      enemyToolCount: 2,  // Tools the AI brings into battle
+      enemySpellCount: 2, // Spells the AI brings into battle
+      rewardMultiplier: 1.5,
+      playerDeckSize: 6,  // Most creatures a player's loadout can bring
+      playerToolLimit: 4, // Most tools a loadout can bring
+      playerSpellLimit: 4 // Most spells a loadout can bring
     },
     
     expert: {
@@ -83,8 +103,14 @@ export const getDifficultySettings = (difficulty) => {
       enemyDeckSize: 6, // Total number of creatures the AI will have
       maxFieldSize: 6,  // Maximum number of creatures on the field
       enemyAILevel: 4,  // Expert decision making
+      showEnemyIntent: false, // The enemy keeps its plans to itself
       enemyEnergyRegen: 5,
-      rewardMultiplier: 2.0
+      enemyToolCount: 3,  // Tools the AI brings into battle
+      enemySpellCount: 3, // Spells the AI brings into battle
+      rewardMultiplier: 2.0,
+      playerDeckSize: 8,  // Most creatures a player's loadout can bring
+      playerToolLimit: 5, // Most tools a loadout can bring
+      playerSpellLimit: 5 // Most spells a loadout can bring
     }
   };
   
@@ -93,7 +119,8 @@ export const getDifficultySettings = (difficulty) => {
 
 // Generate enemy creatures based on difficulty
 // Added playerCreatures parameter to generate enemies based on available creatures
-export const generateEnemyCreatures = (difficulty, count = 5, playerCreatures = []) => {
+// rng is the battle's random source so the same seed always yields the same enemies
+export const generateEnemyCreatures = (difficulty, count = 5, playerCreatures = [], rng = Math.random) => {
   const settings = getDifficultySettings(difficulty);
   
   // Limit the count to match the maximum deck size for this difficulty
@@ -124,37 +151,141 @@ export const generateEnemyCreatures = (difficulty, count = 5, playerCreatures =
   
   for (let i = 0; i < adjustedCount; i++) {
     // Generate a creature with appropriate rarity
-    const rarity = selectRarity(settings.enemyRarity);
+    const rarity = selectRarity(settings.enemyRarity, rng);
     
     // Generate form level within allowed range
     const form = Math.floor(
-      Math.random() * (settings.enemyCreatureLevel.max - settings.enemyCreatureLevel.min + 1)
+      rng() * (settings.enemyCreatureLevel.max - settings.enemyCreatureLevel.min + 1)
     ) + settings.enemyCreatureLevel.min;
     
     // Select a species ID - either from player creatures or random
     let speciesId;
     if (speciesPool.length > 0) {
-      speciesId = speciesPool[Math.floor(Math.random() * speciesPool.length)];
+      speciesId = speciesPool[Math.floor(rng() * speciesPool.length)];
     } else {
       // Get a random template if we don't have player species
-      const template = getRandomCreatureTemplate();
+      const template = getRandomCreatureTemplate(rng);
       speciesId = template.id;
     }
     
-    // Generate base stats based on rarity and form
-    const stats = generateStats(rarity, form, settings.enemyStatsMultiplier);
+    // Generate base stats based on rarity, form and the species' specialty stats
+    const specialtyStats = getCreatureTemplate(speciesId)?.specialtyStats || [];
+    const stats = generateStats(rarity, form, settings.enemyStatsMultiplier, specialtyStats, rng);
     
     // Create the enemy creature
-    const creature = createEnemyCreature(speciesId, form, rarity, stats);
+    const creature = createEnemyCreature(speciesId, form, rarity, stats, rng);
     creatures.push(creature);
   }
   
   return creatures;
 };
 
+// Names for generated enemy items, by the stat they affect
+const ENEMY_TOOL_NAMES = {
+  energy: 'Battery',
+  strength: 'Gauntlet',
+  magic: 'Focus Crystal',
+  stamina: 'Plating',
+  speed: 'Boots'
+};
+const ENEMY_SPELL_NAMES = {
+  energy: 'Recharge',
+  strength: 'Smite',
+  magic: 'Arcane Bolt',
+  stamina: 'Mend',
+  speed: 'Haste'
+};
+const ITEM_EFFECTS = ['Surge', 'Shield', 'Echo', 'Drain', 'Charge'];
+
+// Generate the tools and spells the AI can use, based on difficulty
+// rng is a seeded random source so the same battle always gets the same items
+export const generateEnemyItems = (difficulty, rng = Math.random) => {
+  const settings = getDifficultySettings(difficulty);
+  const itemTypes = Object.keys(ENEMY_TOOL_NAMES);
+  const pick = (items) => items[Math.floor(rng() * items.length)];
+
+  const tools = Array.from({ length: settings.enemyToolCount || 0 }, (_, index) => {
+    const toolType = pick(itemTypes);
+    const toolEffect = pick(ITEM_EFFECTS);
+    return {
+      id: `enemy-tool-${index + 1}`,
+      name: `${toolEffect} ${ENEMY_TOOL_NAMES[toolType]}`,
+      tool_type: toolType,
+      tool_effect: toolEffect
+    };
+  });
+
+  const spells = Array.from({ length: settings.enemySpellCount || 0 }, (_, index) => {
+    const spellType = pick(itemTypes);
+    const spellEffect = pick(ITEM_EFFECTS);
+    return {
+      id: `enemy-spell-${index + 1}`,
+      name: `${spellEffect} ${ENEMY_SPELL_NAMES[spellType]}`,
+      spell_type: spellType,
+      spell_effect: spellEffect
+    };
+  });
+
+  return { tools, spells };
+};
+
+// Calculate battle stats for generated enemies: apply the difficulty's stats
+// multiplier and assign energy costs that grow with form and rarity
+export const prepareEnemyCreatures = (enemyCreatures, difficulty) => {
+  const settings = getDifficultySettings(difficulty);
+  
+  return enemyCreatures.map((creature, index) => {
+    const derivedStats = calculateDerivedStats(creature);
+    
+    // Apply enemy stats multiplier based on difficulty for stronger enemies
+    const statsMultiplier = settings.enemyStatsMultiplier || 1.0;
+    
+    // Apply the multiplier to make enemies stronger
+    Object.keys(derivedStats).forEach(stat => {
+      // Skip energyCost and special stats
+      if (stat !== 'energyCost' && stat !== 'criticalChance' && stat !== 'dodgeChance') {
+        derivedStats[stat] = Math.round(derivedStats[stat] * statsMultiplier);
+      }
+    });
+    
+    // Ensure enemy creatures have reasonable energy costs
+    // Assign costs that increase with form and rarity
+    let energyCost = 3; // Base cost
+    
+    // Adjust cost based on form (0-3)
+    if (creature.form) {
+      energyCost += creature.form;
+    }
+    
+    // Further adjustment based on rarity
+    if (creature.rarity === 'Rare') energyCost += 1;
+    else if (creature.rarity === 'Epic') energyCost += 2;
+    else if (creature.rarity === 'Legendary') energyCost += 3;
+    
+    // Cap at 9 energy for the most expensive creatures
+    energyCost = Math.min(9, energyCost);
+    
+    // Make first enemy creature very affordable to ensure action on first turn
+    if (index === 0) {
+      energyCost = 3;
+    }
+    
+    // Update the derived stats with the assigned energy cost
+    derivedStats.energyCost = energyCost;
+    
+    return {
+      ...creature,
+      battleStats: derivedStats,
+      currentHealth: derivedStats.maxHealth,
+      activeEffects: [],
+      isDefending: false
+    };
+  });
+};
+
 // Select rarity based on probability distribution
-function selectRarity(rarityDistribution) {
-  const rnd = Math.random();
+function selectRarity(rarityDistribution, rng = Math.random) {
+  const rnd = rng();
   let cumulativeProbability = 0;
   
   for (const [rarity, probability] of Object.entries(rarityDistribution)) {
@@ -167,8 +298,21 @@ function selectRarity(rarityDistribution) {
   return 'Common'; // Fallback
 }
 
-// Generate stats based on rarity, form and difficulty multiplier
-function generateStats(rarity, form, statsMultiplier) {
+// Stat points gained by evolving, the same way player NFTs evolve (see EvolveModal):
+// +1 to all stats at form 1, +1 more and +1 to specialty stats at form 2, +2 more at form 3
+const FORM_STAT_BONUSES = [
+  { all: 0, specialty: 0 },
+  { all: 1, specialty: 0 },
+  { all: 2, specialty: 1 },
+  { all: 4, specialty: 1 }
+];
+
+// Species are strong in their specialty stats and a little weaker in the rest
+const SPECIALTY_STAT_BONUS = 2;
+const OFF_SPECIALTY_PENALTY = 1;
+
+// Generate stats based on rarity, form, specialty stats and difficulty multiplier
+function generateStats(rarity, form, statsMultiplier, specialtyStats = [], rng = Math.random) {
   // Base stats based on rarity
   let baseStats;
   switch (rarity) {
@@ -185,16 +329,20 @@ function generateStats(rarity, form, statsMultiplier) {
       baseStats = { energy: 5, strength: 5, magic: 5, stamina: 5, speed: 5 };
   }
   
-  // Apply form bonus
-  const formBonus = form * 1;
+  // Form bonuses follow evolution
+  const formBonus = FORM_STAT_BONUSES[Math.min(Math.max(form, 0), FORM_STAT_BONUSES.length - 1)];
   
   // Randomize stats within range and apply multiplier
   const stats = {};
   for (const [stat, value] of Object.entries(baseStats)) {
+    const isSpecialty = specialtyStats.includes(stat);
+    const speciesBonus = isSpecialty
+      ? SPECIALTY_STAT_BONUS + formBonus.specialty
+      : -OFF_SPECIALTY_PENALTY;
     // Add random variation (-1 to +1)
-    const randomizedValue = value + formBonus + (Math.floor(Math.random() * 3) - 1);
+    const randomizedValue = value + formBonus.all + speciesBonus + (Math.floor(rng() * 3) - 1);
     // Apply difficulty multiplier
-    stats[stat] = Math.round(randomizedValue * statsMultiplier);
+    stats[stat] = Math.max(1, Math.round(randomizedValue * statsMultiplier));
   }
   
   return stats;
@@ -101,12 +101,22 @@ export const getCreatureTemplates = () => {
   return creatureTemplates;
 };
 
+/**
+ * Get the template of a species
+ * @param {string} speciesId - The ID of the species
+ * @returns {Object|null} - The species template, or null for unknown species
+ */
+export const getCreatureTemplate = (speciesId) => {
+  return creatureTemplates.find(t => t.id === speciesId) || null;
+};
+
 /**
  * Get a random creature template
+ * @param {Function} [rng] - Random source (defaults to Math.random)
  * @returns {Object} - A randomly selected creature template
  */
-export const getRandomCreatureTemplate = () => {
-  const randomIndex = Math.floor(Math.random() * creatureTemplates.length);
+export const getRandomCreatureTemplate = (rng = Math.random) => {
+  const randomIndex = Math.floor(rng() * creatureTemplates.length);
   return creatureTemplates[randomIndex];
 };
 
@@ -116,14 +126,15 @@ export const getRandomCreatureTemplate = () => {
  * @param {number} form - The form of the creature (0-3)
  * @param {string} rarity - The rarity of the creature (Common, Rare, Epic, Legendary)
  * @param {Object} stats - The creature's stats
+ * @param {Function} [rng] - Random source (defaults to Math.random)
  * @returns {Object} - A complete enemy creature object
  */
-export const createEnemyCreature = (speciesId, form, rarity, stats) => {
+export const createEnemyCreature = (speciesId, form, rarity, stats, rng = Math.random) => {
   // Find the template
-  const template = creatureTemplates.find(t => t.id === speciesId) || getRandomCreatureTemplate();
+  const template = creatureTemplates.find(t => t.id === speciesId) || getRandomCreatureTemplate(rng);
   
-  // Generate a unique ID
-  const uniqueId = `enemy-${Date.now()}-${Math.random().toString(36).substring(2, 9)}`;
+  // Generate a unique ID (drawn from rng so seeded battles get stable IDs)
+  const uniqueId = `enemy-${rng().toString(36).substring(2, 11)}`;
   
   // Get the image URL
   const imageUrl = getCreatureImageUrl(template.id, form);
@@ -151,6 +162,7 @@ export default {
   creatureTemplates,
   getCreatureImageUrl,
   getCreatureTemplates,
+  getCreatureTemplate,
   getRandomCreatureTemplate,
   createEnemyCreature
 };
@@ -0,0 +1,134 @@
+// src/utils/enemyTrainers.js
+/**
+ * Named enemy trainers. Arena battles are fought against a trainer rather than a
+ * nameless line-up: each trainer fields a themed roster of species, generated at
+ * the battle's difficulty, and plays with an AI personality (aiPersonalities.js)
+ * that suits the theme. Campaign stages, daily challenges and PvP bring their
+ * own opponents and don't use trainers.
+ *
+ * The battle screen lets matchTrainer pick: easy battles have no trainer, so the
+ * generated line-up mirrors the player's own species; from medium on the player
+ * meets a rival trainer whose roster shares the most species with their deck.
+ */
+import { generateEnemyCreatures, getDifficultySettings } from './difficultySettings';
+import { getCreatureTemplate } from './enemyCreatures';
+import { randomPick } from './battleRandom';
+
+// Ask createBattle to roll a trainer from the battle seed
+export const RANDOM_TRAINER = 'random';
+// Ask createBattle to match a trainer to the player's deck and the difficulty
+export const MATCHED_TRAINER = 'matched';
+
+// Arena difficulties fought against a line-up generated from the player's species
+const UNTRAINED_DIFFICULTIES = ['easy'];
+
+export const ENEMY_TRAINERS = {
+  'magic-school': {
+    id: 'magic-school',
+    name: 'Archmage Orla',
+    team: 'Magic School',
+    description: 'Scholars of the arcane who answer every problem with a spell.',
+    roster: ['corvax', 'etherion'],
+    personality: 'spellslinger'
+  },
+  'iron-herd': {
+    id: 'iron-herd',
+    name: 'Rancher Bruno',
+    team: 'Iron Herd',
+    description: 'Heavy hitters raised on the open range.',
+    roster: ['bullx', 'cudoge', 'minermole'],
+    personality: 'aggressor'
+  },
+  'bloom-wardens': {
+    id: 'bloom-wardens',
+    name: 'Warden Ivy',
+    team: 'Bloom Wardens',
+    description: 'Patient guardians who outlast anything thrown at them.',
+    roster: ['hugbloom', 'xerdian'],
+    personality: 'turtle'
+  },
+  'hatchling-horde': {
+    id: 'hatchling-horde',
+    name: 'Swarmcaller Pip',
+    team: 'Hatchling Horde',
+    description: 'Quick, energetic little creatures, and lots of them.',
+    roster: ['cvxling', 'fomotron'],
+    personality: 'swarm'
+  },
+  'ledger-guild': {
+    id: 'ledger-guild',
+    name: 'Keeper Satori',
+    team: 'Ledger Guild',
+    description: 'Steady bookkeepers with a creature for every situation.',
+    roster: ['satoshium', 'xerdian', 'fomotron'],
+    personality: 'balanced'
+  }
+};
+
+export const TRAINER_IDS = Object.keys(ENEMY_TRAINERS);
+
+/**
+ * Get a trainer by id
+ * @param {string} trainerId - Trainer id
+ * @returns {Object|null} - Trainer, or null for unknown ids
+ */
+export const getTrainer = (trainerId) => {
+  return ENEMY_TRAINERS[trainerId] || null;
+};
+
+/**
+ * Pick a random trainer
+ * @param {Function} rng - Random source
+ * @returns {Object} - Trainer
+ */
+export const pickTrainer = (rng) => {
+  return ENEMY_TRAINERS[randomPick(rng, TRAINER_IDS)];
+};
+
+/**
+ * Match a trainer to a battle: none on easy, otherwise a rival whose roster shares
+ * the most species with the player's creatures (ties are rolled)
+ * @param {Array} playerCreatures - The player's creatures
+ * @param {string} difficulty - Battle difficulty
+ * @param {Function} rng - Random source
+ * @returns {Object|null} - Trainer, or null to generate the line-up from the player's species
+ */
+export const matchTrainer = (playerCreatures, difficulty, rng) => {
+  if (UNTRAINED_DIFFICULTIES.includes(difficulty)) return null;
+
+  const playerSpecies = new Set(playerCreatures.map(creature => creature.species_id));
+  const sharedSpecies = TRAINER_IDS.map(trainerId => (
+    ENEMY_TRAINERS[trainerId].roster.filter(speciesId => playerSpecies.has(speciesId)).length
+  ));
+  const mostShared = Math.max(...sharedSpecies);
+  const rivals = TRAINER_IDS.filter((trainerId, index) => sharedSpecies[index] === mostShared);
+  return ENEMY_TRAINERS[randomPick(rng, rivals)];
+};
+
+/**
+ * Generate a trainer's line-up for a battle
+ * @param {Object} trainer - Trainer from ENEMY_TRAINERS
+ * @param {string} difficulty - Battle difficulty
+ * @param {Function} [rng] - Random source
+ * @returns {Array} - Enemy creatures from the trainer's roster, named after the trainer
+ */
+export const generateTrainerEnemies = (trainer, difficulty, rng = Math.random) => {
+  const settings = getDifficultySettings(difficulty);
+  const roster = trainer.roster.map(speciesId => ({ species_id: speciesId }));
+
+  return generateEnemyCreatures(difficulty, settings.enemyDeckSize, roster, rng).map(creature => ({
+    ...creature,
+    species_name: `${trainer.name}'s ${getCreatureTemplate(creature.species_id).name}`
+  }));
+};
+
+export default {
+  RANDOM_TRAINER,
+  MATCHED_TRAINER,
+  ENEMY_TRAINERS,
+  TRAINER_IDS,
+  getTrainer,
+  pickTrainer,
+  matchTrainer,
+  generateTrainerEnemies
+};
@@ -0,0 +1,146 @@
+// src/utils/formation.js
+/**
+ * Field formation. Each side's field has a front and a back row. A creature is
+ * deployed into the row its loadout gives it (the AI picks its own) and can
+ * switch rows later for MOVE_ROW_ENERGY_COST energy.
+ *
+ * The front row takes the hits: while a side has anyone in its front row, its
+ * back row is out of reach of physical attackers. Magical attackers (creatures
+ * that attack with magic, see processAttack) and speed specialists reach it.
+ * Abilities that deal physical damage follow the same rule, whether they hit one
+ * enemy or all of them; other abilities reach the whole field.
+ */
+
+export const ROWS = ['front', 'back'];
+export const DEFAULT_ROW = 'front';
+export const MOVE_ROW_ENERGY_COST = 1;
+
+/**
+ * Get the row a creature stands in
+ * @param {Object} creature - Battle creature
+ * @returns {string} - 'front' or 'back'
+ */
+export const getRow = (creature) => {
+  return creature.row === 'back' ? 'back' : DEFAULT_ROW;
+};
+
+/**
+ * Get the other row
+ * @param {string} row - 'front' or 'back'
+ * @returns {string} - 'back' or 'front'
+ */
+export const getOtherRow = (row) => {
+  return row === 'back' ? 'front' : 'back';
+};
+
+/**
+ * Get the creatures standing in one row of a field
+ * @param {Array} field - Battle creatures on a side's field
+ * @param {string} row - 'front' or 'back'
+ * @returns {Array} - Creatures in that row
+ */
+export const getRowCreatures = (field, row) => {
+  return field.filter(creature => getRow(creature) === row);
+};
+
+/**
+ * Check whether a creature can attack past the front row
+ * @param {Object} attacker - Battle creature
+ * @returns {boolean} - True for magical attackers and speed specialists
+ */
+export const canReachBackRow = (attacker) => {
+  const stats = attacker.battleStats || {};
+  const attacksWithMagic = (stats.magicalAttack || 0) > (stats.physicalAttack || 0);
+  return attacksWithMagic || (attacker.specialty_stats || []).includes('speed');
+};
+
+/**
+ * Check whether an attacker can reach a target
+ * @param {Object} attacker - Attacking battle creature
+ * @param {Object} target - Target battle creature
+ * @param {Array} targetField - The target's field
+ * @returns {boolean} - True if the target can be attacked
+ */
+export const canAttackTarget = (attacker, target, targetField) => {
+  if (getRow(target) === 'front') return true;
+  return getRowCreatures(targetField, 'front').length === 0 || canReachBackRow(attacker);
+};
+
+/**
+ * Get the creatures an attacker can reach
+ * @param {Object} attacker - Attacking battle creature
+ * @param {Array} targetField - Opposing field
+ * @returns {Array} - Creatures the attacker can attack
+ */
+export const getAttackableTargets = (attacker, targetField) => {
+  return targetField.filter(target => canAttackTarget(attacker, target, targetField));
+};
+
+/**
+ * Check whether a creature's ability can hit a target
+ * @param {Object} user - Battle creature using the ability
+ * @param {Object} ability - Ability from speciesAbilities
+ * @param {Object} target - Target battle creature
+ * @param {Array} targetField - The target's field
+ * @returns {boolean} - True if the target can be hit
+ */
+export const canAbilityReachTarget = (user, ability, target, targetField) => {
+  if (ability.damage?.type !== 'physical') return true;
+  return canAttackTarget(user, target, targetField);
+};
+
+/**
+ * Get the creatures a creature's ability can hit
+ * @param {Object} user - Battle creature using the ability
+ * @param {Object} ability - Ability from speciesAbilities
+ * @param {Array} targetField - Opposing field
+ * @returns {Array} - Creatures the ability can target
+ */
+export const getAbilityReachableTargets = (user, ability, targetField) => {
+  return targetField.filter(target => canAbilityReachTarget(user, ability, target, targetField));
+};
+
+/**
+ * Pick the row the AI deploys a creature to: the first creature holds the line,
+ * creatures that reach the back row stay behind it
+ * @param {Object} creature - Creature being deployed
+ * @param {Array} field - The deploying side's field
+ * @returns {string} - 'front' or 'back'
+ */
+export const getRecommendedRow = (creature, field) => {
+  if (getRowCreatures(field, 'front').length === 0) return 'front';
+  return canReachBackRow(creature) ? 'back' : 'front';
+};
+
+/**
+ * Score how well a creature fills the formation, for the AI's deployment choice:
+ * an empty front row wants a sturdy creature, a held line wants back row attackers
+ * @param {Object} creature - Creature being considered
+ * @param {Array} field - The deploying side's field
+ * @returns {number} - Bonus on the stat scale of the deployment scores
+ */
+export const getFormationScore = (creature, field) => {
+  const stats = creature.battleStats || {};
+  if (getRowCreatures(field, 'front').length === 0) {
+    return ((stats.physicalDefense || 0) + (stats.magicalDefense || 0)) / 2;
+  }
+  return canReachBackRow(creature)
+    ? Math.max(stats.physicalAttack || 0, stats.magicalAttack || 0) / 2
+    : 0;
+};
+
+export default {
+  ROWS,
+  DEFAULT_ROW,
+  MOVE_ROW_ENERGY_COST,
+  getRow,
+  getOtherRow,
+  getRowCreatures,
+  canReachBackRow,
+  canAttackTarget,
+  getAttackableTargets,
+  canAbilityReachTarget,
+  getAbilityReachableTargets,
+  getRecommendedRow,
+  getFormationScore
+};
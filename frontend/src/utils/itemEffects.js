@@ -78,17 +78,19 @@ export const getToolEffect = (tool) => {
         duration: 3
       };
       
-    case 'Charge':
+    case 'Charge': {
       // Builds up over time
+      const [targetStat, baseValue] = Object.entries(baseEffect.statChanges || {})[0] || [];
       return {
         statChanges: {},  // No immediate effect
         chargeEffect: {
-          targetStat: Object.keys(baseEffect.statChanges)[0],
-          perTurnBonus: 3, // +3 per turn
+          targetStat,
+          perTurnBonus: baseValue < 0 ? -1 : 3, // +3 per turn (-1 for stats where lower is better)
           maxTurns: 3
         },
         duration: 3
       };
+    }
       
     // Default case - use the base effect
     default:
@@ -188,3 +190,31 @@ export const getSpellEffect = (spell, casterMagic = 5) => {
       return baseEffect;
   }
 };
+
+// How often an item can be used in one battle, by effect: total uses, and
+// turns before it can be used again (1 = next turn)
+const ITEM_USAGE = {
+  Surge: { uses: 1, cooldown: 1 },  // Strongest burst, once per battle
+  Shield: { uses: 3, cooldown: 2 },
+  Echo: { uses: 2, cooldown: 3 },   // Lingers for several turns already
+  Drain: { uses: 2, cooldown: 2 },
+  Charge: { uses: 2, cooldown: 3 }
+};
+const DEFAULT_ITEM_USAGE = { uses: 3, cooldown: 1 };
+
+// Get the per-battle usage rules for a tool or spell
+export const getItemUsage = (item) => {
+  const effect = item.tool_effect || item.spell_effect;
+  return ITEM_USAGE[effect] || DEFAULT_ITEM_USAGE;
+};
+
+// Check whether an item (as tracked in battle state) can be used this turn
+export const getItemAvailability = (item, turn) => {
+  if (item.usesLeft <= 0) {
+    return { ready: false, label: 'Exhausted' };
+  }
+  if (turn < item.readyOnTurn) {
+    return { ready: false, label: `Recharging until turn ${item.readyOnTurn}` };
+  }
+  return { ready: true, label: `${item.usesLeft} ${item.usesLeft === 1 ? 'use' : 'uses'} left` };
+};
@@ -0,0 +1,67 @@
+// src/utils/pvpBattles.js
+/**
+ * Asynchronous PvP. A player registers a defense deck: a snapshot of creatures,
+ * tools and spells from their collection, stored server-side. Other players
+ * fetch a snapshot and fight it; the defender isn't online, so the expert AI
+ * plays their deck with the creatures' own derived stats instead of the
+ * difficulty multipliers generated enemies get.
+ *
+ * The attacker reports the finished battle's replay (see PvpService); the server
+ * replays it and updates both players' records and ladder ratings (ratings.js).
+ */
+import { createBattle } from './battleEngine';
+import { CREATURE_FIELDS, ITEM_FIELDS, pickFields } from './battleReplay';
+
+// PvP decks use the expert limits, and the defense is played by the expert AI
+export const PVP_DIFFICULTY = 'expert';
+
+/**
+ * Snapshot a deck for registration as a defense deck
+ * @param {Object} deck - { creatures, tools, spells } from the player's collection
+ * @returns {Object} - Deck with only the fields a battle needs
+ */
+export const createDefenseDeck = ({ creatures = [], tools = [], spells = [] }) => {
+  return {
+    creatures: creatures.map(creature => pickFields(creature, CREATURE_FIELDS)),
+    tools: tools.map(tool => pickFields(tool, ITEM_FIELDS)),
+    spells: spells.map(spell => pickFields(spell, ITEM_FIELDS))
+  };
+};
+
+/**
+ * Start a battle against an opponent's defense deck
+ * @param {Object} opponent - Snapshot from the server { playerId, name, deck }
+ * @param {Object} deck - Attacker's { creatures, tools, spells }
+ * @param {Object} [options] - Other createBattle options (seed, turnMode)
+ * @returns {Object} - Initial battle state
+ */
+export const createPvpBattle = (opponent, deck, options = {}) => {
+  return createBattle({
+    ...options,
+    difficulty: PVP_DIFFICULTY,
+    playerCreatures: deck.creatures,
+    playerTools: deck.tools,
+    playerSpells: deck.spells,
+    enemyCreatures: opponent.deck.creatures,
+    enemyTools: opponent.deck.tools || [],
+    enemySpells: opponent.deck.spells || [],
+    pvpOpponent: { playerId: opponent.playerId, name: opponent.name }
+  });
+};
+
+/**
+ * Describe a PvP record
+ * @param {Object} record - { wins, losses, defenseWins, defenseLosses }
+ * @returns {string} - e.g. "5W - 2L (defense 3W - 4L)"
+ */
+export const formatPvpRecord = (record) => {
+  const { wins = 0, losses = 0, defenseWins = 0, defenseLosses = 0 } = record || {};
+  return `${wins}W - ${losses}L (defense ${defenseWins}W - ${defenseLosses}L)`;
+};
+
+export default {
+  PVP_DIFFICULTY,
+  createDefenseDeck,
+  createPvpBattle,
+  formatPvpRecord
+};
@@ -0,0 +1,153 @@
+// src/utils/ratings.js
+/**
+ * Ranked ladder rules. Ratings are Elo-style and kept in a server-side ledger;
+ * the server applies calculateRatingUpdate to both players of every verified
+ * PvP result (PvE battles aren't rated, since only victories reach the server).
+ *
+ * Seasons last SEASON_LENGTH_DAYS. When a new season starts, every rating is
+ * pulled halfway back towards DEFAULT_RATING.
+ */
+
+export const DEFAULT_RATING = 1000;
+export const MIN_RATING = 100;
+
+// New players move faster until their rating settles; the top of the ladder moves slower
+export const PROVISIONAL_GAMES = 10;
+const PROVISIONAL_K = 40;
+const STANDARD_K = 24;
+const TOP_K = 16;
+
+export const SEASON_LENGTH_DAYS = 28;
+// Season 1 started on this day (UTC)
+const SEASON_EPOCH = Date.UTC(2025, 0, 6);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Lowest rating of each tier, lowest tier first
+export const RATING_TIERS = [
+  { id: 'bronze', name: 'Bronze', minRating: 0, color: '#CD7F32', icon: '🥉' },
+  { id: 'silver', name: 'Silver', minRating: 1100, color: '#C0C0C0', icon: '🥈' },
+  { id: 'gold', name: 'Gold', minRating: 1300, color: '#FFD700', icon: '🥇' },
+  { id: 'platinum', name: 'Platinum', minRating: 1500, color: '#4DD0E1', icon: '💠' },
+  { id: 'diamond', name: 'Diamond', minRating: 1700, color: '#64B5F6', icon: '💎' },
+  { id: 'master', name: 'Master', minRating: 1900, color: '#BA68C8', icon: '👑' },
+  { id: 'legend', name: 'Legend', minRating: 2100, color: '#FF5722', icon: '🔥' }
+];
+
+/**
+ * Get the tier a rating falls in
+ * @param {number} rating - Player rating
+ * @returns {Object} - Tier { id, name, minRating, color, icon }
+ */
+export const getTier = (rating) => {
+  return [...RATING_TIERS].reverse().find(tier => rating >= tier.minRating) || RATING_TIERS[0];
+};
+
+/**
+ * Get the tier above a rating's tier
+ * @param {number} rating - Player rating
+ * @returns {Object|null} - Next tier, or null at Legend
+ */
+export const getNextTier = (rating) => {
+  return RATING_TIERS.find(tier => tier.minRating > rating) || null;
+};
+
+/**
+ * Chance of winning according to the ratings
+ * @param {number} rating - Player rating
+ * @param {number} opponentRating - Opponent rating
+ * @returns {number} - Expected score between 0 and 1
+ */
+export const getExpectedScore = (rating, opponentRating) => {
+  return 1 / (1 + Math.pow(10, (opponentRating - rating) / 400));
+};
+
+const getKFactor = ({ rating, gamesPlayed = 0 }) => {
+  if (gamesPlayed < PROVISIONAL_GAMES) return PROVISIONAL_K;
+  if (rating >= RATING_TIERS[RATING_TIERS.length - 1].minRating) return TOP_K;
+  return STANDARD_K;
+};
+
+const updateRating = (player, opponentRating, score) => {
+  const rating = player.rating ?? DEFAULT_RATING;
+  const delta = Math.round(getKFactor({ ...player, rating }) * (score - getExpectedScore(rating, opponentRating)));
+  const newRating = Math.max(MIN_RATING, rating + delta);
+  return { rating: newRating, delta: newRating - rating };
+};
+
+/**
+ * Rate a PvP battle for both players
+ * @param {Object} attacker - { rating, gamesPlayed } of the player who fought
+ * @param {Object} defender - { rating, gamesPlayed } of the defense deck's owner
+ * @param {boolean} attackerWon - Whether the attacker won
+ * @returns {Object} - { attacker: { rating, delta }, defender: { rating, delta } }
+ */
+export const calculateRatingUpdate = (attacker, defender, attackerWon) => {
+  const attackerRating = attacker.rating ?? DEFAULT_RATING;
+  const defenderRating = defender.rating ?? DEFAULT_RATING;
+  return {
+    attacker: updateRating(attacker, defenderRating, attackerWon ? 1 : 0),
+    defender: updateRating(defender, attackerRating, attackerWon ? 0 : 1)
+  };
+};
+
+/**
+ * Get the season a date falls in
+ * @param {Date} [date] - Date (defaults to now)
+ * @returns {Object} - { id, number, startsAt, endsAt } with ISO dates
+ */
+export const getSeason = (date = new Date()) => {
+  const number = Math.max(0, Math.floor((date.getTime() - SEASON_EPOCH) / (SEASON_LENGTH_DAYS * DAY_MS))) + 1;
+  const startsAt = SEASON_EPOCH + (number - 1) * SEASON_LENGTH_DAYS * DAY_MS;
+  return {
+    id: `season-${number}`,
+    number,
+    startsAt: new Date(startsAt).toISOString(),
+    endsAt: new Date(startsAt + SEASON_LENGTH_DAYS * DAY_MS).toISOString()
+  };
+};
+
+/**
+ * Days left in a season, counting today
+ * @param {Object} season - Season from getSeason
+ * @param {Date} [date] - Date (defaults to now)
+ * @returns {number} - Whole days remaining
+ */
+export const getSeasonDaysLeft = (season, date = new Date()) => {
+  return Math.max(0, Math.ceil((new Date(season.endsAt).getTime() - date.getTime()) / DAY_MS));
+};
+
+/**
+ * Starting rating for a new season (soft reset halfway to the default)
+ * @param {number} rating - Rating at the end of the previous season
+ * @returns {number} - Rating the new season starts with
+ */
+export const getSeasonResetRating = (rating) => {
+  return Math.round(DEFAULT_RATING + (rating - DEFAULT_RATING) / 2);
+};
+
+/**
+ * Format a rating change for display
+ * @param {number} delta - Rating change
+ * @returns {string} - e.g. "+12", "-8" or "±0"
+ */
+export const formatRatingDelta = (delta) => {
+  if (delta > 0) return `+${delta}`;
+  if (delta < 0) return `${delta}`;
+  return '±0';
+};
+
+export default {
+  DEFAULT_RATING,
+  MIN_RATING,
+  PROVISIONAL_GAMES,
+  SEASON_LENGTH_DAYS,
+  RATING_TIERS,
+  getTier,
+  getNextTier,
+  getExpectedScore,
+  calculateRatingUpdate,
+  getSeason,
+  getSeasonDaysLeft,
+  getSeasonResetRating,
+  formatRatingDelta
+};
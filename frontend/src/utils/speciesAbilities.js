@@ -0,0 +1,301 @@
+// src/utils/speciesAbilities.js
+/**
+ * Species signature abilities. Each species in enemyCreatures' templates has
+ * one ability that unlocks at Form 1 and an upgraded version at Form 3.
+ *
+ * Ability shape:
+ *   name, description, energyCost,
+ *   cooldown  - turns before it can be used again (1 = next turn)
+ *   target    - 'enemy' | 'allEnemies' | 'self' | 'allAllies'
+ *   aiHint    - 'attack' | 'heal' | 'protect' | 'boost' (how battleAI judges it)
+ *   damage    - { type: 'physical' | 'magical', multiplier } on a normal hit
+ *   heal      - fraction of each target's max health restored
+ *   energyGain - energy returned to the user's side
+ *   statuses  - status effects put on each target (see statusEffects.js);
+ *               durations count effect ticks, two per turn in alternating mode
+ */
+
+// Forms at which the signature ability and its upgrade unlock
+export const ABILITY_UNLOCK_FORM = 1;
+export const UPGRADED_ABILITY_FORM = 3;
+
+export const SPECIES_ABILITIES = {
+  bullx: {
+    base: {
+      name: 'Horn Charge',
+      description: 'A heavy charge at one enemy.',
+      energyCost: 3,
+      cooldown: 2,
+      target: 'enemy',
+      aiHint: 'attack',
+      damage: { type: 'physical', multiplier: 1.6 }
+    },
+    upgraded: {
+      name: 'Stampede',
+      description: 'Tramples every enemy within reach.',
+      energyCost: 5,
+      cooldown: 3,
+      target: 'allEnemies',
+      aiHint: 'attack',
+      damage: { type: 'physical', multiplier: 1.1 }
+    }
+  },
+  cudoge: {
+    base: {
+      name: 'Loyal Guard',
+      description: 'Draws enemy attacks and braces for them.',
+      energyCost: 2,
+      cooldown: 3,
+      target: 'self',
+      aiHint: 'protect',
+      statuses: [
+        { type: 'taunt', duration: 4 },
+        { type: 'buff', stats: { physicalDefense: 6, magicalDefense: 6 }, duration: 4 }
+      ]
+    },
+    upgraded: {
+      name: 'Pack Guardian',
+      description: 'Draws enemy attacks behind a shield.',
+      energyCost: 3,
+      cooldown: 3,
+      target: 'self',
+      aiHint: 'protect',
+      statuses: [
+        { type: 'taunt', duration: 4 },
+        { type: 'shield', amount: 25, duration: 4 },
+        { type: 'buff', stats: { physicalDefense: 8, magicalDefense: 8 }, duration: 4 }
+      ]
+    }
+  },
+  cvxling: {
+    base: {
+      name: 'Spark Dash',
+      description: 'A quick strike that sparks energy back to its side.',
+      energyCost: 2,
+      cooldown: 2,
+      target: 'enemy',
+      aiHint: 'attack',
+      damage: { type: 'physical', multiplier: 1 },
+      energyGain: 2
+    },
+    upgraded: {
+      name: 'Overclock',
+      description: 'A stunning strike that sparks energy back to its side.',
+      energyCost: 3,
+      cooldown: 4,
+      target: 'enemy',
+      aiHint: 'attack',
+      damage: { type: 'physical', multiplier: 1.2 },
+      energyGain: 3,
+      statuses: [{ type: 'stun', duration: 2 }]
+    }
+  },
+  corvax: {
+    base: {
+      name: 'Shadow Hex',
+      description: 'Curses one enemy, damaging it over time.',
+      energyCost: 3,
+      cooldown: 3,
+      target: 'enemy',
+      aiHint: 'attack',
+      damage: { type: 'magical', multiplier: 0.8 },
+      statuses: [{ type: 'dot', amount: 5, duration: 4 }]
+    },
+    upgraded: {
+      name: 'Night Curse',
+      description: 'Curses every enemy, damaging them over time.',
+      energyCost: 4,
+      cooldown: 4,
+      target: 'allEnemies',
+      aiHint: 'attack',
+      statuses: [{ type: 'dot', amount: 6, duration: 4 }]
+    }
+  },
+  fomotron: {
+    base: {
+      name: 'Hype Surge',
+      description: 'Pumps up the physical attack of every ally.',
+      energyCost: 3,
+      cooldown: 3,
+      target: 'allAllies',
+      aiHint: 'boost',
+      statuses: [{ type: 'buff', stats: { physicalAttack: 4 }, duration: 4 }]
+    },
+    upgraded: {
+      name: 'FOMO Frenzy',
+      description: 'Whips every ally into a frenzy of attack and speed.',
+      energyCost: 4,
+      cooldown: 4,
+      target: 'allAllies',
+      aiHint: 'boost',
+      statuses: [{ type: 'buff', stats: { physicalAttack: 6, magicalAttack: 6, initiative: 3 }, duration: 4 }]
+    }
+  },
+  xerdian: {
+    base: {
+      name: 'Crystal Ward',
+      description: 'Wraps itself in a damage-absorbing crystal shield.',
+      energyCost: 2,
+      cooldown: 3,
+      target: 'self',
+      aiHint: 'protect',
+      statuses: [{ type: 'shield', amount: 20, duration: 4 }]
+    },
+    upgraded: {
+      name: 'Prism Barrier',
+      description: 'Shields every ally with crystal.',
+      energyCost: 4,
+      cooldown: 4,
+      target: 'allAllies',
+      aiHint: 'protect',
+      statuses: [{ type: 'shield', amount: 20, duration: 4 }]
+    }
+  },
+  satoshium: {
+    base: {
+      name: 'Genesis Strike',
+      description: 'A devastating blow to one enemy.',
+      energyCost: 3,
+      cooldown: 3,
+      target: 'enemy',
+      aiHint: 'attack',
+      damage: { type: 'physical', multiplier: 1.8 }
+    },
+    upgraded: {
+      name: 'Halving Blow',
+      description: "A devastating blow that also weakens the enemy's defenses.",
+      energyCost: 4,
+      cooldown: 3,
+      target: 'enemy',
+      aiHint: 'attack',
+      damage: { type: 'physical', multiplier: 1.5 },
+      statuses: [{ type: 'debuff', stats: { physicalDefense: -5, magicalDefense: -5 }, duration: 4 }]
+    }
+  },
+  etherion: {
+    base: {
+      name: 'Gas Spike',
+      description: 'A burst of raw magic at one enemy.',
+      energyCost: 3,
+      cooldown: 2,
+      target: 'enemy',
+      aiHint: 'attack',
+      damage: { type: 'magical', multiplier: 1.6 }
+    },
+    upgraded: {
+      name: 'Smart Burst',
+      description: 'Magic that arcs through every enemy.',
+      energyCost: 5,
+      cooldown: 3,
+      target: 'allEnemies',
+      aiHint: 'attack',
+      damage: { type: 'magical', multiplier: 1.1 }
+    }
+  },
+  hugbloom: {
+    base: {
+      name: 'Bloom Embrace',
+      description: 'Heals every ally.',
+      energyCost: 3,
+      cooldown: 3,
+      target: 'allAllies',
+      aiHint: 'heal',
+      heal: 0.15
+    },
+    upgraded: {
+      name: 'Full Bloom',
+      description: 'Heals every ally, then keeps healing them.',
+      energyCost: 4,
+      cooldown: 4,
+      target: 'allAllies',
+      aiHint: 'heal',
+      heal: 0.25,
+      statuses: [{ type: 'hot', amount: 5, duration: 4 }]
+    }
+  },
+  minermole: {
+    base: {
+      name: 'Armor Break',
+      description: "Cracks one enemy's physical defense.",
+      energyCost: 3,
+      cooldown: 3,
+      target: 'enemy',
+      aiHint: 'attack',
+      damage: { type: 'physical', multiplier: 1 },
+      statuses: [{ type: 'debuff', stats: { physicalDefense: -6 }, duration: 4 }]
+    },
+    upgraded: {
+      name: 'Deep Drill',
+      description: "Drills through one enemy's defenses.",
+      energyCost: 4,
+      cooldown: 3,
+      target: 'enemy',
+      aiHint: 'attack',
+      damage: { type: 'physical', multiplier: 1.3 },
+      statuses: [{ type: 'debuff', stats: { physicalDefense: -10, magicalDefense: -5 }, duration: 6 }]
+    }
+  }
+};
+
+/**
+ * Find a creature's species in the ability registry. Enemy creatures carry a
+ * template species_id; player NFTs are matched by species name as a fallback.
+ * @param {Object} creature - Creature
+ * @returns {string|null} - Registry key, or null for unknown species
+ */
+export const getSpeciesKey = (creature) => {
+  if (!creature) return null;
+  if (SPECIES_ABILITIES[creature.species_id]) return creature.species_id;
+
+  const name = (creature.species_name || '').replace(/^Enemy /, '').toLowerCase();
+  return SPECIES_ABILITIES[name] ? name : null;
+};
+
+/**
+ * Get the signature ability a creature has unlocked
+ * @param {Object} creature - Creature
+ * @returns {Object|null} - Ability (with `upgraded` set for the Form 3 version), or null
+ */
+export const getCreatureAbility = (creature) => {
+  const speciesKey = getSpeciesKey(creature);
+  const form = creature?.form || 0;
+  if (!speciesKey || form < ABILITY_UNLOCK_FORM) return null;
+
+  const { base, upgraded } = SPECIES_ABILITIES[speciesKey];
+  return form >= UPGRADED_ABILITY_FORM
+    ? { ...upgraded, upgraded: true }
+    : { ...base, upgraded: false };
+};
+
+/**
+ * Check whether a creature's ability is off cooldown
+ * @param {Object} creature - Battle creature (tracks abilityReadyOnTurn once used)
+ * @param {number} turn - Current battle turn
+ * @returns {Object} - { ready, label }
+ */
+export const getAbilityAvailability = (creature, turn) => {
+  const readyOnTurn = creature.abilityReadyOnTurn || 1;
+  if (turn < readyOnTurn) {
+    return { ready: false, label: `Recharging until turn ${readyOnTurn}` };
+  }
+  return { ready: true, label: 'Ready' };
+};
+
+/**
+ * Whether the player has to pick an enemy for the ability
+ * @param {Object} ability - Ability
+ * @returns {boolean} - True for single-enemy abilities
+ */
+export const abilityNeedsTarget = (ability) => {
+  return ability.target === 'enemy';
+};
+
+export default {
+  ABILITY_UNLOCK_FORM,
+  UPGRADED_ABILITY_FORM,
+  SPECIES_ABILITIES,
+  getSpeciesKey,
+  getCreatureAbility,
+  getAbilityAvailability,
+  abilityNeedsTarget
+};
@@ -0,0 +1,79 @@
+// src/utils/statAffinities.js
+/**
+ * Stat affinities. Every creature's affinity is its highest base stat, and the
+ * affinities form a cycle where each one beats the next:
+ *
+ *   Strength > Stamina > Speed > Magic > Energy > Strength
+ *
+ * AFFINITY_MATRIX is the single source of truth for damage multipliers; damage
+ * calculation, the AI and the battle UI all read it through this module.
+ */
+
+export const AFFINITY_CYCLE = ['strength', 'stamina', 'speed', 'magic', 'energy'];
+
+export const SUPER_EFFECTIVE_MULTIPLIER = 1.5;
+export const RESISTED_MULTIPLIER = 0.75;
+
+const S = SUPER_EFFECTIVE_MULTIPLIER;
+const R = RESISTED_MULTIPLIER;
+
+// Rows are the attacker's affinity, columns the defender's
+export const AFFINITY_MATRIX = {
+  //          strength  stamina  speed  magic  energy
+  strength: { strength: 1, stamina: S, speed: 1, magic: 1, energy: R },
+  stamina: { strength: R, stamina: 1, speed: S, magic: 1, energy: 1 },
+  speed: { strength: 1, stamina: R, speed: 1, magic: S, energy: 1 },
+  magic: { strength: 1, stamina: 1, speed: R, magic: 1, energy: S },
+  energy: { strength: S, stamina: 1, speed: 1, magic: R, energy: 1 }
+};
+
+/**
+ * Get a creature's affinity: its highest base stat. Ties go to the species'
+ * specialty stats first, then to the order of the cycle.
+ * @param {Object} creature - Creature with stats (and optionally specialty_stats)
+ * @returns {string|null} - Affinity stat, or null if the creature has no stats
+ */
+export const getAffinity = (creature) => {
+  const stats = creature?.stats;
+  if (!stats) return null;
+
+  const best = Math.max(...AFFINITY_CYCLE.map(stat => stats[stat] || 0));
+  const tied = AFFINITY_CYCLE.filter(stat => (stats[stat] || 0) === best);
+  const specialty = (creature.specialty_stats || []).find(stat => tied.includes(stat));
+  return specialty || tied[0];
+};
+
+/**
+ * Damage multiplier for one creature attacking another
+ * @param {Object} attacker - Attacking creature
+ * @param {Object} defender - Defending creature
+ * @returns {number} - SUPER_EFFECTIVE_MULTIPLIER, RESISTED_MULTIPLIER or 1
+ */
+export const getEffectivenessMultiplier = (attacker, defender) => {
+  const attackerAffinity = getAffinity(attacker);
+  const defenderAffinity = getAffinity(defender);
+  if (!attackerAffinity || !defenderAffinity) return 1;
+
+  return AFFINITY_MATRIX[attackerAffinity][defenderAffinity];
+};
+
+/**
+ * Describe a multiplier for the battle log and UI
+ * @param {number} multiplier - Effectiveness multiplier
+ * @returns {string} - 'super effective', 'resisted' or 'normal'
+ */
+export const getEffectivenessText = (multiplier) => {
+  if (multiplier >= SUPER_EFFECTIVE_MULTIPLIER) return 'super effective';
+  if (multiplier <= RESISTED_MULTIPLIER) return 'resisted';
+  return 'normal';
+};
+
+export default {
+  AFFINITY_CYCLE,
+  AFFINITY_MATRIX,
+  SUPER_EFFECTIVE_MULTIPLIER,
+  RESISTED_MULTIPLIER,
+  getAffinity,
+  getEffectivenessMultiplier,
+  getEffectivenessText
+};
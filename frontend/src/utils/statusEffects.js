@@ -0,0 +1,313 @@
+// src/utils/statusEffects.js
+/**
+ * Status effects on battle creatures. Every effect in `activeEffects` has a
+ * registered type that decides how it stacks and what it does each tick. Stat
+ * changes are applied to battleStats once when the effect lands and reverted
+ * exactly (via `appliedStats`) when it expires, so buffs never compound.
+ *
+ * Effect shape:
+ *   { id, type, key, name, icon, description, duration, stacks,
+ *     stats, appliedStats, amount, preparedSpell, chargeEffect }
+ * `key` identifies the source (e.g. the tool name) for stacking rules;
+ * `amount` is health per tick (dot/hot) or damage left to absorb (shield).
+ */
+
+// Stacking rules:
+//   refresh - a second application from the same source resets the duration
+//   stack   - adds a stack (up to maxStacks) and resets the duration
+//   replace - removes the old effect and applies the new one
+// immunity - ticks the creature can't get this type again after it expires
+export const STATUS_TYPES = {
+  buff: { label: 'Buff', icon: '⬆️', stacking: 'refresh' },
+  debuff: { label: 'Debuff', icon: '⬇️', stacking: 'refresh' },
+  dot: { label: 'Damage over time', icon: '☠️', stacking: 'stack', maxStacks: 3 },
+  hot: { label: 'Healing over time', icon: '💚', stacking: 'refresh' },
+  stun: { label: 'Stun', icon: '💫', stacking: 'refresh', immunity: 2 },
+  taunt: { label: 'Taunt', icon: '🎯', stacking: 'replace' },
+  shield: { label: 'Shield', icon: '🔰', stacking: 'replace' },
+  charging: { label: 'Charging', icon: '⏳', stacking: 'replace' }
+};
+
+// Stats where a lower value is better
+const LOWER_IS_BETTER = ['energyCost'];
+
+const STAT_LABELS = {
+  maxHealth: 'Max Health',
+  physicalAttack: 'Physical Attack',
+  magicalAttack: 'Magical Attack',
+  physicalDefense: 'Physical Defense',
+  magicalDefense: 'Magical Defense',
+  initiative: 'Initiative',
+  criticalChance: 'Critical Chance',
+  dodgeChance: 'Dodge Chance',
+  energyCost: 'Energy Cost'
+};
+
+const getStatusType = (effect) => {
+  return STATUS_TYPES[effect.type] || STATUS_TYPES.buff;
+};
+
+// Add (or with sign -1, remove) stat changes on a creature that has already been cloned
+const shiftStats = (creature, stats = {}, sign = 1) => {
+  creature.battleStats = { ...creature.battleStats };
+  Object.entries(stats).forEach(([stat, value]) => {
+    if (creature.battleStats[stat] !== undefined) {
+      creature.battleStats[stat] += value * sign;
+    }
+  });
+  // Losing a maxHealth buff (or gaining a debuff) can't leave a creature above its max
+  if (creature.currentHealth > creature.battleStats.maxHealth) {
+    creature.currentHealth = creature.battleStats.maxHealth;
+  }
+};
+
+const addStats = (a = {}, b = {}) => {
+  return Object.entries(b).reduce((total, [stat, value]) => {
+    total[stat] = (total[stat] || 0) + value;
+    return total;
+  }, { ...a });
+};
+
+/**
+ * Split stat changes into the helpful part (a buff) and the harmful part (a debuff)
+ * @param {Object} stats - Stat changes, e.g. { physicalAttack: 7, physicalDefense: -3 }
+ * @returns {Object} - { buffStats, debuffStats } (either may be empty)
+ */
+export const splitStatChanges = (stats = {}) => {
+  const buffStats = {};
+  const debuffStats = {};
+  Object.entries(stats).forEach(([stat, value]) => {
+    if (!value) return;
+    const helpful = LOWER_IS_BETTER.includes(stat) ? value < 0 : value > 0;
+    (helpful ? buffStats : debuffStats)[stat] = value;
+  });
+  return { buffStats, debuffStats };
+};
+
+/**
+ * Put a status effect on a creature, following its type's stacking rule
+ * @param {Object} creature - Battle creature
+ * @param {Object} effect - Effect (without id, stacks or appliedStats)
+ * @returns {Object} - { creature, applied } where applied is false if the creature was immune
+ */
+export const addStatusEffect = (creature, effect) => {
+  const statusType = getStatusType(effect);
+  if ((creature.statusImmunities || {})[effect.type] > 0) {
+    return { creature, applied: false };
+  }
+
+  const updated = { ...creature };
+  const effects = updated.activeEffects || [];
+  const key = effect.key || effect.name;
+  const existing = effects.find(e => e.type === effect.type && e.key === key);
+
+  if (existing && statusType.stacking === 'refresh') {
+    updated.activeEffects = effects.map(e => e === existing
+      ? { ...e, duration: Math.max(e.duration, effect.duration) }
+      : e
+    );
+    return { creature: updated, applied: true };
+  }
+
+  if (existing && statusType.stacking === 'stack') {
+    if (existing.stacks >= statusType.maxStacks) {
+      updated.activeEffects = effects.map(e => e === existing ? { ...e, duration: effect.duration } : e);
+      return { creature: updated, applied: true };
+    }
+    shiftStats(updated, effect.stats);
+    updated.activeEffects = effects.map(e => e === existing
+      ? {
+        ...e,
+        duration: effect.duration,
+        stacks: e.stacks + 1,
+        appliedStats: addStats(e.appliedStats, effect.stats)
+      }
+      : e
+    );
+    return { creature: updated, applied: true };
+  }
+
+  // Replace drops any effect of the same type (e.g. only one shield at a time)
+  let remaining = effects;
+  if (statusType.stacking === 'replace') {
+    effects.filter(e => e.type === effect.type).forEach(e => shiftStats(updated, e.appliedStats, -1));
+    remaining = effects.filter(e => e.type !== effect.type);
+  }
+
+  // Ids only need to be unique per creature and the same on every replay
+  updated.effectCount = (updated.effectCount || 0) + 1;
+  shiftStats(updated, effect.stats);
+  updated.activeEffects = [
+    ...remaining,
+    {
+      ...effect,
+      id: `${updated.id}-effect-${updated.effectCount}`,
+      key,
+      icon: effect.icon || statusType.icon,
+      stacks: 1,
+      appliedStats: { ...(effect.stats || {}) }
+    }
+  ];
+  return { creature: updated, applied: true };
+};
+
+// Take an effect off a creature that has already been cloned, reverting its stats
+const expireEffect = (creature, effect) => {
+  shiftStats(creature, effect.appliedStats, -1);
+  const { immunity } = getStatusType(effect);
+  if (immunity) {
+    creature.statusImmunities = { ...(creature.statusImmunities || {}), [effect.type]: immunity };
+  }
+};
+
+/**
+ * Remove an effect early (e.g. a shield that has absorbed all it can)
+ * @param {Object} creature - Battle creature
+ * @param {string} effectId - Id of the effect to remove
+ * @returns {Object} - Updated creature
+ */
+export const removeStatusEffect = (creature, effectId) => {
+  const effect = (creature.activeEffects || []).find(e => e.id === effectId);
+  if (!effect) return creature;
+
+  const updated = { ...creature };
+  expireEffect(updated, effect);
+  updated.activeEffects = creature.activeEffects.filter(e => e.id !== effectId);
+  return updated;
+};
+
+/**
+ * Grow an effect's stat changes (used by Charge tools that build up each tick)
+ * @param {Object} creature - Battle creature
+ * @param {string} effectId - Id of the effect to grow
+ * @param {Object} stats - Extra stat changes
+ * @param {Object} [changes] - Other fields to update on the effect
+ * @returns {Object} - Updated creature
+ */
+export const growStatusEffect = (creature, effectId, stats, changes = {}) => {
+  const updated = { ...creature };
+  shiftStats(updated, stats);
+  updated.activeEffects = creature.activeEffects.map(e => e.id === effectId
+    ? { ...e, ...changes, appliedStats: addStats(e.appliedStats, stats) }
+    : e
+  );
+  return updated;
+};
+
+/**
+ * Run one tick of a creature's effects: damage/healing over time, then count
+ * durations down and revert whatever expires
+ * @param {Object} creature - Battle creature
+ * @returns {Object} - { creature, messages }
+ */
+export const tickStatusEffects = (creature) => {
+  const updated = { ...creature };
+  const name = updated.species_name;
+  const messages = [];
+
+  // Immunities wear off one tick at a time
+  if (updated.statusImmunities) {
+    updated.statusImmunities = Object.fromEntries(
+      Object.entries(updated.statusImmunities)
+        .map(([type, ticks]) => [type, ticks - 1])
+        .filter(([, ticks]) => ticks > 0)
+    );
+  }
+
+  updated.activeEffects = (updated.activeEffects || []).filter(effect => {
+    if (effect.type === 'dot' || effect.type === 'hot') {
+      const change = (effect.type === 'dot' ? -1 : 1) * effect.amount * effect.stacks;
+      const previousHealth = updated.currentHealth;
+      updated.currentHealth = Math.min(
+        updated.battleStats.maxHealth,
+        Math.max(0, updated.currentHealth + change)
+      );
+      const healthChange = updated.currentHealth - previousHealth;
+      if (healthChange !== 0) {
+        messages.push(`${name} ${healthChange > 0 ? 'healed' : 'damaged'} for ${Math.abs(healthChange)} from ${effect.name}`);
+      }
+    }
+
+    if (effect.duration - 1 > 0) return true;
+
+    expireEffect(updated, effect);
+    messages.push(`${effect.name} effect has expired on ${name}`);
+    return false;
+  }).map(effect => ({ ...effect, duration: effect.duration - 1 }));
+
+  return { creature: updated, messages };
+};
+
+/**
+ * Let a creature's shield soak up incoming damage
+ * @param {Object} creature - Battle creature about to take damage
+ * @param {number} damage - Incoming damage
+ * @returns {Object} - { creature, damage, absorbed } with the damage left after the shield
+ */
+export const absorbDamage = (creature, damage) => {
+  const shield = (creature.activeEffects || []).find(e => e.type === 'shield');
+  if (!shield || damage <= 0) return { creature, damage, absorbed: 0 };
+
+  const absorbed = Math.min(shield.amount, damage);
+  const remaining = shield.amount - absorbed;
+  const updated = remaining > 0
+    ? { ...creature, activeEffects: creature.activeEffects.map(e => e === shield ? { ...e, amount: remaining } : e) }
+    : removeStatusEffect(creature, shield.id);
+
+  return { creature: updated, damage: damage - absorbed, absorbed };
+};
+
+/**
+ * Check whether a creature is stunned
+ * @param {Object} creature - Battle creature
+ * @returns {boolean} - True if it can't act
+ */
+export const isStunned = (creature) => {
+  return (creature.activeEffects || []).some(e => e.type === 'stun');
+};
+
+/**
+ * Find the creatures on a field that attackers are forced to target
+ * @param {Array} field - Creatures on one side
+ * @returns {Array} - Taunting creatures (empty if none)
+ */
+export const getTauntingCreatures = (field) => {
+  return field.filter(creature => (creature.activeEffects || []).some(e => e.type === 'taunt'));
+};
+
+/**
+ * Describe an effect for tooltips
+ * @param {Object} effect - Active effect
+ * @returns {string} - e.g. "Iron Gauntlet (Buff): +5 Physical Attack. 2 turns left."
+ */
+export const getStatusDescription = (effect) => {
+  const statusType = getStatusType(effect);
+  const parts = [];
+
+  Object.entries(effect.appliedStats || {}).forEach(([stat, value]) => {
+    if (value) parts.push(`${value > 0 ? '+' : ''}${value} ${STAT_LABELS[stat] || stat}`);
+  });
+  if (effect.type === 'dot') parts.push(`${effect.amount * effect.stacks} damage per turn`);
+  if (effect.type === 'hot') parts.push(`${effect.amount * effect.stacks} healing per turn`);
+  if (effect.type === 'shield') parts.push(`absorbs ${effect.amount} damage`);
+  if (effect.type === 'stun') parts.push("can't act");
+  if (effect.type === 'taunt') parts.push('enemies must attack this creature');
+  if (effect.description) parts.push(effect.description);
+
+  const stacks = effect.stacks > 1 ? ` x${effect.stacks}` : '';
+  const turns = `${effect.duration} ${effect.duration === 1 ? 'turn' : 'turns'} left`;
+  return `${effect.name}${stacks} (${statusType.label}): ${parts.join(', ')}. ${turns}.`;
+};
+
+export default {
+  STATUS_TYPES,
+  splitStatChanges,
+  addStatusEffect,
+  removeStatusEffect,
+  growStatusEffect,
+  tickStatusEffects,
+  absorbDamage,
+  isStunned,
+  getTauntingCreatures,
+  getStatusDescription
+};